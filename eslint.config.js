@@ -26,4 +26,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Node scripts (stand-in servers and tooling)
+    files: ['scripts/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
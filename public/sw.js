@@ -0,0 +1,113 @@
+// --- OFFLINE SERVICE WORKER ---
+// Registered in production builds by src/utils/serviceWorker.jsx. Plain script (not bundled by Vite).
+//   shell      index.html, the built JS/CSS and public assets (network first for pages, then cache)
+//   data       the last /api/map/buildings response (network first, cached copy while offline)
+//   panoramas  360° images that were opened (cache first)
+//   tiles      basemap tiles, glyphs, sprites and styles that were visited (stale-while-revalidate)
+// Queued writes are handled by the app's outbox (src/api/outbox.jsx), not here.
+
+const VERSION = 'v1';
+const CACHES = {
+    shell: `ins-shell-${VERSION}`,
+    data: `ins-data-${VERSION}`,
+    panoramas: `ins-panoramas-${VERSION}`,
+    tiles: `ins-tiles-${VERSION}`,
+};
+const MAX_ENTRIES = { panoramas: 40, tiles: 4000 }; // Oldest entries are dropped beyond these
+const SHELL_URLS = ['/', '/index.html'];
+
+const TILE_HOSTS = ['tiles.stadiamaps.com'];
+const TILE_PATH = /\/\d+\/\d+\/\d+(@\dx)?(\.\w+)?$/; // .../{z}/{x}/{y}[@2x][.ext]
+const IMAGE_PATH = /\.(jpe?g|png|webp)$/i;
+
+const isMapResource = (url) => TILE_HOSTS.includes(url.hostname) || TILE_PATH.test(url.pathname) || url.pathname.endsWith('.pbf');
+const isBuildingsRequest = (url) => url.pathname.endsWith('/api/map/buildings');
+const isPanorama = (request, url) => url.pathname.includes('/uploads/') || (request.destination === 'image' && IMAGE_PATH.test(url.pathname));
+
+const trimCache = async (cacheName, maxEntries) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+const putInCache = async (cacheName, request, response) => {
+    if (!response.ok) return;
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+};
+
+const networkFirst = async (cacheName, request, fallbackUrl) => {
+    try {
+        const response = await fetch(request);
+        await putInCache(cacheName, request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request) || (fallbackUrl && await caches.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+const cacheFirst = async (cacheName, request, maxEntries) => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    await putInCache(cacheName, request, response.clone());
+    if (maxEntries) trimCache(cacheName, maxEntries);
+    return response;
+};
+
+const staleWhileRevalidate = async (cacheName, request, maxEntries) => {
+    const cached = await caches.match(request);
+    const network = fetch(request).then(async response => {
+        await putInCache(cacheName, request, response.clone());
+        if (maxEntries) trimCache(cacheName, maxEntries);
+        return response;
+    });
+    if (cached) {
+        network.catch(() => {}); // Offline: the cached copy is enough
+        return cached;
+    }
+    return network;
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHES.shell).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = Object.values(CACHES);
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith('ins-') && !current.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page sends the URLs it loaded before this worker took control (first visit), so the shell works offline at once
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'CACHE_URLS') return;
+    event.waitUntil(caches.open(CACHES.shell).then(cache => Promise.all(
+        event.data.urls.map(url => cache.add(url).catch(() => {}))
+    )));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Range requests (PMTiles) return 206 responses, which the Cache API cannot store
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+    const url = new URL(request.url);
+    if (!url.protocol.startsWith('http')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(CACHES.shell, request, '/index.html'));
+    } else if (isBuildingsRequest(url)) {
+        event.respondWith(networkFirst(CACHES.data, request));
+    } else if (isMapResource(url)) {
+        event.respondWith(staleWhileRevalidate(CACHES.tiles, request, MAX_ENTRIES.tiles));
+    } else if (isPanorama(request, url)) {
+        event.respondWith(cacheFirst(CACHES.panoramas, request, MAX_ENTRIES.panoramas));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(CACHES.shell, request));
+    }
+});
@@ -0,0 +1,386 @@
+// --- STAND-IN BACKEND WITH LIVE UPDATES (development and testing only) ---
+// A dependency-free Node server that speaks the same API as the Express backend, keeping
+// everything in memory, plus the live updates channel of src/api/live.jsx:
+//   GET  /api/map/buildings          FeatureCollection (seeded from public/assets/seed-buildings.geojson)
+//   POST /api/map/new                create     PUT/DELETE /api/map/:id   update / delete
+//   GET  /api/map/:id/history        revisions, each signed with the token's user
+//   POST /api/map/upload             360° image (multipart field "360Image"), served from /uploads/...
+//   POST /api/auth/login             any password; "admin" and "viewer" get those roles, anyone else is an editor
+//   POST /api/live/ticket            single-use ticket for a signed-in live connection (?ticket=)
+//   GET  /api/live (WebSocket)       building events + presence
+//   GET  /api/live/events (SSE)      the same, with POST /api/live/presence for the client's presence
+// Usage: npm run live-server, then start the app with
+// VITE_API_ORIGIN=http://localhost:8787 VITE_LIVE_ORIGIN=http://localhost:8787
+// (PORT changes the port). Writes need a signed-in user, like the real backend.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.env.PORT) || 8787;
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SEED_FILE = path.join(ROOT, 'public/assets/seed-buildings.geojson');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const SESSION_SECONDS = 8 * 60 * 60;
+const KEEP_ALIVE_MS = 25 * 1000;
+const TICKET_MS = 30 * 1000;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Live-Client',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+};
+
+// --- In-memory data ---
+const buildings = new Map(); // id -> Feature
+const revisions = new Map(); // building id -> [{ revision, action, author, timestamp, building }]
+const uploads = new Map(); // file name -> { type, data }
+
+const loadSeed = () => {
+    try {
+        JSON.parse(fs.readFileSync(SEED_FILE, 'utf8')).features.forEach(feature => {
+            const id = feature.properties?.id ?? crypto.randomUUID();
+            buildings.set(String(id), { ...feature, properties: { ...feature.properties, id } });
+        });
+    } catch (error) {
+        console.warn(`No seed data (${error.message}), starting empty.`);
+    }
+};
+
+// Same Feature shape as GET /api/map/buildings, from a create/update payload
+const toFeature = (id, { location, buildingInfo, ...properties }, previous = {}) => ({
+    type: 'Feature',
+    geometry: location,
+    properties: { ...previous, ...properties, height: buildingInfo?.height ?? previous.height, id },
+});
+
+// --- HTTP helpers ---
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const readJson = async (req) => JSON.parse((await readBody(req)).toString('utf8') || '{}');
+
+// First file part of a multipart/form-data body: { name, type, data }
+const parseMultipartFile = (body, contentType) => {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+    if (!match) return null;
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) return null;
+        const part = body.subarray(start + delimiter.length + 2, next - 2); // Without the surrounding CRLFs
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.subarray(0, headerEnd).toString('utf8');
+        const fileName = /filename="([^"]*)"/.exec(headers);
+        if (fileName) {
+            return {
+                name: fileName[1],
+                type: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1] || 'application/octet-stream',
+                data: part.subarray(headerEnd + 4),
+            };
+        }
+        start = next;
+    }
+    return null;
+};
+
+// Unsigned JWT-shaped token, so the app can read its expiry like a real one
+const createToken = (user) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const payload = { sub: user.name, role: user.role, exp: Math.floor(Date.now() / 1000) + SESSION_SECONDS };
+    return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.stand-in`;
+};
+
+const isSignedIn = (req) => /^Bearer \S+/.test(req.headers.authorization || '');
+
+// User the token was issued to (tokens from elsewhere sign as an unknown user)
+const readUser = (req) => {
+    try {
+        const payload = JSON.parse(Buffer.from(req.headers.authorization.split(' ')[1].split('.')[1], 'base64url').toString());
+        return { name: payload.sub, role: payload.role };
+    } catch {
+        return null;
+    }
+};
+
+// Seeded buildings have no history: their first edit records the seeded copy as revision 1
+const recordRevision = (req, feature, action, previous = null) => {
+    const id = String(feature.properties.id);
+    const history = revisions.get(id) ?? [];
+    if (history.length === 0 && previous) history.push({ revision: 1, action: 'create', author: null, timestamp: null, building: previous });
+    history.push({ revision: history.length + 1, action, author: readUser(req), timestamp: new Date().toISOString(), building: feature });
+    revisions.set(id, history);
+};
+
+// --- Live clients (WebSocket and SSE) ---
+const clients = new Map(); // clientId -> { send(message), keepAlive?(), account, user, activity, since }
+
+const tickets = new Map(); // ticket -> { user, clientId, expires }
+
+const broadcast = (message) => clients.forEach(client => client.send(message));
+
+// Building events name the tab that made the change (X-Live-Client), so it can skip the echo
+const broadcastChange = (req, message) => broadcast({ ...message, clientId: req.headers['x-live-client'] || null });
+
+// Signed-in user of a live connection's ticket; undefined for a missing, spent or expired one
+const redeemTicket = (ticket, clientId) => {
+    const entry = tickets.get(ticket);
+    tickets.delete(ticket);
+    if (!entry || entry.expires < Date.now() || entry.clientId !== clientId) return undefined;
+    return entry.user;
+};
+
+const broadcastPresence = () => broadcast({
+    type: 'presence',
+    users: [...clients.entries()]
+        .filter(([, client]) => client.user)
+        .map(([clientId, { user, activity, since }]) => ({ clientId, name: user.name, role: user.role, activity, since })),
+});
+
+const updatePresence = (clientId, { user, activity }) => {
+    const client = clients.get(clientId);
+    if (!client) return;
+    // Signed-in connections show the ticket's user; guests can only call themselves viewers
+    client.user = client.account ?? { name: String(user?.name || 'Guest'), role: 'viewer' };
+    client.activity = String(activity || 'Viewing');
+    client.since = client.since || Date.now();
+    broadcastPresence();
+};
+
+const addClient = (clientId, send, keepAlive = null, account = null) => {
+    clients.set(clientId, { send, keepAlive, account, user: null, activity: null, since: null });
+};
+
+// Only the connection that is still registered (a reconnect may have replaced it already)
+const removeClient = (clientId, send) => {
+    if (clients.get(clientId)?.send !== send) return;
+    clients.delete(clientId);
+    broadcastPresence();
+};
+
+// --- WebSocket (RFC 6455 text frames, enough for the app's JSON messages) ---
+const encodeFrame = (opcode, payload) => {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(length), 2);
+        header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+};
+
+// Splits complete (masked, client-to-server) frames off the front of `buffer`
+const readFrames = (buffer) => {
+    const frames = [];
+    let rest = buffer;
+    while (rest.length >= 2) {
+        const opcode = rest[0] & 0x0f;
+        const masked = Boolean(rest[1] & 0x80);
+        let length = rest[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (rest.length < 4) break;
+            length = rest.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (rest.length < 10) break;
+            length = Number(rest.readBigUInt64BE(2));
+            offset = 10;
+        }
+        const mask = masked ? rest.subarray(offset, offset + 4) : null;
+        if (masked) offset += 4;
+        if (rest.length < offset + length) break;
+        const payload = Buffer.from(rest.subarray(offset, offset + length));
+        if (mask) payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+        frames.push({ opcode, payload });
+        rest = rest.subarray(offset + length);
+    }
+    return { frames, rest };
+};
+
+const handleUpgrade = (req, socket) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const key = req.headers['sec-websocket-key'];
+    if (url.pathname !== '/api/live' || !key) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+    const clientId = url.searchParams.get('clientId') || crypto.randomUUID();
+    const ticket = url.searchParams.get('ticket');
+    const account = ticket ? redeemTicket(ticket, clientId) : null;
+    if (account === undefined) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    const send = (message) => socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+    addClient(clientId, send, null, account);
+    broadcastPresence();
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+        const { frames, rest } = readFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x8) { // Close
+                socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+            } else if (opcode === 0x9) { // Ping
+                socket.write(encodeFrame(0xA, payload));
+            } else if (opcode === 0x1) {
+                try {
+                    const message = JSON.parse(payload.toString('utf8'));
+                    if (message.type === 'presence') updatePresence(clientId, message);
+                } catch {
+                    // Not JSON: ignored
+                }
+            }
+        });
+    });
+    socket.on('close', () => removeClient(clientId, send));
+    socket.on('error', () => socket.destroy());
+};
+
+// --- Server-Sent Events ---
+const handleEventStream = (req, res, url) => {
+    const clientId = url.searchParams.get('clientId') || crypto.randomUUID();
+    const ticket = url.searchParams.get('ticket');
+    const account = ticket ? redeemTicket(ticket, clientId) : null;
+    if (account === undefined) return sendJson(res, 401, { msg: 'Invalid or expired live ticket.' });
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write('retry: 3000\n\n');
+    const previous = clients.get(clientId); // The browser reconnected: keep the announced presence
+    const send = (message) => res.write(`data: ${JSON.stringify(message)}\n\n`);
+    addClient(clientId, send, () => res.write(': keep-alive\n\n'), account);
+    if (previous?.user) updatePresence(clientId, previous);
+    else broadcastPresence();
+    req.on('close', () => removeClient(clientId, send));
+};
+
+// Comments keep idle SSE streams from being closed by proxies
+setInterval(() => clients.forEach(client => client.keepAlive?.()), KEEP_ALIVE_MS);
+
+// --- Routes ---
+const handleRequest = async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const { pathname } = url;
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET' && pathname === '/api/live/events') {
+        handleEventStream(req, res, url);
+        return;
+    }
+    if (req.method === 'POST' && pathname === '/api/live/ticket') {
+        const user = readUser(req);
+        if (!user) return sendJson(res, 401, { msg: 'Sign in to get a live ticket.' });
+        const { clientId } = await readJson(req);
+        const ticket = crypto.randomUUID();
+        tickets.forEach((entry, key) => entry.expires < Date.now() && tickets.delete(key)); // Never redeemed
+        tickets.set(ticket, { user, clientId, expires: Date.now() + TICKET_MS });
+        return sendJson(res, 200, { ticket });
+    }
+    if (req.method === 'POST' && pathname === '/api/live/presence') {
+        const message = await readJson(req);
+        updatePresence(message.clientId, message);
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'POST' && pathname === '/api/auth/login') {
+        const { username } = await readJson(req);
+        if (!username) return sendJson(res, 401, { msg: 'Username is required.' });
+        const role = ['admin', 'viewer'].includes(username) ? username : 'editor';
+        const user = { name: username, role };
+        return sendJson(res, 200, { token: createToken(user), user });
+    }
+
+    if (req.method === 'GET' && pathname.startsWith('/uploads/')) {
+        const upload = uploads.get(decodeURIComponent(pathname.slice('/uploads/'.length)));
+        if (!upload) return sendJson(res, 404, { msg: 'Not found.' });
+        res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': upload.type });
+        res.end(upload.data);
+        return;
+    }
+
+    if (req.method === 'GET' && pathname === '/api/map/buildings') {
+        return sendJson(res, 200, { type: 'FeatureCollection', features: [...buildings.values()] });
+    }
+    const historyMatch = /^\/api\/map\/([^/]+)\/history$/.exec(pathname);
+    if (req.method === 'GET' && historyMatch) {
+        const id = decodeURIComponent(historyMatch[1]);
+        if (!buildings.has(id)) return sendJson(res, 404, { msg: 'Building not found.' });
+        return sendJson(res, 200, revisions.get(id) ?? []);
+    }
+
+    const writeMatch = /^\/api\/map\/(new|upload|[^/]+)$/.exec(pathname);
+    if (writeMatch && ['POST', 'PUT', 'DELETE'].includes(req.method)) {
+        if (!isSignedIn(req)) return sendJson(res, 401, { msg: 'Sign in to make changes.' });
+        const [, target] = writeMatch;
+
+        if (req.method === 'POST' && target === 'upload') {
+            const file = parseMultipartFile(await readBody(req), req.headers['content-type']);
+            if (!file) return sendJson(res, 400, { msg: 'No file uploaded.' });
+            const name = `${Date.now()}-${file.name.replace(/[^\w.-]/g, '_')}`;
+            uploads.set(name, file);
+            return sendJson(res, 200, { msg: 'File uploaded.', filePath: `/uploads/${name}` });
+        }
+        if (req.method === 'POST' && target === 'new') {
+            const payload = await readJson(req);
+            if (!payload.name) return sendJson(res, 400, { msg: 'Building name is required.' });
+            const feature = toFeature(crypto.randomUUID(), payload);
+            buildings.set(feature.properties.id, feature);
+            recordRevision(req, feature, 'create');
+            broadcastChange(req, { type: 'building.created', feature });
+            return sendJson(res, 201, { msg: 'Data saved and map refreshing!', building: feature });
+        }
+
+        const previous = buildings.get(target);
+        if (!previous) return sendJson(res, 404, { msg: 'Building not found.' });
+        if (req.method === 'PUT') {
+            const feature = toFeature(previous.properties.id, await readJson(req), previous.properties);
+            buildings.set(target, feature);
+            recordRevision(req, feature, 'update', previous);
+            broadcastChange(req, { type: 'building.updated', feature });
+            return sendJson(res, 200, { msg: 'Building updated and map refreshing!', building: feature });
+        }
+        buildings.delete(target);
+        broadcastChange(req, { type: 'building.deleted', id: previous.properties.id });
+        return sendJson(res, 200, { msg: 'Building deleted.' });
+    }
+
+    sendJson(res, 404, { msg: 'Not found.' });
+};
+
+loadSeed();
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => sendJson(res, 500, { msg: error.message }));
+});
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, () => console.log(`Stand-in backend with live updates on http://localhost:${PORT}`));
@@ -1,16 +1,50 @@
-import React, { useState } from 'react'; // 1. Import useState
+import React, { useState } from 'react';
 import MapComponent from './components/MapComponent';
 import DataEntryForm from './components/DataEntryForm';
-import { Provider } from 'react-redux';
+import BulkImportPanel from './components/BulkImportPanel';
+import OutboxIndicator from './components/OutboxIndicator';
+import LivePresence from './components/LivePresence';
+import LoginModal from './components/LoginModal';
+import useOutboxSync from './hooks/useOutboxSync';
+import useAuthSession from './hooks/useAuthSession';
+import useLiveUpdates from './hooks/useLiveUpdates';
+import { Provider, useDispatch, useSelector } from 'react-redux';
 import { store } from './redux/store';
+import { stopEditingBuilding, setDataEntryOpen } from './redux/mapSlice';
+import { openLogin, logout, selectCanEdit } from './redux/authSlice';
 
 function App() {
-  // 2. Initialize state to control the visibility of the DataEntryForm
-  const [isFormOpen, setIsFormOpen] = useState(false);
+  const dispatch = useDispatch();
+  // 1. Form visibility lives in Redux so the map can open it (e.g. with a collected footprint);
+  //    a building opened for editing from the InfoPanel also opens the form
+  const { editingBuilding, isDataEntryOpen } = useSelector((state) => state.map);
+  // Data entry, editing and uploads are for editors (and admins); viewers only browse
+  const { user, isLoginOpen } = useSelector((state) => state.auth);
+  const canEdit = useSelector(selectCanEdit);
+  const isFormVisible = canEdit && (isDataEntryOpen || Boolean(editingBuilding));
+  // Bulk import is only opened from here; it shares the form's spot, so only one of them shows at a time
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  // Offline outbox: replays queued saves/uploads when the connection comes back
+  useOutboxSync();
+  // Bearer token on backend requests; expired sessions reopen the sign-in dialog
+  useAuthSession();
+  // Buildings changed by other users arrive live; presence shows who is online and what they're editing
+  useLiveUpdates();
 
-  // 3. Handler function to toggle the form's visibility
+  // 2. Handler function to toggle the form's visibility
   const toggleForm = () => {
-    setIsFormOpen(prev => !prev);
+    if (editingBuilding) {
+      dispatch(stopEditingBuilding());
+      dispatch(setDataEntryOpen(false));
+      return;
+    }
+    dispatch(setDataEntryOpen(!isDataEntryOpen));
+    setIsImportOpen(false);
+  };
+
+  const toggleImport = () => {
+    if (!isImportOpen && isFormVisible) toggleForm();
+    setIsImportOpen(!isImportOpen);
   };
 
   return (
@@ -20,20 +54,58 @@ function App() {
         {/* MapComponent takes up the full background */}
         <MapComponent />
 
-        {/* 4. Button to open/close the DataEntryForm */}
-        <button
-          onClick={toggleForm}
-          className="absolute top-4 left-68 z-30 p-3 bg-blue-500 text-black rounded shadow-lg hover:bg-blue-600 transition-colors"
-        // You might need to adjust the Tailwind CSS classes (e.g., z-index, position)
-        >
-          {isFormOpen ? 'Close Data Entry' : 'Open Data Entry'}
-        </button>
-
-        {/* 5. Conditionally render the DataEntryForm */}
-        {isFormOpen && (
+        {/* 3. Buttons to open/close the DataEntryForm and bulk import (editors), and to sign in/out */}
+        <div className="absolute top-4 left-68 z-30 flex gap-2">
+          {canEdit && (
+            <>
+              <button
+                onClick={toggleForm}
+                className="p-3 bg-blue-500 text-black rounded shadow-lg hover:bg-blue-600 transition-colors"
+              >
+                {isFormVisible ? 'Close Data Entry' : 'Open Data Entry'}
+              </button>
+              <button
+                onClick={toggleImport}
+                className="p-3 bg-blue-500 text-black rounded shadow-lg hover:bg-blue-600 transition-colors"
+              >
+                {isImportOpen ? 'Close Import' : 'Bulk Import'}
+              </button>
+            </>
+          )}
+          {user ? (
+            <button
+              onClick={() => dispatch(logout())}
+              className="p-3 bg-stone-800 text-amber-300 rounded shadow-lg hover:bg-stone-900 transition-colors"
+              title="Sign out"
+            >
+              {user.name} ({user.role}) · Sign Out
+            </button>
+          ) : (
+            <button
+              onClick={() => dispatch(openLogin())}
+              className="p-3 bg-stone-800 text-amber-300 rounded shadow-lg hover:bg-stone-900 transition-colors"
+            >
+              Sign In
+            </button>
+          )}
+        </div>
+
+        {/* 4. Conditionally render the DataEntryForm */}
+        {isFormVisible && (
           // DataEntryForm floats over the map for easy input (z-20 ensures it's above InfoPanel's z-10)
-          <DataEntryForm />
+          // Keyed by building so switching between "add" and "edit" starts from fresh form state
+          <DataEntryForm key={editingBuilding?.properties.id ?? 'new'} />
         )}
+        {canEdit && isImportOpen && !isFormVisible && <BulkImportPanel onClose={() => setIsImportOpen(false)} />}
+
+        {/* 5. Live updates / who's online, and connectivity with pending (offline) changes, above the bottom bar */}
+        <div className="absolute bottom-20 right-4 z-20 flex flex-col items-end gap-2">
+          <LivePresence />
+          <OutboxIndicator />
+        </div>
+
+        {/* 6. Sign-in dialog (also shown when the session expires; open forms stay mounted underneath) */}
+        {isLoginOpen && <LoginModal />}
       </div>
     </Provider>
   );
@@ -0,0 +1,67 @@
+// --- AUTH SESSION (token storage, roles, request interceptor) ---
+
+// Roles in increasing order of rights: viewers browse, editors add/edit/upload, admins also delete
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+export const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+const SESSION_STORAGE_KEY = 'ins-auth-session';
+const DEFAULT_SESSION_MS = 8 * 60 * 60 * 1000; // When the backend sends no expiry
+
+// Expiry (ms) from a JWT's `exp` claim, or null for tokens that aren't JWTs
+const readJwtExpiry = (token) => {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return Number.isFinite(payload.exp) ? payload.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Normalizes a login response ({ token, user: { name, role }, expiresAt? }) into the stored
+ * session. Unknown roles become 'viewer', so a backend without roles never unlocks editing.
+ */
+export const toSession = ({ token, user = {}, expiresAt }) => ({
+    token,
+    user: { name: user.name || user.username || user.email || 'User', role: ROLES.includes(user.role) ? user.role : 'viewer' },
+    expiresAt: readJwtExpiry(token) ?? (expiresAt ? new Date(expiresAt).getTime() : Date.now() + DEFAULT_SESSION_MS),
+});
+
+export const isSessionExpired = (session) => !session?.token || session.expiresAt <= Date.now();
+
+// Kept in localStorage so a reload keeps the user signed in until the token expires
+export const loadStoredSession = () => {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        return session && !isSessionExpired(session) ? session : null;
+    } catch {
+        return null;
+    }
+};
+
+export const storeSession = (session) => {
+    if (session) localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    else localStorage.removeItem(SESSION_STORAGE_KEY);
+};
+
+/**
+ * Adds `Authorization: Bearer <token>` to every request made through an axios instance and
+ * calls `onUnauthorized()` when a request that carried a token comes back 401 (expired or
+ * revoked session). Returns a function that removes both interceptors.
+ */
+export const installAuthInterceptor = (http, { getToken, onUnauthorized }) => {
+    const requestId = http.interceptors.request.use(config => {
+        const token = getToken();
+        if (token) config.headers.Authorization = `Bearer ${token}`;
+        return config;
+    });
+    const responseId = http.interceptors.response.use(undefined, error => {
+        if (error.response?.status === 401 && error.config?.headers?.Authorization) onUnauthorized();
+        return Promise.reject(error);
+    });
+    return () => {
+        http.interceptors.request.eject(requestId);
+        http.interceptors.response.eject(responseId);
+    };
+};
@@ -0,0 +1,37 @@
+import { API_ADAPTER, API_ORIGIN, LIVE_ORIGIN, LOCAL_SEED_URL } from './config';
+import { createExpressAdapter } from './expressAdapter';
+import { createLocalAdapter } from './localAdapter';
+import { createOutbox, withOutbox } from './outbox';
+
+// --- API CLIENT ---
+// The one place the app talks to a backend. Every adapter exposes the same async methods:
+//   fetchBuildings() -> FeatureCollection
+//   createBuilding(data) / updateBuilding(id, data) / deleteBuilding(id) -> { msg, ... }
+//   fetchBuildingHistory(id) -> revisions [{ revision, action, author, timestamp, building }] recorded by the
+//     backend on every create/update, signed with the session's user (../utils/buildingHistory)
+//   uploadPanorama(file, { onProgress(0..1), signal }?) -> path stored in imageURL / tour scenes
+//   resolveMediaUrl(path) -> URL a viewer can load (synchronous)
+//   login({ username, password }) -> session { token, user: { name, role }, expiresAt } (./auth)
+//   attachAuth({ getToken, getUser, onUnauthorized }) -> detach(); sends the session token with every request
+//   connectLive({ getToken, onEvent, onPresence, onStatus }) -> { setPresence, close } (./live);
+//     optional, adapters without a live channel leave it out
+// and throws ApiError (./errors) on failure.
+// Writes that cannot reach the backend are queued in the offline outbox (./outbox) and replayed later.
+
+const ADAPTERS = {
+    express: () => createExpressAdapter({ origin: API_ORIGIN, liveOrigin: LIVE_ORIGIN }),
+    local: () => createLocalAdapter({ seedUrl: LOCAL_SEED_URL }),
+};
+
+const createApiClient = () => {
+    if (!ADAPTERS[API_ADAPTER]) {
+        console.warn(`Unknown VITE_API_ADAPTER "${API_ADAPTER}", falling back to "express".`);
+        return ADAPTERS.express();
+    }
+    return ADAPTERS[API_ADAPTER]();
+};
+
+const adapter = createApiClient();
+
+export const outbox = createOutbox(adapter);
+export const api = withOutbox(adapter, outbox);
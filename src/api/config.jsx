@@ -0,0 +1,12 @@
+// --- API CONFIGURATION (Vite env, see .env.example) ---
+// VITE_API_ADAPTER   'express' (default) talks to the Express backend;
+//                    'local' keeps buildings and panoramas in this browser's IndexedDB.
+// VITE_API_ORIGIN    Express backend origin (no trailing slash).
+// VITE_LOCAL_SEED_URL GeoJSON FeatureCollection loaded into the local database on first run.
+// VITE_LIVE_ORIGIN   Origin of the live updates channel (express adapter only); live updates are
+//                    off unless it is set.
+
+export const API_ADAPTER = import.meta.env.VITE_API_ADAPTER || 'express';
+export const API_ORIGIN = import.meta.env.VITE_API_ORIGIN || 'https://ins-back-end.onrender.com';
+export const LOCAL_SEED_URL = import.meta.env.VITE_LOCAL_SEED_URL || '/assets/seed-buildings.geojson';
+export const LIVE_ORIGIN = import.meta.env.VITE_LIVE_ORIGIN || '';
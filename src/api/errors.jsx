@@ -0,0 +1,12 @@
+// Error thrown by every adapter; `message` is user-facing, `status` mirrors the HTTP status when there is one.
+// `network` marks requests that never got a response (offline, DNS, CORS), which the outbox can retry later;
+// `canceled` marks requests aborted by the user.
+export class ApiError extends Error {
+    constructor(message, status = null, { network = false, canceled = false } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.network = network;
+        this.canceled = canceled;
+    }
+}
@@ -0,0 +1,79 @@
+import axios from 'axios';
+import { ApiError } from './errors';
+import { installAuthInterceptor, toSession } from './auth';
+import { connectLiveChannel } from './live';
+
+// Converts axios failures into ApiError, keeping the backend's `msg` when it sent one
+const toApiError = (error, fallbackMessage) => {
+    if (axios.isCancel(error)) return new ApiError('Request canceled.', null, { canceled: true });
+    return new ApiError(
+        error.response?.data?.msg || error.message || fallbackMessage,
+        error.response?.status ?? null,
+        { network: Boolean(error.request) && !error.response }
+    );
+};
+
+/**
+ * Adapter for the Express + MongoDB backend (`/api/map/...`, sign-in at `/api/auth/login`).
+ * Uploaded panoramas come back as server-relative paths, resolved against `origin`.
+ * Live updates come from `liveOrigin` (`/api/live`) and are left out unless it is set. While the
+ * channel is open, writes carry its clientId (X-Live-Client) so their events aren't echoed back.
+ */
+export const createExpressAdapter = ({ origin, liveOrigin = '' }) => {
+    const http = axios.create({ baseURL: `${origin}/api/map` });
+
+    const request = async (config, fallbackMessage) => {
+        try {
+            const response = await http.request(config);
+            return response.data;
+        } catch (error) {
+            throw toApiError(error, fallbackMessage);
+        }
+    };
+
+    const connectLive = (handlers) => {
+        const channel = connectLiveChannel(liveOrigin, handlers);
+        http.defaults.headers.common['X-Live-Client'] = channel.clientId;
+        return {
+            ...channel,
+            close: () => {
+                delete http.defaults.headers.common['X-Live-Client'];
+                channel.close();
+            },
+        };
+    };
+
+    return {
+        name: 'express',
+        http,
+        fetchBuildings: () => request({ method: 'get', url: '/buildings' }, 'Failed to load map data.'),
+        createBuilding: (buildingData) => request({ method: 'post', url: '/new', data: buildingData }, 'Failed to save building data.'),
+        updateBuilding: (id, buildingData) => request({ method: 'put', url: `/${id}`, data: buildingData }, 'Failed to update building data.'),
+        deleteBuilding: (id) => request({ method: 'delete', url: `/${id}` }, 'Failed to delete building.'),
+        fetchBuildingHistory: (id) => request({ method: 'get', url: `/${id}/history` }, 'Failed to load the building history.'),
+        uploadPanorama: async (file, { onProgress, signal } = {}) => {
+            const form = new FormData();
+            form.append('360Image', file);
+            const data = await request({
+                method: 'post', url: '/upload', data: form, headers: { 'Content-Type': 'multipart/form-data' },
+                signal,
+                onUploadProgress: (event) => onProgress?.(event.total ? event.loaded / event.total : 0),
+            }, 'Failed to upload file.');
+            return data.filePath;
+        },
+        resolveMediaUrl: (path) => (!path || /^(https?:|blob:|data:)/.test(path) ? path : `${origin}${path}`),
+        login: async (credentials) => {
+            try {
+                const response = await axios.post(`${origin}/api/auth/login`, credentials);
+                return toSession(response.data);
+            } catch (error) {
+                throw error.response?.status === 401
+                    ? new ApiError('Invalid username or password.', 401)
+                    : toApiError(error, 'Sign-in failed.');
+            }
+        },
+        // Bearer token on every backend request (see ./auth); returns the detach function
+        attachAuth: (handlers) => installAuthInterceptor(http, handlers),
+        ...(liveOrigin && { connectLive }),
+    };
+};
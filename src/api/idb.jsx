@@ -0,0 +1,37 @@
+// --- SHARED IndexedDB HELPERS (local adapter and offline outbox) ---
+
+// Wraps an IDBRequest in a promise
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Opens `name`, letting `upgrade(db)` create the object stores on first use / version bumps
+export const openDatabase = (name, version, upgrade) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => upgrade(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Runs `work(stores)` in one transaction and resolves with its result once the transaction commits
+export const withStores = async (db, storeNames, mode, work) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+    const committed = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    const [result] = await Promise.all([work(stores), committed]);
+    return result;
+};
+
+export const newId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+// Same Feature shape as the Express backend returns from /buildings, built from a create/update payload
+export const toFeature = (id, { location, buildingInfo, ...properties }, previous = {}) => ({
+    type: 'Feature',
+    geometry: location,
+    properties: { ...previous, ...properties, height: buildingInfo?.height ?? previous.height, id },
+});
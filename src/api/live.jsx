@@ -0,0 +1,170 @@
+import { newId } from './idb';
+
+// --- LIVE UPDATES CHANNEL (WebSocket, with Server-Sent Events as the fallback) ---
+// Server -> client messages (JSON, the same over both transports):
+//   { type: 'building.created' | 'building.updated', feature, clientId }   Feature as returned by /api/map/buildings
+//   { type: 'building.deleted', id, clientId }
+//   { type: 'presence', users: [{ clientId, name, role, activity, since }] }
+// Building events carry the clientId from the X-Live-Client header of the request that made the
+// change, so a tab can skip the echo of its own saves.
+// Client -> server: { type: 'presence', clientId, user: { name, role }, activity }, sent over the
+// socket, or POSTed to /api/live/presence while on SSE. scripts/live-server.js is a stand-in server.
+// Signed-in tabs never put their token in a URL: each connection first trades it (Bearer header)
+// for a single-use ticket at POST /api/live/ticket and connects with `?ticket=`.
+
+const RETRY_DELAYS_MS = [1000, 2000, 5000, 10000, 30000]; // Reconnect back-off (the last one repeats)
+const UNAVAILABLE_RETRY_MS = 60 * 1000; // Neither transport answered: the backend may not support live updates
+const SSE_PRESENCE_INTERVAL_MS = 30 * 1000; // SSE presence is re-sent so the server can drop closed tabs
+
+const toWebSocketUrl = (origin) => origin.replace(/^http/, 'ws');
+
+// Single-use connection ticket for the signed-in user; null for guests. A backend without tickets
+// (or one that is down) gets a guest connection, which still receives every building event.
+const requestTicket = async (origin, clientId, token) => {
+    if (!token) return null;
+    try {
+        const response = await fetch(`${origin}/api/live/ticket`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ clientId }),
+        });
+        return response.ok ? (await response.json()).ticket ?? null : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Opens the live channel at `origin` and keeps it open: WebSocket first, then SSE if the socket
+ * cannot be opened at all (proxies that block upgrades). Dropped connections retry with back-off,
+ * each with a fresh ticket from `getToken()`.
+ * `onStatus(status, transport)` reports 'connecting' | 'live' | 'reconnecting' | 'unavailable'.
+ * Returns { clientId, setPresence({ user, activity }), close() }.
+ */
+export const connectLiveChannel = (origin, { getToken, onEvent, onPresence, onStatus }) => {
+    const clientId = newId();
+    let presence = null;
+    let transport = typeof WebSocket === 'undefined' ? 'sse' : 'websocket';
+    let connection = null; // { send(message), close() } of the open transport
+    let attempt = 0;
+    let retryTimer = null;
+    let closed = false;
+
+    const query = (ticket) => `clientId=${encodeURIComponent(clientId)}${ticket ? `&ticket=${encodeURIComponent(ticket)}` : ''}`;
+
+    const presenceMessage = () => presence && { type: 'presence', clientId, ...presence };
+
+    const handleMessage = (data) => {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            return; // Keep-alives and anything that isn't ours
+        }
+        if (message.type === 'presence') onPresence(message.users || []);
+        else if (message.type?.startsWith('building.') && message.clientId !== clientId) onEvent(message); // Not our own saves
+    };
+
+    const scheduleRetry = (delay) => {
+        connection = null;
+        if (closed) return;
+        onStatus(delay === UNAVAILABLE_RETRY_MS ? 'unavailable' : 'reconnecting', transport);
+        retryTimer = setTimeout(connect, delay);
+    };
+
+    const nextDelay = () => RETRY_DELAYS_MS[Math.min(attempt++, RETRY_DELAYS_MS.length - 1)];
+
+    const connectWebSocket = (ticket) => {
+        const socket = new WebSocket(`${toWebSocketUrl(origin)}/api/live?${query(ticket)}`);
+        let opened = false;
+        socket.onopen = () => {
+            opened = true;
+            attempt = 0;
+            onStatus('live', 'websocket');
+            const message = presenceMessage();
+            if (message) socket.send(JSON.stringify(message));
+        };
+        socket.onmessage = (event) => handleMessage(event.data);
+        socket.onclose = () => {
+            if (closed) return;
+            if (!opened) {
+                transport = 'sse'; // The upgrade never went through: use SSE from now on
+                connection = null;
+                connect();
+                return;
+            }
+            scheduleRetry(nextDelay());
+        };
+        return {
+            send: (message) => socket.readyState === WebSocket.OPEN && socket.send(JSON.stringify(message)),
+            close: () => socket.close(),
+        };
+    };
+
+    const connectEventSource = (ticket) => {
+        const source = new EventSource(`${origin}/api/live/events?${query(ticket)}`);
+        let opened = false;
+        let presenceTimer = null;
+
+        const postPresence = (message) => {
+            const token = getToken?.();
+            fetch(`${origin}/api/live/presence`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+                body: JSON.stringify(message),
+                keepalive: true,
+            }).catch(() => {}); // Re-sent on the next interval or reconnect
+        };
+
+        source.onopen = () => {
+            opened = true;
+            attempt = 0;
+            onStatus('live', 'sse');
+            const sendPresence = () => {
+                const message = presenceMessage();
+                if (message) postPresence(message);
+            };
+            sendPresence();
+            presenceTimer = setInterval(sendPresence, SSE_PRESENCE_INTERVAL_MS);
+        };
+        source.onmessage = (event) => handleMessage(event.data);
+        source.onerror = () => {
+            // Reconnects go through connect() rather than the browser's own retry, which would
+            // reuse the spent ticket. Never opened: e.g. a 404 from a backend without live updates.
+            clearInterval(presenceTimer);
+            source.close();
+            scheduleRetry(opened ? nextDelay() : UNAVAILABLE_RETRY_MS);
+        };
+        return {
+            send: (message) => opened && postPresence(message),
+            close: () => {
+                clearInterval(presenceTimer);
+                source.close();
+            },
+        };
+    };
+
+    const connect = async () => {
+        if (closed) return;
+        onStatus('connecting', transport);
+        const ticket = await requestTicket(origin, clientId, getToken?.());
+        if (closed) return;
+        connection = transport === 'websocket' ? connectWebSocket(ticket) : connectEventSource(ticket);
+    };
+
+    connect();
+
+    return {
+        clientId, // Lets the UI tell this tab apart in the presence list
+        setPresence: (nextPresence) => {
+            presence = nextPresence;
+            connection?.send(presenceMessage());
+        },
+        close: () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            connection?.close();
+            connection = null;
+        },
+    };
+};
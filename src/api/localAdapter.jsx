@@ -0,0 +1,173 @@
+import axios from 'axios';
+import { ApiError } from './errors';
+import { requestToPromise, openDatabase, withStores, newId, toFeature } from './idb';
+import { ROLES, toSession } from './auth';
+
+// --- IndexedDB layout ---
+const DB_NAME = 'ins-local-backend';
+const DB_VERSION = 2;
+const BUILDINGS_STORE = 'buildings'; // GeoJSON Features keyed by properties.id
+const PANORAMAS_STORE = 'panoramas'; // { id, name, type, blob }
+const META_STORE = 'meta'; // { key, value }, e.g. whether the seed file was loaded
+const REVISIONS_STORE = 'revisions'; // { seq, buildingId, revision, action, author, timestamp, building } (version 2)
+
+// Uploaded panoramas are referenced as `local-media/<id>` in imageURL / tour scenes
+const MEDIA_PREFIX = 'local-media/';
+
+// Creates whatever a database from an older version is missing
+const createStores = (db) => {
+    const has = (name) => db.objectStoreNames.contains(name);
+    if (!has(BUILDINGS_STORE)) db.createObjectStore(BUILDINGS_STORE, { keyPath: 'properties.id' });
+    if (!has(PANORAMAS_STORE)) db.createObjectStore(PANORAMAS_STORE, { keyPath: 'id' });
+    if (!has(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'key' });
+    if (!has(REVISIONS_STORE)) {
+        db.createObjectStore(REVISIONS_STORE, { keyPath: 'seq', autoIncrement: true }).createIndex('buildingId', 'buildingId');
+    }
+};
+
+// Demo sign-in: there is no server to check passwords, so the username picks the role
+// ('admin' / 'editor' / 'viewer'; anything else signs in as a viewer)
+const LOCAL_SESSION_MS = 8 * 60 * 60 * 1000;
+
+// Mirrors the backend's 400 responses for data it would reject
+const assertValidBuilding = (buildingData) => {
+    if (!buildingData.name) throw new ApiError('Building name is required.', 400);
+    if (buildingData.location?.type !== 'Polygon') throw new ApiError('Location must be a GeoJSON Polygon.', 400);
+};
+
+/**
+ * Adapter that keeps buildings and uploaded panoramas in this browser's IndexedDB, so the app
+ * runs without the Render server (demos, offline work, development). On first run the database
+ * is seeded from `seedUrl` (a GeoJSON FeatureCollection; missing file = start empty).
+ */
+export const createLocalAdapter = ({ seedUrl }) => {
+    const mediaUrls = new Map(); // panorama id -> object URL (kept for the page's lifetime)
+    let readyPromise = null;
+    let getUser = () => null; // Signed-in user, set by attachAuth; revisions are signed with it
+
+    const cacheMediaUrl = ({ id, blob }) => {
+        if (!mediaUrls.has(id)) mediaUrls.set(id, URL.createObjectURL(blob));
+        return mediaUrls.get(id);
+    };
+
+    // Opens the database, seeds it once, and prepares object URLs for stored panoramas
+    const ready = () => {
+        if (!readyPromise) {
+            readyPromise = (async () => {
+                const db = await openDatabase(DB_NAME, DB_VERSION, createStores);
+                const seeded = await withStores(db, [META_STORE], 'readonly',
+                    ({ [META_STORE]: meta }) => requestToPromise(meta.get('seeded')));
+
+                if (!seeded) {
+                    let features = [];
+                    try {
+                        const response = await axios.get(seedUrl);
+                        features = response.data?.features || [];
+                    } catch (error) {
+                        console.warn(`Local backend: no seed data at ${seedUrl}, starting empty.`, error.message);
+                    }
+                    await withStores(db, [BUILDINGS_STORE, META_STORE], 'readwrite', (stores) => {
+                        features.forEach(feature => stores[BUILDINGS_STORE].put({
+                            ...feature,
+                            properties: { ...feature.properties, id: feature.properties?.id ?? newId() },
+                        }));
+                        stores[META_STORE].put({ key: 'seeded', value: true });
+                    });
+                }
+
+                const panoramas = await withStores(db, [PANORAMAS_STORE], 'readonly',
+                    ({ [PANORAMAS_STORE]: store }) => requestToPromise(store.getAll()));
+                panoramas.forEach(cacheMediaUrl);
+                return db;
+            })().catch(error => {
+                readyPromise = null;
+                throw new ApiError(`Local database unavailable: ${error.message}`);
+            });
+        }
+        return readyPromise;
+    };
+
+    const getBuilding = async (db, id) => {
+        const feature = await withStores(db, [BUILDINGS_STORE], 'readonly',
+            ({ [BUILDINGS_STORE]: store }) => requestToPromise(store.get(id)));
+        if (!feature) throw new ApiError('Building not found.', 404);
+        return feature;
+    };
+
+    const readRevisions = (revisions, id) => requestToPromise(revisions.index('buildingId').getAll(id));
+
+    // Saves `feature` and records it as the building's next revision, in the same transaction.
+    // Buildings from before history was kept (seeded ones) first get their stored copy as revision 1.
+    const saveRevision = async (db, feature, action, previous = null) => {
+        const user = getUser();
+        await withStores(db, [BUILDINGS_STORE, REVISIONS_STORE], 'readwrite', async (stores) => {
+            const id = feature.properties.id;
+            const existing = await readRevisions(stores[REVISIONS_STORE], id);
+            const add = (building, revision, entryAction, author, timestamp) => stores[REVISIONS_STORE].add({
+                buildingId: id, revision, action: entryAction, author, timestamp, building,
+            });
+            const needsBaseline = existing.length === 0 && previous;
+            if (needsBaseline) add(previous, 1, 'create', null, null);
+            add(feature, existing.length + (needsBaseline ? 2 : 1), action, user && { name: user.name, role: user.role }, new Date().toISOString());
+            stores[BUILDINGS_STORE].put(feature);
+        });
+    };
+
+    return {
+        name: 'local',
+        fetchBuildings: async () => {
+            const db = await ready();
+            const features = await withStores(db, [BUILDINGS_STORE], 'readonly',
+                ({ [BUILDINGS_STORE]: store }) => requestToPromise(store.getAll()));
+            return { type: 'FeatureCollection', features };
+        },
+        createBuilding: async (buildingData) => {
+            assertValidBuilding(buildingData);
+            const db = await ready();
+            const feature = toFeature(newId(), buildingData);
+            await saveRevision(db, feature, 'create');
+            return { msg: 'Building saved locally.', building: feature };
+        },
+        updateBuilding: async (id, buildingData) => {
+            assertValidBuilding(buildingData);
+            const db = await ready();
+            const previous = await getBuilding(db, id);
+            const feature = toFeature(id, buildingData, previous.properties);
+            await saveRevision(db, feature, 'update', previous);
+            return { msg: 'Building updated locally.', building: feature };
+        },
+        deleteBuilding: async (id) => {
+            const db = await ready();
+            await getBuilding(db, id);
+            await withStores(db, [BUILDINGS_STORE], 'readwrite', ({ [BUILDINGS_STORE]: store }) => store.delete(id));
+            return { msg: 'Building deleted locally.' };
+        },
+        fetchBuildingHistory: async (id) => {
+            const db = await ready();
+            await getBuilding(db, id);
+            return withStores(db, [REVISIONS_STORE], 'readonly', ({ [REVISIONS_STORE]: store }) => readRevisions(store, id));
+        },
+        uploadPanorama: async (file, { onProgress, signal } = {}) => {
+            if (signal?.aborted) throw new ApiError('Upload canceled.', null, { canceled: true });
+            const db = await ready();
+            const record = { id: newId(), name: file.name, type: file.type, blob: file };
+            await withStores(db, [PANORAMAS_STORE], 'readwrite', ({ [PANORAMAS_STORE]: store }) => store.add(record));
+            cacheMediaUrl(record);
+            onProgress?.(1);
+            return `${MEDIA_PREFIX}${record.id}`;
+        },
+        // Stored panoramas resolve to object URLs once the database is ready (fetchBuildings runs first)
+        resolveMediaUrl: (path) => (path?.startsWith(MEDIA_PREFIX) ? mediaUrls.get(path.slice(MEDIA_PREFIX.length)) || '' : path),
+        login: async ({ username }) => {
+            const name = username?.trim();
+            if (!name) throw new ApiError('Username is required.', 400);
+            const role = ROLES.includes(name.toLowerCase()) ? name.toLowerCase() : 'viewer';
+            return toSession({ token: `local-${newId()}`, user: { name, role }, expiresAt: Date.now() + LOCAL_SESSION_MS });
+        },
+        // Nothing is sent over the network; the user is only read to sign revisions
+        attachAuth: (handlers) => {
+            getUser = handlers.getUser ?? (() => null);
+            return () => { getUser = () => null; };
+        },
+    };
+};
@@ -0,0 +1,317 @@
+import { ApiError } from './errors';
+import { requestToPromise, openDatabase, withStores, newId, toFeature } from './idb';
+
+// --- IndexedDB layout ---
+const DB_NAME = 'ins-outbox';
+const DB_VERSION = 1;
+const OPS_STORE = 'ops'; // Queued writes in the order they were made (auto-increment `seq`)
+const META_STORE = 'meta'; // { key, value }: the last buildings collection fetched from the server
+
+// Panoramas uploaded offline are referenced as `outbox-media/<id>` until the upload replays
+const MEDIA_PREFIX = 'outbox-media/';
+// Buildings created offline get `outbox-<seq>` ids until the server assigns a real one
+const PENDING_ID_PREFIX = 'outbox-';
+
+const QUEUED_MESSAGE = 'Offline: saved to the outbox. It will sync automatically when you reconnect.';
+
+const createStores = (db) => {
+    db.createObjectStore(OPS_STORE, { keyPath: 'seq', autoIncrement: true });
+    db.createObjectStore(META_STORE, { keyPath: 'key' });
+};
+
+// Raised during replay when the server copy no longer matches what the offline edit was based on
+class OutboxConflict extends Error {}
+
+// Raised during replay when an operation still needs a queued upload that hasn't synced (e.g. it failed)
+class OutboxBlocked extends Error {}
+
+// Path returned by api.uploadPanorama while the upload itself is still queued
+export const isQueuedMediaPath = (path) => Boolean(path?.startsWith(MEDIA_PREFIX));
+
+const isPendingId = (id) => String(id).startsWith(PENDING_ID_PREFIX);
+const snapshot = (feature) => (feature ? JSON.stringify([feature.geometry, feature.properties]) : null);
+const usesQueuedMedia = (payload) => JSON.stringify(payload).includes(MEDIA_PREFIX);
+const queuedMediaIds = (payload) => [...JSON.stringify(payload).matchAll(new RegExp(`${MEDIA_PREFIX}([\\w-]+)`, 'g'))].map(match => match[1]);
+
+// What the pending-changes list shows for an operation (blobs and payloads stay in IndexedDB)
+const toSummary = ({ seq, type, label, status, message, createdAt }) => ({ seq, type, label, status, message, createdAt });
+
+/**
+ * Persistent queue of building saves/edits/deletes and panorama uploads made while offline.
+ * Operations replay in order with `replay()`; uploads run first in the queue and their real
+ * paths are swapped into the later payloads. An edit or delete whose building changed (or
+ * disappeared) on the server since it was queued is held as a 'conflict' until the user keeps
+ * or discards it. `subscribe(listener)` reports the queue summaries after every change.
+ */
+export const createOutbox = (adapter) => {
+    const listeners = new Set();
+    const mediaUrls = new Map(); // media id -> object URL (or the real URL once uploaded)
+    const serverFeatures = new Map(); // building id -> Feature from the last successful fetch
+    let dbPromise = null;
+    let replaying = null;
+
+    const ready = () => {
+        if (!dbPromise) {
+            dbPromise = openDatabase(DB_NAME, DB_VERSION, createStores).catch(error => {
+                dbPromise = null;
+                throw new ApiError(`Offline outbox unavailable: ${error.message}`);
+            });
+        }
+        return dbPromise;
+    };
+
+    const readOps = async () => {
+        const db = await ready();
+        const ops = await withStores(db, [OPS_STORE], 'readonly', ({ [OPS_STORE]: store }) => requestToPromise(store.getAll()));
+        ops.filter(op => op.type === 'upload' && !mediaUrls.has(op.mediaId))
+            .forEach(op => mediaUrls.set(op.mediaId, URL.createObjectURL(op.blob)));
+        return ops;
+    };
+
+    const readOp = async (seq) => {
+        const db = await ready();
+        return withStores(db, [OPS_STORE], 'readonly', ({ [OPS_STORE]: store }) => requestToPromise(store.get(seq)));
+    };
+
+    const writeOps = async (work) => {
+        const db = await ready();
+        return withStores(db, [OPS_STORE], 'readwrite', ({ [OPS_STORE]: store }) => work(store));
+    };
+
+    const notify = async () => {
+        const summaries = (await readOps()).map(toSummary);
+        listeners.forEach(listener => listener(summaries));
+    };
+
+    const enqueue = async (op) => {
+        await writeOps(store => requestToPromise(store.add({ ...op, status: 'pending', message: null, createdAt: Date.now() })));
+        await notify();
+        return { msg: QUEUED_MESSAGE, queued: true };
+    };
+
+    const updateOp = async (seq, changes) => {
+        await writeOps(async store => {
+            const op = await requestToPromise(store.get(seq));
+            if (op) store.put({ ...op, ...changes });
+        });
+    };
+
+    // --- Last known server data (offline fallback + base for conflict checks) ---
+    const rememberBuildings = async (collection) => {
+        serverFeatures.clear();
+        collection.features.forEach(feature => serverFeatures.set(String(feature.properties.id), feature));
+        const db = await ready();
+        await withStores(db, [META_STORE], 'readwrite', ({ [META_STORE]: meta }) => meta.put({ key: 'buildings', value: collection }));
+    };
+
+    const lastBuildings = async () => {
+        const db = await ready();
+        const record = await withStores(db, [META_STORE], 'readonly', ({ [META_STORE]: meta }) => requestToPromise(meta.get('buildings')));
+        if (record) record.value.features.forEach(feature => serverFeatures.set(String(feature.properties.id), feature));
+        return record?.value ?? null;
+    };
+
+    // Shows queued creates/edits/deletes on top of the server data, so the map matches what the user did
+    const applyPending = async (collection) => {
+        let features = [...collection.features];
+        (await readOps()).forEach(op => {
+            if (op.type === 'create') {
+                features.push(toFeature(`${PENDING_ID_PREFIX}${op.seq}`, { ...op.payload, pending: true }));
+            } else if (op.type === 'update') {
+                features = features.map(f => (String(f.properties.id) === String(op.buildingId)
+                    ? toFeature(f.properties.id, { ...op.payload, pending: true }, f.properties)
+                    : f));
+            } else if (op.type === 'delete') {
+                features = features.filter(f => String(f.properties.id) !== String(op.buildingId));
+            }
+        });
+        return { ...collection, features };
+    };
+
+    // --- Replay ---
+    const runOp = async (op, loadServerFeature) => {
+        if (op.type === 'upload') {
+            const path = await adapter.uploadPanorama(new File([op.blob], op.label, { type: op.blob.type }));
+            const placeholder = `${MEDIA_PREFIX}${op.mediaId}`;
+            // Later payloads referencing the placeholder now get the real path
+            await writeOps(async store => {
+                const ops = await requestToPromise(store.getAll());
+                ops.filter(other => other.payload && usesQueuedMedia(other.payload)).forEach(other => {
+                    store.put({ ...other, payload: JSON.parse(JSON.stringify(other.payload).split(placeholder).join(path)) });
+                });
+            });
+            URL.revokeObjectURL(mediaUrls.get(op.mediaId));
+            mediaUrls.set(op.mediaId, adapter.resolveMediaUrl(path));
+            return;
+        }
+
+        if (op.payload && usesQueuedMedia(op.payload)) {
+            // Its upload is still queued (not synced yet, or failed and awaiting Keep / Discard): wait for it
+            const waitingFor = new Set(queuedMediaIds(op.payload));
+            if ((await readOps()).some(other => other.type === 'upload' && waitingFor.has(other.mediaId))) {
+                throw new OutboxBlocked('Waiting for its 360° image upload to sync first.');
+            }
+            throw new ApiError('Its 360° image upload was discarded.');
+        }
+        if (op.type === 'create') {
+            await adapter.createBuilding(op.payload);
+            return;
+        }
+
+        const current = await loadServerFeature(op.buildingId);
+        if (!op.force) {
+            if (!current) {
+                if (op.type === 'delete') return; // Already gone
+                throw new OutboxConflict('This building was deleted on the server.');
+            }
+            if (op.base !== null && snapshot(current) !== op.base) { // null base: the server copy was never seen
+                throw new OutboxConflict('This building was changed on the server after your offline edit.');
+            }
+        }
+        if (op.type === 'update') await adapter.updateBuilding(op.buildingId, op.payload);
+        else if (current) await adapter.deleteBuilding(op.buildingId);
+    };
+
+    // Replays the pending (and force-resolved) operations in order; stops at the first network failure
+    const replay = () => {
+        if (!replaying) {
+            replaying = (async () => {
+                let synced = 0;
+                let serverById = null;
+                const loadServerFeature = async (id) => {
+                    if (!serverById) {
+                        const collection = await adapter.fetchBuildings();
+                        await rememberBuildings(collection);
+                        serverById = new Map(serverFeatures);
+                    }
+                    return serverById.get(String(id)) ?? null;
+                };
+
+                for (const { seq } of await readOps()) {
+                    // Fresh copy: an upload earlier in this replay may have rewritten its payload
+                    const op = await readOp(seq);
+                    if (op?.status !== 'pending') continue;
+                    try {
+                        await runOp(op, loadServerFeature);
+                        await writeOps(store => store.delete(op.seq));
+                        synced++;
+                    } catch (error) {
+                        // Still offline, signed out, or waiting for an upload: keep this and the rest in order for the next replay
+                        if (error.network || error.status === 401 || error instanceof OutboxBlocked) break;
+                        await updateOp(op.seq, {
+                            status: error instanceof OutboxConflict ? 'conflict' : 'failed',
+                            message: error.message,
+                        });
+                    }
+                }
+                await notify();
+                return { synced };
+            })().finally(() => { replaying = null; });
+        }
+        return replaying;
+    };
+
+    return {
+        isPendingId,
+        subscribe: (listener) => {
+            listeners.add(listener);
+            notify().catch(error => console.warn('Outbox unavailable:', error.message));
+            return () => listeners.delete(listener);
+        },
+        replay,
+        rememberBuildings,
+        lastBuildings,
+        applyPending,
+
+        enqueueCreate: (payload) => enqueue({ type: 'create', label: payload.name, payload }),
+        enqueueUpdate: (id, payload) => enqueue({
+            type: 'update', label: payload.name, buildingId: id, payload, base: snapshot(serverFeatures.get(String(id))),
+        }),
+        enqueueDelete: (id) => {
+            const feature = serverFeatures.get(String(id));
+            return enqueue({ type: 'delete', label: feature?.properties.name || String(id), buildingId: id, base: snapshot(feature) });
+        },
+        enqueueUpload: async (file) => {
+            const mediaId = newId();
+            await enqueue({ type: 'upload', label: file.name, mediaId, blob: file }); // Its object URL is made when the queue is read
+            return `${MEDIA_PREFIX}${mediaId}`;
+        },
+
+        // Edits and deletes of a building that only exists in the outbox change its queued create
+        amendPendingCreate: async (id, payload) => {
+            const seq = Number(String(id).slice(PENDING_ID_PREFIX.length));
+            await updateOp(seq, { payload, label: payload.name });
+            await notify();
+            return { msg: QUEUED_MESSAGE, queued: true };
+        },
+        dropPendingCreate: async (id) => {
+            const seq = Number(String(id).slice(PENDING_ID_PREFIX.length));
+            await writeOps(store => store.delete(seq));
+            await notify();
+            return { msg: 'Removed from the outbox.', queued: true };
+        },
+
+        // Conflict/failure resolution: 'keep' retries the operation without the conflict check, 'discard' drops it
+        resolve: async (seq, action) => {
+            if (action === 'discard') await writeOps(store => store.delete(seq));
+            else await updateOp(seq, { status: 'pending', message: null, force: true });
+            await notify();
+        },
+
+        resolveMediaUrl: (path) => (path?.startsWith(MEDIA_PREFIX) ? mediaUrls.get(path.slice(MEDIA_PREFIX.length)) || '' : null),
+    };
+};
+
+/**
+ * Wraps an adapter so writes that cannot reach the backend go to the outbox instead of failing,
+ * and `fetchBuildings` falls back to the last fetched collection while offline. Pending changes
+ * are applied on top of whatever collection is returned.
+ */
+export const withOutbox = (adapter, outbox) => {
+    const isOffline = () => navigator.onLine === false;
+
+    // Tries the backend first unless the browser knows it is offline; only network failures are queued
+    const attempt = async (request, queue, { forceQueue = false } = {}) => {
+        if (forceQueue || isOffline()) return queue();
+        try {
+            return await request();
+        } catch (error) {
+            if (error.network) return queue();
+            throw error;
+        }
+    };
+
+    return {
+        ...adapter,
+        fetchBuildings: async () => {
+            let collection;
+            try {
+                collection = await adapter.fetchBuildings();
+                await outbox.rememberBuildings(collection).catch(error => console.warn('Outbox: buildings not cached.', error.message));
+            } catch (error) {
+                if (!error.network) throw error;
+                collection = await outbox.lastBuildings().catch(() => null);
+                if (!collection) throw error;
+            }
+            return outbox.applyPending(collection).catch(() => collection);
+        },
+        // Payloads pointing at a queued panorama must wait for that upload, so they are queued too
+        createBuilding: (buildingData) => attempt(
+            () => adapter.createBuilding(buildingData),
+            () => outbox.enqueueCreate(buildingData),
+            { forceQueue: usesQueuedMedia(buildingData) }
+        ),
+        updateBuilding: (id, buildingData) => (outbox.isPendingId(id)
+            ? outbox.amendPendingCreate(id, buildingData)
+            : attempt(
+                () => adapter.updateBuilding(id, buildingData),
+                () => outbox.enqueueUpdate(id, buildingData),
+                { forceQueue: usesQueuedMedia(buildingData) }
+            )),
+        deleteBuilding: (id) => (outbox.isPendingId(id)
+            ? outbox.dropPendingCreate(id)
+            : attempt(() => adapter.deleteBuilding(id), () => outbox.enqueueDelete(id))),
+        uploadPanorama: (file, options) => attempt(() => adapter.uploadPanorama(file, options), () => outbox.enqueueUpload(file)),
+        resolveMediaUrl: (path) => outbox.resolveMediaUrl(path) ?? adapter.resolveMediaUrl(path),
+    };
+};
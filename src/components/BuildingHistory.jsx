@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { outbox } from '../api/client';
+import { fetchBuildingHistory, revertToRevision, compareRevision, closeHistory } from '../redux/historySlice';
+import { buildRevisionList } from '../utils/buildingHistory';
+
+const ACTION_LABELS = { create: 'Created', update: 'Edited' };
+
+const formatTimestamp = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Before history was kept');
+
+/**
+ * History tab of the InfoPanel: every revision of `feature` with its author, time and changed
+ * fields. Selecting a revision draws its old/new footprints on the map (MapComponent reads
+ * `state.history.comparedRevision`) and, with `canRevert`, offers to restore that version.
+ */
+const BuildingHistory = ({ feature, canRevert }) => {
+    const dispatch = useDispatch();
+    const { revisions, loading, error, comparedRevision, revertStatus } = useSelector((state) => state.history);
+    const buildingId = feature.properties.id;
+    const isPending = outbox.isPendingId(buildingId);
+
+    // Reloads whenever the building itself changes (a save, a revert, or a live update from someone else)
+    const snapshot = useMemo(() => JSON.stringify(feature), [feature]);
+    useEffect(() => {
+        if (!isPending) dispatch(fetchBuildingHistory(buildingId));
+    }, [dispatch, buildingId, isPending, snapshot]);
+
+    // The comparison overlay goes away with the tab
+    useEffect(() => () => { dispatch(closeHistory()); }, [dispatch]);
+
+    const entries = useMemo(() => buildRevisionList(revisions), [revisions]);
+
+    const handleRevert = (entry) => {
+        if (!window.confirm(`Restore revision ${entry.revision} of "${feature.properties.name || buildingId}"? The current version stays in the history.`)) return;
+        dispatch(revertToRevision({ revision: entry, current: feature }));
+    };
+
+    if (isPending) {
+        return <p className="text-sm text-gray-600">This building is still in the offline outbox. Its history starts once it syncs.</p>;
+    }
+
+    return (
+        <div className="text-sm">
+            <div className="flex justify-between items-center mb-2">
+                <span className="text-gray-600">{loading ? 'Loading…' : `${entries.length} revision${entries.length === 1 ? '' : 's'}`}</span>
+                <button
+                    onClick={() => dispatch(fetchBuildingHistory(buildingId))}
+                    disabled={loading}
+                    className="text-xs text-indigo-600 hover:underline disabled:opacity-40"
+                >
+                    Refresh
+                </button>
+            </div>
+
+            {error && <p className="text-red-600 text-xs mb-2">{error}</p>}
+            {!loading && !error && entries.length === 0 && (
+                <p className="text-gray-600 text-xs">No changes recorded yet. Revisions are kept from the next save on.</p>
+            )}
+
+            <ul className="max-h-72 overflow-y-auto space-y-1">
+                {entries.map(entry => {
+                    const isCompared = entry.revision === comparedRevision;
+                    return (
+                        <li key={entry.revision} className={`rounded-lg border ${isCompared ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200'}`}>
+                            <button
+                                onClick={() => dispatch(compareRevision(isCompared ? null : entry.revision))}
+                                className="w-full text-left p-2"
+                                aria-expanded={isCompared}
+                            >
+                                <p className="flex justify-between gap-2">
+                                    <span className="font-semibold text-gray-800">
+                                        #{entry.revision} {entry.restores ? `Restored #${entry.restores}` : ACTION_LABELS[entry.action] || entry.action}
+                                    </span>
+                                    {entry.isCurrent && <span className="text-xs text-green-700">current</span>}
+                                </p>
+                                <p className="text-xs text-gray-600">
+                                    {entry.author ? `${entry.author.name} (${entry.author.role})` : 'Unknown author'} · {formatTimestamp(entry.timestamp)}
+                                </p>
+                                {!isCompared && entry.changes.length > 0 && (
+                                    <p className="text-xs text-gray-500 truncate">{entry.changes.map(change => change.label).join(', ')}</p>
+                                )}
+                            </button>
+
+                            {isCompared && (
+                                <div className="px-2 pb-2 space-y-1">
+                                    {entry.changes.length === 0 ? (
+                                        <p className="text-xs text-gray-500">Saved without changes.</p>
+                                    ) : (
+                                        <table className="w-full text-xs">
+                                            <tbody>
+                                                {entry.changes.map(change => (
+                                                    <tr key={change.field} className="align-top">
+                                                        <td className="pr-1 text-gray-500 whitespace-nowrap">{change.label}</td>
+                                                        <td className="text-red-700 line-through break-all">{change.before}</td>
+                                                        <td className="text-green-700 break-all">{change.after}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                    <p className="text-xs text-gray-500">
+                                        Map: <span className="text-red-600">- - before</span> · <span className="text-green-600">── after</span>
+                                    </p>
+                                    {canRevert && !entry.isCurrent && (
+                                        <button
+                                            onClick={() => handleRevert(entry)}
+                                            disabled={revertStatus === 'Reverting...'}
+                                            className="w-full bg-amber-500 hover:bg-amber-600 text-black font-semibold py-1 px-2 rounded-lg text-xs transition duration-150 shadow-md disabled:opacity-50"
+                                        >
+                                            Revert to this version ↩
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+
+            {revertStatus && (
+                <p className={`text-xs mt-2 ${revertStatus.startsWith('Error') ? 'text-red-600' : 'text-gray-600'}`}>{revertStatus}</p>
+            )}
+        </div>
+    );
+};
+
+export default BuildingHistory;
@@ -0,0 +1,201 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { importBuildings, setImportPreview, clearImport } from '../redux/mapSlice';
+import {
+    IMPORT_ACCEPT, parseImportFile, guessAttributeMapping, toBuildingPayload, validateImportedBuilding,
+} from '../utils/importers';
+import { BUILDING_CATEGORIES } from '../utils/categoryStyles';
+
+const DEFAULT_HEIGHT = 40; // Same default as DataEntryForm
+
+// Building fields that can be filled from a source attribute
+const MAPPED_FIELDS = [
+    { field: 'name', label: 'Name' },
+    { field: 'category', label: 'Category' },
+    { field: 'height', label: 'Height' },
+];
+
+/**
+ * Bulk import of buildings from GeoJSON, KML or CSV (WKT column):
+ * pick a file, map its attributes to name/category/height, review the per-feature errors
+ * (also shown on the map in red), then save every valid building in one batch.
+ */
+const BulkImportPanel = ({ onClose }) => {
+    const dispatch = useDispatch();
+    const { importProgress, buildings } = useSelector((state) => state.map);
+
+    const [fileName, setFileName] = useState(null);
+    const [features, setFeatures] = useState([]);
+    const [fileError, setFileError] = useState(null);
+    const [isDragActive, setIsDragActive] = useState(false);
+    const [mapping, setMapping] = useState({ name: '', category: '', height: '' });
+    const [fallbackCategory, setFallbackCategory] = useState('Building');
+    const [selectedIndex, setSelectedIndex] = useState(null);
+
+    // Every attribute name found in the file, for the mapping selects
+    const attributeKeys = useMemo(() => (
+        [...new Set(features.flatMap(feature => Object.keys(feature.properties || {})))]
+    ), [features]);
+
+    // Building payload + validation errors for each parsed feature
+    const rows = useMemo(() => features.map((feature, index) => {
+        const payload = toBuildingPayload(feature, mapping, { category: fallbackCategory, height: DEFAULT_HEIGHT });
+        const { errors, warnings, location } = validateImportedBuilding(payload, feature.parseError, BUILDING_CATEGORIES, buildings?.features);
+        return { index, payload: { ...payload, location }, errors, warnings };
+    }), [features, mapping, fallbackCategory, buildings]);
+
+    const validRows = rows.filter(row => row.errors.length === 0);
+    const isImporting = Boolean(importProgress && !importProgress.finished);
+    const canImport = !importProgress && validRows.length > 0; // One batch per file; loading a new file resets
+
+    // Mirror the rows on the map (invalid footprints in red)
+    useEffect(() => {
+        if (!fileName) return;
+        dispatch(setImportPreview({
+            type: 'FeatureCollection',
+            name: fileName,
+            selectedIndex,
+            features: rows
+                .filter(row => row.payload.location?.coordinates)
+                .map(row => ({
+                    type: 'Feature',
+                    geometry: row.payload.location,
+                    properties: { importIndex: row.index, valid: row.errors.length === 0, selected: row.index === selectedIndex },
+                })),
+        }));
+    }, [dispatch, fileName, rows, selectedIndex]);
+
+    // The preview and progress only make sense while the panel is open
+    useEffect(() => () => { dispatch(clearImport()); }, [dispatch]);
+
+    const loadFile = async (file) => {
+        if (!file) return;
+        dispatch(clearImport());
+        setFileError(null);
+        setSelectedIndex(null);
+        try {
+            const parsed = await parseImportFile(file);
+            if (parsed.length === 0) throw new Error('The file contains no features.');
+            setFeatures(parsed);
+            setMapping(guessAttributeMapping([...new Set(parsed.flatMap(f => Object.keys(f.properties || {})))]));
+            setFileName(file.name);
+        } catch (error) {
+            setFeatures([]);
+            setFileName(null);
+            setFileError(`Could not read ${file.name}: ${error.message}`);
+        }
+    };
+
+    const handleDrag = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setIsDragActive(e.type === 'dragenter' || e.type === 'dragover');
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setIsDragActive(false);
+        loadFile(e.dataTransfer.files?.[0]);
+    };
+
+    const handleImport = () => {
+        if (!canImport) return;
+        dispatch(importBuildings(validRows.map(row => row.payload)));
+    };
+
+    return (
+        <div className="absolute top-4 left-4 p-4 bg-white shadow-2xl rounded-xl w-96 max-h-[90vh] overflow-y-auto border border-gray-200 z-20">
+            <div className="flex justify-between items-center mb-3">
+                <h2 className="text-xl font-bold text-indigo-700">Bulk Import Buildings</h2>
+                <button onClick={onClose} disabled={isImporting} className="text-gray-500 hover:text-gray-800 disabled:opacity-40 text-lg">✕</button>
+            </div>
+
+            {/* 1. File drop (GeoJSON / KML / CSV) */}
+            <label
+                className={`block border-2 border-dashed rounded-lg p-4 text-center cursor-pointer transition duration-200
+                             ${isDragActive ? 'bg-indigo-100 border-indigo-500' : 'bg-gray-50 border-gray-300'}`}
+                onDragEnter={handleDrag} onDragLeave={handleDrag} onDragOver={handleDrag} onDrop={handleDrop}
+            >
+                <input type="file" accept={IMPORT_ACCEPT} className="hidden" disabled={isImporting}
+                    onChange={(e) => { loadFile(e.target.files?.[0]); e.target.value = ''; }} />
+                <p className="text-sm text-gray-700 font-medium">
+                    {isDragActive ? 'Drop the file here...' : 'Drag & Drop or click: GeoJSON, KML or CSV (WKT column)'}
+                </p>
+                {fileName && <p className="text-indigo-600 mt-2 text-xs font-semibold truncate">📄 {fileName} ({features.length} features)</p>}
+            </label>
+            {fileError && <p className="mt-2 text-sm text-red-600">{fileError}</p>}
+
+            {fileName && (
+                <>
+                    {/* 2. Attribute mapping */}
+                    <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+                        {MAPPED_FIELDS.map(({ field, label }) => (
+                            <React.Fragment key={field}>
+                                <label className="self-center font-medium text-gray-700">{label} ←</label>
+                                <select value={mapping[field]} disabled={isImporting}
+                                    onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+                                    className="border border-gray-300 rounded-lg p-1 bg-white">
+                                    <option value="">{field === 'name' ? '(none)' : '(use default)'}</option>
+                                    {attributeKeys.map(key => <option key={key} value={key}>{key}</option>)}
+                                </select>
+                            </React.Fragment>
+                        ))}
+                        <label className="self-center font-medium text-gray-700">Default category</label>
+                        <select value={fallbackCategory} disabled={isImporting}
+                            onChange={(e) => setFallbackCategory(e.target.value)}
+                            className="border border-gray-300 rounded-lg p-1 bg-white">
+                            {BUILDING_CATEGORIES.map(cat => <option key={cat} value={cat}>{cat}</option>)}
+                        </select>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">Missing heights default to {DEFAULT_HEIGHT} m.</p>
+
+                    {/* 3. Per-feature validation (click a row to zoom to it) */}
+                    <p className="mt-3 text-sm font-semibold text-gray-800">
+                        {validRows.length} of {rows.length} ready to import
+                    </p>
+                    <ul className="mt-1 max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100 text-xs">
+                        {rows.map(row => (
+                            <li key={row.index} onClick={() => setSelectedIndex(row.index)}
+                                className={`p-2 cursor-pointer ${row.index === selectedIndex ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}>
+                                <span className={row.errors.length ? 'text-red-600' : 'text-green-700'}>
+                                    {row.errors.length ? '✖' : '✔'}
+                                </span>
+                                {' '}#{row.index + 1} {row.payload.name || <em className="text-gray-400">unnamed</em>}
+                                {row.errors.map(message => <p key={message} className="text-red-600 ml-4">{message}</p>)}
+                                {row.warnings.map(message => <p key={message} className="text-amber-600 ml-4">⚠ {message}</p>)}
+                            </li>
+                        ))}
+                    </ul>
+
+                    {/* 4. Batch save */}
+                    <button onClick={handleImport} disabled={!canImport}
+                        className={`w-full font-bold py-2 rounded-lg shadow-md transition duration-150 mt-3
+                             ${canImport ? 'bg-indigo-600 hover:bg-indigo-700 text-white' : 'bg-gray-400 text-gray-700 cursor-not-allowed'}`}>
+                        {isImporting ? 'Importing...' : importProgress ? 'Imported' : `Import ${validRows.length} Building${validRows.length === 1 ? '' : 's'}`}
+                    </button>
+                </>
+            )}
+
+            {/* 5. Progress and final report */}
+            {importProgress && (
+                <div className="mt-3 text-sm">
+                    <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div className="h-full bg-indigo-600 transition-all"
+                            style={{ width: `${(importProgress.done / importProgress.total) * 100}%` }} />
+                    </div>
+                    <p className="mt-1 text-gray-700">
+                        {importProgress.finished ? 'Finished: ' : 'Saving... '}
+                        {importProgress.done - importProgress.failed.length} saved, {importProgress.failed.length} failed
+                        {' '}({importProgress.done}/{importProgress.total})
+                    </p>
+                    {importProgress.failed.map((failure, i) => (
+                        <p key={i} className="text-xs text-red-600">✖ {failure.name || 'unnamed'}: {failure.msg}</p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BulkImportPanel;
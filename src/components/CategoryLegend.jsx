@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { CATEGORY_STYLES } from '../utils/categoryStyles';
+
+/**
+ * Collapsible map legend that doubles as the category filter (state.filter.categories):
+ * clicking categories toggles them in and out of the selection; "Show all" clears it.
+ */
+const CategoryLegend = ({ selectedCategories, counts, onToggle, onShowAll }) => {
+    const [isOpen, setIsOpen] = useState(true);
+
+    return (
+        <div className="bg-stone-950/80 backdrop-blur-sm rounded-xl shadow-2xl border border-amber-300/30 text-amber-300 font-serif min-w-44">
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                className="w-full flex justify-between items-center px-3 py-2 text-sm tracking-widest text-white"
+                aria-expanded={isOpen}
+            >
+                Legend
+                <span className="text-amber-300/70 text-xs">{isOpen ? '▾' : '▸'}</span>
+            </button>
+
+            {isOpen && (
+                <ul className="px-2 pb-2 space-y-0.5">
+                    {Object.entries(CATEGORY_STYLES).map(([category, style]) => {
+                        const isSelected = selectedCategories.includes(category);
+                        return (
+                            <li key={category}>
+                                <button
+                                    onClick={() => onToggle(category)}
+                                    aria-pressed={isSelected}
+                                    className={`w-full flex items-center gap-2 px-2 py-1 rounded-lg text-xs transition duration-150
+                                        ${isSelected ? 'bg-amber-600/30 text-white' : 'hover:bg-blue-900/70'}
+                                        ${selectedCategories.length > 0 && !isSelected ? 'opacity-50' : ''}`}
+                                >
+                                    <span className="w-3 h-3 rounded-sm border border-white/50 flex-shrink-0"
+                                        style={{ backgroundColor: style.color, opacity: style.opacity }} />
+                                    <span>{style.icon}</span>
+                                    <span className="flex-grow text-left">{category}</span>
+                                    <span className="text-amber-300/60 font-mono">{counts[category] ?? 0}</span>
+                                </button>
+                            </li>
+                        );
+                    })}
+                    {selectedCategories.length > 0 && (
+                        <li>
+                            <button
+                                onClick={onShowAll}
+                                className="w-full mt-1 px-2 py-1 rounded-lg text-xs bg-stone-800/80 hover:bg-stone-900 border border-white/20"
+                            >
+                                Show all
+                            </button>
+                        </li>
+                    )}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default CategoryLegend;
@@ -1,37 +1,276 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { saveNewBuilding, clearSubmitStatus, setLoading } from '../redux/mapSlice';
-import axios from 'axios';
+import {
+    saveNewBuilding, updateBuilding, clearSubmitStatus, setLoading,
+    setDraftFootprint, setDrawingFootprint, clearDraftFootprint, setFootprintIssues, stopEditingBuilding,
+    setDraftViewpoint, setPickingViewpoint, clearDraftViewpoint,
+} from '../redux/mapSlice';
+import TourEditor from './TourEditor';
+import { api } from '../api/client';
+import { isQueuedMediaPath } from '../api/outbox';
+import { getEditableScenes, buildTourPayload } from '../utils/tour';
+import { validateFootprint } from '../utils/geometryValidation';
+import { BUILDING_CATEGORIES } from '../utils/categoryStyles';
+import { PANORAMA_ACCEPT, checkPanorama, compressPanorama, throwIfAborted } from '../utils/panoramaImage';
+import { readExifGps } from '../utils/exif';
 
-const DataEntryForm = () => {
-    const dispatch = useDispatch();
-    const submitStatus = useSelector((state) => state.map.submitStatus);
+// Parses the textarea into polygon coordinates, or returns null while the text is not a usable ring yet
+const parseFootprint = (text) => {
+    try {
+        const coordinates = JSON.parse(text);
+        const ring = coordinates?.[0];
+        const isValidRing = Array.isArray(ring) && ring.length >= 3 &&
+            ring.every(p => Array.isArray(p) && p.length >= 2 && p.every(Number.isFinite));
+        return isValidRing ? coordinates : null;
+    } catch {
+        return null;
+    }
+};
 
-    // Express API base URL
-    const API_UPLOAD_URL = 'https://ins-back-end.onrender.com/api/map/upload';
+// Runs the shared geometry checks on the raw textarea (unparseable JSON is reported as an error too)
+const checkFootprintText = (text, options) => {
+    try {
+        return validateFootprint(JSON.parse(text), options);
+    } catch {
+        return { coordinates: null, issues: [{ severity: 'error', message: 'Invalid GeoJSON coordinates format.', vertex: null }], hasErrors: true };
+    }
+};
 
-    const [imagePath, setImagePath] = useState('');
-    const [isDragActive, setIsDragActive] = useState(false);
-    const [formData, setFormData] = useState({
-        name: 'New Building',
-        category: 'Building',
-        height: 40,
-        // The default is a closed polygon, but this is a starting template.
-        coordinates: `[[
+const ISSUE_STYLES = { error: 'text-red-600', warning: 'text-amber-600', fixed: 'text-gray-500' };
+const ISSUE_ICONS = { error: '✖', warning: '⚠', fixed: '🔧' };
+
+// Formats polygon coordinates the same way as the default template (one vertex per line)
+const formatFootprint = (coordinates) => {
+    const rings = coordinates.map(ring =>
+        ring.map(([lng, lat]) => `    [${+lng.toFixed(6)}, ${+lat.toFixed(6)}]`).join(',\n')
+    );
+    return `[[\n${rings.join('\n], [\n')}\n]]`;
+};
+
+// The default is a closed polygon, but this is a starting template.
+const DEFAULT_COORDINATES = `[[
     [83.2839, 17.6829],
     [83.2841, 17.6829],
     [83.2841, 17.6831],
     [83.2839, 17.6831],
     [83.2839, 17.6829] 
-]]`,
-    });
+]]`;
+
+// Optional glTF model fields (see utils/modelLayer); only the heading of `rotation` is editable here
+const getModelFields = (model) => ({
+    modelUrl: model?.url || '',
+    modelHeading: model?.rotation?.[1] ?? 0,
+    modelScale: model?.scale ?? 1,
+    modelAltitude: model?.altitude ?? 0,
+});
+
+// `model` for the payload: null without a URL; position and tilt from the stored record are kept
+const buildModelPayload = (formData, previousModel) => {
+    const url = formData.modelUrl.trim();
+    if (!url) return null;
+    const [tiltX = 0, , tiltZ = 0] = previousModel?.rotation || [];
+    return {
+        ...previousModel,
+        url,
+        rotation: [tiltX, parseFloat(formData.modelHeading) || 0, tiltZ],
+        scale: parseFloat(formData.modelScale) || 1,
+        altitude: parseFloat(formData.modelAltitude) || 0,
+    };
+};
+
+// Optional 360° viewpoint: where the panorama was taken and which way it faces (see utils/tour).
+// Without coordinates the camera marker sits at the footprint center.
+const getViewpointFields = (viewpoint) => ({
+    viewpointLng: viewpoint?.coordinates?.[0] ?? '',
+    viewpointLat: viewpoint?.coordinates?.[1] ?? '',
+    viewpointNorthOffset: viewpoint?.northOffset ?? '',
+    viewpointYaw: viewpoint?.yaw ?? '', // Empty: open facing the building
+});
+
+const formatCoordinate = (value) => +value.toFixed(6);
+
+// [lng, lat] from the viewpoint fields, or null while they are empty or out of range
+const parseViewpoint = ({ viewpointLng, viewpointLat }) => {
+    if (viewpointLng === '' || viewpointLat === '') return null;
+    const lng = Number(viewpointLng);
+    const lat = Number(viewpointLat);
+    return Math.abs(lng) <= 180 && Math.abs(lat) <= 90 ? [lng, lat] : null;
+};
+
+// `viewpoint` for the payload (a GeoJSON Point plus the optional heading), null when not placed
+const buildViewpointPayload = (formData) => {
+    const coordinates = parseViewpoint(formData);
+    if (!coordinates) return null;
+    const northOffset = parseFloat(formData.viewpointNorthOffset);
+    const yaw = parseFloat(formData.viewpointYaw);
+    return {
+        type: 'Point',
+        coordinates,
+        ...(Number.isFinite(northOffset) && { northOffset }),
+        ...(Number.isFinite(yaw) && { yaw }),
+    };
+};
+
+// Form fields for a new building (starting from a footprint already sent from the map, if any),
+// or pre-filled from the building being edited
+const getInitialFormData = (building, draftFootprint) => {
+    if (!building) {
+        const coordinates = draftFootprint ? formatFootprint(draftFootprint.coordinates) : DEFAULT_COORDINATES;
+        return { name: 'New Building', category: 'Building', height: 40, coordinates, ...getModelFields(null), ...getViewpointFields(null) };
+    }
+    const { properties, geometry } = building;
+    return {
+        name: properties.name || '',
+        category: properties.category || 'Building',
+        height: properties.height ?? 40,
+        coordinates: formatFootprint(geometry.coordinates),
+        ...getModelFields(properties.model),
+        ...getViewpointFields(properties.viewpoint),
+    };
+};
+
+// Unsaved input survives a page reload (e.g. signing in again after the session expired).
+// The draft is dropped when the form is closed on purpose.
+const DRAFT_STORAGE_KEY = 'ins-data-entry-draft';
+
+// Abort reason of an upload stopped because the form unmounted (rather than by its Cancel button)
+const FORM_CLOSED = 'form-closed';
+
+const loadDraft = (draftKey) => {
+    try {
+        const draft = JSON.parse(sessionStorage.getItem(DRAFT_STORAGE_KEY));
+        return draft?.draftKey === draftKey ? draft : null;
+    } catch {
+        return null;
+    }
+};
+
+const DataEntryForm = () => {
+    const dispatch = useDispatch();
+    const {
+        submitStatus, draftFootprint, isDrawingFootprint, draftViewpoint, isPickingViewpoint, editingBuilding, buildings,
+    } = useSelector((state) => state.map);
+    const coordinatesBeforeDraw = useRef(null); // Restored when the user cancels drawing
+
+    // App remounts the form (via `key`) whenever editingBuilding changes, so these initializers are enough
+    const draftKey = String(editingBuilding?.properties.id ?? 'new');
+    const [savedDraft] = useState(() => loadDraft(draftKey));
+    const [imagePath, setImagePath] = useState(savedDraft?.imagePath ?? (editingBuilding?.properties.imageURL || ''));
+    const [isDragActive, setIsDragActive] = useState(false);
+    // Upload in progress: { name, stage, progress (0..1 while sending, null before), previewUrl }
+    const [upload, setUpload] = useState(null);
+    const uploadControllerRef = useRef(null); // AbortController of the running upload (Cancel button)
+    const [formData, setFormData] = useState(() => savedDraft?.formData ?? getInitialFormData(editingBuilding, draftFootprint));
+    const [tourScenes, setTourScenes] = useState(() => savedDraft?.tourScenes ?? getEditableScenes(editingBuilding));
+    const [photoGps, setPhotoGps] = useState(null); // EXIF GPS of the last uploaded main image: { lng, lat, direction }
+    const initialCoordinates = useRef(formData.coordinates);
+    const initialViewpoint = useRef(parseViewpoint(formData));
 
-    // List of allowed categories from the Mongoose schema enum
-    const CATEGORY_OPTIONS = ['Building', 'Cabin', 'Security Pillar', 'Gate', 'Other', "main"];
+    // Keeps the unsaved input in sessionStorage while the form is open
+    useEffect(() => {
+        sessionStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ draftKey, formData, imagePath, tourScenes }));
+    }, [draftKey, formData, imagePath, tourScenes]);
+    useEffect(() => () => sessionStorage.removeItem(DRAFT_STORAGE_KEY), []);
+
+    // Closing the form stops a running upload (without leaving a "canceled" message behind)
+    useEffect(() => () => uploadControllerRef.current?.abort(FORM_CLOSED), []);
+
+    // Sends the textarea ring to the map so it appears as an editable shape
+    const syncDraftFromText = useCallback((text) => {
+        const coordinates = parseFootprint(text);
+        if (coordinates) {
+            dispatch(setDraftFootprint({ coordinates, origin: 'form' }));
+        }
+    }, [dispatch]);
 
     const handleChange = (e) => {
         dispatch(clearSubmitStatus());
-        setFormData({ ...formData, [e.target.name]: e.target.value });
+        const nextFormData = { ...formData, [e.target.name]: e.target.value };
+        setFormData(nextFormData);
+        if (e.target.name === 'coordinates') syncDraftFromText(e.target.value);
+        if (e.target.name === 'viewpointLng' || e.target.name === 'viewpointLat') {
+            const coordinates = parseViewpoint(nextFormData);
+            if (coordinates) dispatch(setDraftViewpoint({ coordinates, origin: 'form' }));
+            else if (!String(nextFormData.viewpointLng).trim() || !String(nextFormData.viewpointLat).trim()) {
+                dispatch(clearDraftViewpoint()); // An emptied field takes the marker off the map too
+            }
+        }
+    };
+
+    // --- FOOTPRINT VALIDATION (re-checked on every edit; offending vertices are highlighted on the map) ---
+    const footprintCheck = useMemo(() => checkFootprintText(formData.coordinates, {
+        existingBuildings: buildings?.features,
+        ignoreId: editingBuilding?.properties.id,
+    }), [formData.coordinates, buildings, editingBuilding]);
+
+    useEffect(() => {
+        dispatch(setFootprintIssues(footprintCheck.issues));
+    }, [dispatch, footprintCheck]);
+
+    // --- FOOTPRINT DRAWING (MapComponent <-> textarea) ---
+
+    // Show the initial template on the map, and drop the draft when the form closes
+    useEffect(() => {
+        syncDraftFromText(initialCoordinates.current);
+        return () => { dispatch(clearDraftFootprint()); };
+    }, [dispatch, syncDraftFromText]);
+
+    // Rings drawn or edited on the map (or taken from the logged clicks) are written back into the textarea
+    useEffect(() => {
+        if (draftFootprint && draftFootprint.origin !== 'form') {
+            setFormData(prev => ({ ...prev, coordinates: formatFootprint(draftFootprint.coordinates) }));
+        }
+    }, [draftFootprint]);
+
+    const startDrawing = () => {
+        coordinatesBeforeDraw.current = formData.coordinates;
+        dispatch(setDrawingFootprint(true));
+    };
+
+    const finishDrawing = () => {
+        coordinatesBeforeDraw.current = null;
+        dispatch(setDrawingFootprint(false));
+    };
+
+    const cancelDrawing = () => {
+        const previous = coordinatesBeforeDraw.current;
+        if (previous !== null) {
+            setFormData(prev => ({ ...prev, coordinates: previous }));
+            syncDraftFromText(previous);
+        }
+        finishDrawing();
+    };
+
+    // --- 360° VIEWPOINT (map click / marker drag <-> fields, or the photo's EXIF GPS) ---
+
+    // Show the stored viewpoint on the map, and drop it when the form closes
+    useEffect(() => {
+        if (initialViewpoint.current) dispatch(setDraftViewpoint({ coordinates: initialViewpoint.current, origin: 'form' }));
+        return () => { dispatch(clearDraftViewpoint()); };
+    }, [dispatch]);
+
+    // Points picked or dragged on the map are written back into the fields
+    useEffect(() => {
+        if (draftViewpoint?.origin === 'map') {
+            const [lng, lat] = draftViewpoint.coordinates;
+            setFormData(prev => ({ ...prev, viewpointLng: formatCoordinate(lng), viewpointLat: formatCoordinate(lat) }));
+        }
+    }, [draftViewpoint]);
+
+    // GPSImgDirection, when the camera recorded it, is the compass bearing of the panorama's center
+    const applyPhotoGps = (gps) => {
+        setFormData(prev => ({
+            ...prev,
+            viewpointLng: formatCoordinate(gps.lng),
+            viewpointLat: formatCoordinate(gps.lat),
+            ...(gps.direction !== null && { viewpointNorthOffset: Math.round(gps.direction * 10) / 10 }),
+        }));
+        dispatch(setDraftViewpoint({ coordinates: [gps.lng, gps.lat], origin: 'form' }));
+    };
+
+    const clearViewpoint = () => {
+        setFormData(prev => ({ ...prev, ...getViewpointFields(null) }));
+        dispatch(clearDraftViewpoint());
     };
 
     // --- DRAG-AND-DROP LOGIC (Unchanged) ---
@@ -47,31 +286,69 @@ const DataEntryForm = () => {
         setIsDragActive(false);
 
         if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-            await uploadFile(e.dataTransfer.files[0]);
+            await handleMainImage(e.dataTransfer.files[0]);
         }
     };
 
-    // --- FILE UPLOAD LOGIC (Unchanged) ---
+    // The main panorama's GPS position becomes the viewpoint unless one was already placed
+    const handleMainImage = async (file) => {
+        if (!file || upload) return;
+        const hasViewpoint = Boolean(parseViewpoint(formData));
+        const gps = await readExifGps(file).catch(() => null); // Read before compression drops the EXIF block
+        const filePath = await uploadFile(file);
+        if (!filePath) return;
+        setImagePath(filePath);
+        setPhotoGps(gps);
+        if (gps && !hasViewpoint) applyPhotoGps(gps);
+    };
+
+    // --- FILE UPLOAD LOGIC: check → compress (worker, if too large) → upload with progress.
+    // Resolves to the stored file path (null on failure or cancel) ---
     const uploadFile = async (file) => {
         dispatch(clearSubmitStatus());
+        const controller = new AbortController();
+        uploadControllerRef.current = controller;
+        const previewUrl = URL.createObjectURL(file);
+        setUpload({ name: file.name, stage: 'Checking image...', progress: null, previewUrl });
         dispatch(setLoading(true));
-        const form = new FormData();
-        form.append('360Image', file);
-
         try {
-            const response = await axios.post(API_UPLOAD_URL, form, {
-                headers: { 'Content-Type': 'multipart/form-data' },
+            // Cancel is checked around every step: a step that finishes just after it must not carry on
+            const check = await checkPanorama(file, controller.signal);
+            throwIfAborted(controller.signal);
+            if (check.errors.length > 0) throw new Error(check.errors.join(' '));
+
+            let prepared = file;
+            if (check.needsCompression) {
+                setUpload(prev => ({ ...prev, stage: 'Compressing...' }));
+                prepared = await compressPanorama(file, check, controller.signal);
+                throwIfAborted(controller.signal);
+            }
+
+            setUpload(prev => ({ ...prev, stage: 'Uploading...', progress: 0 }));
+            const filePath = await api.uploadPanorama(prepared, {
+                signal: controller.signal,
+                onProgress: (progress) => setUpload(prev => prev && { ...prev, progress }),
             });
-            setImagePath(response.data.filePath);
-            dispatch(setLoading(false));
-            dispatch(saveNewBuilding.fulfilled({ msg: 'Image uploaded! Ready to save data.' }, 'upload_success'));
+            throwIfAborted(controller.signal);
+            const msg = isQueuedMediaPath(filePath)
+                ? 'Offline: image queued for upload. You can still save the building.'
+                : 'Image uploaded! Ready to save data.';
+            dispatch(saveNewBuilding.fulfilled({ msg }, 'upload_success'));
+            return filePath;
         } catch (error) {
+            if (controller.signal.reason === FORM_CLOSED) return null;
+            const payload = error.canceled ? 'Upload canceled.' : 'Error uploading file: ' + error.message;
+            dispatch(saveNewBuilding.rejected({ payload }, 'upload_error'));
+            return null;
+        } finally {
             dispatch(setLoading(false));
-            dispatch(saveNewBuilding.rejected({ payload: 'Error uploading file: ' + (error.response?.data?.msg || error.message) }, 'upload_error'));
+            URL.revokeObjectURL(previewUrl);
+            uploadControllerRef.current = null;
+            setUpload(null);
         }
     };
 
-    // --- FORM SUBMISSION (MODIFIED to close polygon) ---
+    // --- FORM SUBMISSION (footprint validated by validateFootprint) ---
     const handleSubmit = async (e) => {
         e.preventDefault();
         dispatch(clearSubmitStatus());
@@ -81,31 +358,13 @@ const DataEntryForm = () => {
             return;
         }
 
-        let parsedCoordinates;
-        try {
-            parsedCoordinates = JSON.parse(formData.coordinates);
-        } catch (err) {
-            dispatch(saveNewBuilding.rejected({ payload: 'Invalid GeoJSON coordinates format.' }, 'submit_error'));
+        // Hard geometry errors block saving; safe fixes (closing, duplicates, winding) are applied
+        if (footprintCheck.hasErrors) {
+            const firstError = footprintCheck.issues.find(issue => issue.severity === 'error');
+            dispatch(saveNewBuilding.rejected({ payload: `Footprint: ${firstError.message}` }, 'submit_error'));
             return;
         }
 
-        // --- CRITICAL MODIFICATION: Auto-Close Polygon ---
-        if (parsedCoordinates.length > 0 && parsedCoordinates[0].length >= 3) {
-            const linearRing = parsedCoordinates[0];
-            const firstPoint = linearRing[0];
-            const lastPoint = linearRing[linearRing.length - 1];
-
-            // Deep comparison to check if the polygon is already closed
-            if (firstPoint[0] !== lastPoint[0] || firstPoint[1] !== lastPoint[1]) {
-                // If the first and last points are NOT equal, add the first point to the end.
-                linearRing.push(firstPoint);
-                // Update the coordinates structure (parsedCoordinates is already a reference)
-                parsedCoordinates[0] = linearRing;
-                console.log("Polygon automatically closed.");
-            }
-        }
-        // --- END CRITICAL MODIFICATION ---
-
         // Final data payload for Mongoose
         const payload = {
             name: formData.name,
@@ -113,23 +372,44 @@ const DataEntryForm = () => {
             buildingInfo: { height: parseFloat(formData.height) },
             location: {
                 type: 'Polygon',
-                coordinates: parsedCoordinates // Use the safely parsed and closed coordinates
+                coordinates: footprintCheck.coordinates // Validated and repaired (closed, deduplicated, CCW) coordinates
             },
             imageURL: imagePath,
+            tour: buildTourPayload(tourScenes, imagePath), // null = single panorama
+            model: buildModelPayload(formData, editingBuilding?.properties.model), // null = extrusion only
+            viewpoint: buildViewpointPayload(formData), // null = camera marker at the footprint center
         };
 
+        // Editing: update in place (the thunk closes the form on success)
+        if (editingBuilding) {
+            dispatch(setDrawingFootprint(false));
+            dispatch(updateBuilding({ id: editingBuilding.properties.id, buildingData: payload }));
+            return;
+        }
+
         // Dispatch the Redux Thunk to save the data
         dispatch(saveNewBuilding(payload));
 
         // Reset form fields after successful dispatch
+        const resetCoordinates = '[[[78.61, 13.27], [78.615, 13.27], [78.615, 13.275], [78.61, 13.275], [78.61, 13.27]]]';
         setImagePath('');
-        setFormData({ ...formData, name: 'New Building', category: 'Building', height: 40, coordinates: '[[[78.61, 13.27], [78.615, 13.27], [78.615, 13.275], [78.61, 13.275], [78.61, 13.27]]]' });
+        setTourScenes(getEditableScenes(null));
+        setFormData({
+            ...formData, name: 'New Building', category: 'Building', height: 40, coordinates: resetCoordinates,
+            ...getModelFields(null), ...getViewpointFields(null),
+        });
+        setPhotoGps(null);
+        dispatch(setDrawingFootprint(false));
+        dispatch(clearDraftViewpoint());
+        syncDraftFromText(resetCoordinates);
     };
 
     return (
         <form onSubmit={handleSubmit}
-            className="absolute top-4 left-4 p-4 bg-white shadow-2xl rounded-xl max-w-sm border border-gray-200 z-20">
-            <h2 className="text-xl font-bold text-indigo-700 mb-4">Add New Location Data</h2>
+            className="absolute top-4 left-4 p-4 bg-white shadow-2xl rounded-xl max-w-sm max-h-[90vh] overflow-y-auto border border-gray-200 z-20">
+            <h2 className="text-xl font-bold text-indigo-700 mb-4">
+                {editingBuilding ? `Edit ${editingBuilding.properties.name || 'Building'}` : 'Add New Location Data'}
+            </h2>
 
             {/* Name Field (Unchanged) */}
             <div className="mb-3">
@@ -143,7 +423,7 @@ const DataEntryForm = () => {
                 <label className="block text-sm font-medium text-gray-700">Category</label>
                 <select name="category" value={formData.category} onChange={handleChange}
                     className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2 text-sm bg-white" required>
-                    {CATEGORY_OPTIONS.map(cat => (
+                    {BUILDING_CATEGORIES.map(cat => (
                         <option key={cat} value={cat}>{cat}</option>
                     ))}
                 </select>
@@ -156,7 +436,31 @@ const DataEntryForm = () => {
                     className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2 text-sm" required />
             </div>
 
-            {/* GeoJSON Polygon Array (Unchanged) */}
+            {/* Optional glTF Model (replaces the extrusion once it loads) */}
+            <details className="mb-3" open={Boolean(editingBuilding?.properties.model)}>
+                <summary className="text-sm font-medium text-gray-700 cursor-pointer">3D Model (optional glTF)</summary>
+                <input type="url" name="modelUrl" value={formData.modelUrl} onChange={handleChange} placeholder="https://…/building.glb"
+                    className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2 text-sm" />
+                <div className="grid grid-cols-3 gap-2 mt-2">
+                    <label className="text-xs text-gray-600">Heading (°)
+                        <input type="number" name="modelHeading" value={formData.modelHeading} onChange={handleChange} step="any"
+                            className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-1.5 text-sm" />
+                    </label>
+                    <label className="text-xs text-gray-600">Scale
+                        <input type="number" name="modelScale" value={formData.modelScale} onChange={handleChange} step="any" min="0"
+                            className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-1.5 text-sm" />
+                    </label>
+                    <label className="text-xs text-gray-600">Altitude (m)
+                        <input type="number" name="modelAltitude" value={formData.modelAltitude} onChange={handleChange} step="any"
+                            className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-1.5 text-sm" />
+                    </label>
+                </div>
+                <p className='text-xs text-gray-500 mt-1'>
+                    Placed at the footprint centroid, in meters. The extrusion is shown until the model loads, or if it fails to.
+                </p>
+            </details>
+
+            {/* GeoJSON Polygon Array (kept in sync with the shape drawn on the map) */}
             <div className="mb-3">
                 <label className="block text-sm font-medium text-gray-700">GeoJSON Polygon Array</label>
                 <textarea name="coordinates" value={formData.coordinates} onChange={handleChange} rows="3"
@@ -164,31 +468,145 @@ const DataEntryForm = () => {
                 <p className='text-xs text-gray-500 mt-1'>
                     Note: The system will automatically close the polygon (repeat the first coordinate at the end).
                 </p>
+                {footprintCheck.issues.length > 0 && (
+                    <ul className="mt-1 text-xs space-y-0.5">
+                        {footprintCheck.issues.map((issue, i) => (
+                            <li key={i} className={ISSUE_STYLES[issue.severity]}>
+                                {ISSUE_ICONS[issue.severity]} {issue.message}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {/* Draw / Edit Footprint on the Map */}
+                {isDrawingFootprint ? (
+                    <div className="mt-2">
+                        <p className="text-xs text-indigo-700 mb-2">
+                            Click the map to add vertices (double-click to finish). Drag vertices to move them;
+                            select one and press the trash button on the map to delete it.
+                        </p>
+                        <div className="flex gap-2">
+                            <button type="button" onClick={finishDrawing}
+                                className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white text-xs font-semibold py-1.5 rounded-lg shadow-md transition duration-150">
+                                Done
+                            </button>
+                            <button type="button" onClick={cancelDrawing}
+                                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 text-xs font-semibold py-1.5 rounded-lg shadow-md transition duration-150">
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <button type="button" onClick={startDrawing}
+                        className="w-full mt-2 bg-indigo-100 hover:bg-indigo-200 text-indigo-700 text-xs font-semibold py-1.5 rounded-lg shadow-sm transition duration-150">
+                        {draftFootprint ? 'Edit Footprint on Map ✏️' : 'Draw Footprint on Map ✏️'}
+                    </button>
+                )}
             </div>
 
-            {/* Drag and Drop Area (Unchanged) */}
+            {/* Drag and Drop Area (or file picker); panoramas are checked and compressed before upload */}
             <div
                 className={`border-2 border-dashed rounded-lg p-4 text-center transition duration-200 
                              ${isDragActive ? 'bg-indigo-100 border-indigo-500' : 'bg-gray-50 border-gray-300'}`}
                 onDragEnter={handleDrag} onDragLeave={handleDrag} onDragOver={handleDrag} onDrop={handleDrop}
             >
                 <p className="text-sm text-gray-700 font-medium">
-                    {isDragActive ? 'Drop the file here...' : 'Drag & Drop 360° Image (.jpg, .png)'}
+                    {isDragActive ? 'Drop the file here...' : 'Drag & Drop 360° Image (2:1 JPEG, PNG or WebP)'}
                 </p>
-                {imagePath && (
-                    <p className="text-green-600 mt-2 text-xs font-semibold truncate">
-                        ✅ Uploaded: {imagePath.split('/').pop()}
-                    </p>
+                <label className="text-xs text-indigo-700 font-semibold cursor-pointer hover:underline">
+                    or choose a file
+                    <input type="file" accept={PANORAMA_ACCEPT} className="hidden" disabled={Boolean(upload)}
+                        onChange={(e) => { handleMainImage(e.target.files[0]); e.target.value = ''; }} />
+                </label>
+
+                {upload ? (
+                    <div className="mt-2 text-left">
+                        <img src={upload.previewUrl} alt="" className="w-full h-20 object-cover rounded-md opacity-70" />
+                        <p className="text-xs text-gray-600 mt-1 truncate">{upload.stage} {upload.name}</p>
+                        <div className="flex items-center gap-2 mt-1">
+                            <div className="flex-grow h-2 bg-gray-200 rounded-full overflow-hidden">
+                                <div className={`h-full bg-indigo-600 transition-all ${upload.progress === null ? 'animate-pulse w-full opacity-40' : ''}`}
+                                    style={upload.progress === null ? undefined : { width: `${Math.round(upload.progress * 100)}%` }} />
+                            </div>
+                            <button type="button" onClick={() => uploadControllerRef.current?.abort()}
+                                className="text-xs font-semibold text-red-600 hover:text-red-800">
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                ) : imagePath && (
+                    <div className="mt-2">
+                        {/* Preview of the panorama that will be saved */}
+                        <img src={api.resolveMediaUrl(imagePath)} alt="360° preview" className="w-full h-20 object-cover rounded-md border border-gray-200" />
+                        <p className="text-green-600 mt-1 text-xs font-semibold truncate">
+                            {isQueuedMediaPath(imagePath) ? '⏳ Queued for upload (offline)' : `✅ Uploaded: ${imagePath.split('/').pop()}`}
+                        </p>
+                    </div>
                 )}
             </div>
 
+            {/* 360° Viewpoint: where the main panorama was taken, and which way it faces */}
+            <div className="mt-3 mb-3">
+                <label className="block text-sm font-medium text-gray-700">360° Viewpoint (optional)</label>
+                <div className="grid grid-cols-2 gap-2 mt-1">
+                    <input type="number" name="viewpointLng" value={formData.viewpointLng} onChange={handleChange} step="any" placeholder="Longitude"
+                        className="block w-full border border-gray-300 rounded-lg shadow-sm p-1.5 text-sm" />
+                    <input type="number" name="viewpointLat" value={formData.viewpointLat} onChange={handleChange} step="any" placeholder="Latitude"
+                        className="block w-full border border-gray-300 rounded-lg shadow-sm p-1.5 text-sm" />
+                </div>
+                <div className="flex gap-2 mt-2">
+                    <button type="button" onClick={() => dispatch(setPickingViewpoint(!isPickingViewpoint))} disabled={isDrawingFootprint}
+                        className={`flex-1 text-xs font-semibold py-1.5 rounded-lg shadow-sm transition duration-150 disabled:opacity-50
+                                     ${isPickingViewpoint ? 'bg-indigo-600 text-white' : 'bg-indigo-100 hover:bg-indigo-200 text-indigo-700'}`}>
+                        {isPickingViewpoint ? 'Click the Map… (Cancel)' : 'Pick on Map 📍'}
+                    </button>
+                    {photoGps && (
+                        <button type="button" onClick={() => applyPhotoGps(photoGps)}
+                            className="flex-1 bg-indigo-100 hover:bg-indigo-200 text-indigo-700 text-xs font-semibold py-1.5 rounded-lg shadow-sm transition duration-150">
+                            Use Photo GPS 🛰️
+                        </button>
+                    )}
+                    {draftViewpoint && (
+                        <button type="button" onClick={clearViewpoint}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-xs font-semibold px-3 py-1.5 rounded-lg shadow-sm transition duration-150">
+                            Clear
+                        </button>
+                    )}
+                </div>
+                <div className="grid grid-cols-2 gap-2 mt-2">
+                    <label className="text-xs text-gray-600">North offset (°)
+                        <input type="number" name="viewpointNorthOffset" value={formData.viewpointNorthOffset} onChange={handleChange} step="any" min="0" max="360"
+                            placeholder="e.g. 90"
+                            className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-1.5 text-sm" />
+                    </label>
+                    <label className="text-xs text-gray-600">Initial yaw (°)
+                        <input type="number" name="viewpointYaw" value={formData.viewpointYaw} onChange={handleChange} step="any" min="-180" max="180"
+                            placeholder="Face building"
+                            className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-1.5 text-sm" />
+                    </label>
+                </div>
+                <p className='text-xs text-gray-500 mt-1'>
+                    Filled from the photo's GPS when it has one; drag the 📷 marker to adjust. North offset is the compass
+                    bearing of the panorama's center. Leave the yaw empty to open the viewer facing the building.
+                </p>
+            </div>
+
+            {/* Multi-scene 360° Tour (scenes + hotspots) */}
+            <TourEditor scenes={tourScenes} onChange={setTourScenes} onUpload={uploadFile} isUploading={Boolean(upload)} />
+
             {/* Submit Button (Unchanged) */}
             <button type="submit"
-                disabled={!imagePath || submitStatus === 'Saving...'}
+                disabled={!imagePath || Boolean(upload) || footprintCheck.hasErrors || submitStatus === 'Saving...'}
                 className={`w-full font-bold py-2 rounded-lg shadow-md transition duration-150 mt-4 
-                             ${imagePath ? 'bg-indigo-600 hover:bg-indigo-700 text-white' : 'bg-gray-400 text-gray-700 cursor-not-allowed'}`}>
-                {submitStatus === 'Saving...' ? 'Saving...' : 'Save Building Data to Map'}
+                             ${imagePath && !footprintCheck.hasErrors ? 'bg-indigo-600 hover:bg-indigo-700 text-white' : 'bg-gray-400 text-gray-700 cursor-not-allowed'}`}>
+                {submitStatus === 'Saving...' ? 'Saving...' : editingBuilding ? 'Update Building' : 'Save Building Data to Map'}
             </button>
+            {editingBuilding && (
+                <button type="button" onClick={() => dispatch(stopEditingBuilding())}
+                    className="w-full mt-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 rounded-lg shadow-md transition duration-150">
+                    Cancel Edit
+                </button>
+            )}
             <p className={`mt-2 text-sm text-center font-medium ${submitStatus?.startsWith('Error') ? 'text-red-600' : 'text-green-600'}`}>{submitStatus}</p>
         </form>
     );
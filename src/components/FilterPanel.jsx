@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setHeightRange, setHas360, setNameQuery, resetFilter, selectFilter, selectFilteredBuildings } from '../redux/filterSlice';
+import { isFilterActive, getHeightBounds } from '../utils/buildingFilter';
+import { EXPORT_FORMATS, downloadCollection } from '../utils/exporters';
+
+/**
+ * Attribute filters (name, height range, has 360° image) with the matching-building count and an
+ * export of exactly the matching buildings. Categories are picked in the CategoryLegend.
+ */
+const FilterPanel = () => {
+    const dispatch = useDispatch();
+    const filter = useSelector(selectFilter);
+    const buildings = useSelector((state) => state.map.buildings);
+    const filteredBuildings = useSelector(selectFilteredBuildings);
+    const [isOpen, setIsOpen] = useState(false);
+
+    const [lowerBound, upperBound] = getHeightBounds(buildings);
+    const minHeight = filter.minHeight ?? lowerBound;
+    const maxHeight = filter.maxHeight ?? upperBound;
+    const total = buildings?.features.length ?? 0;
+    const matching = filteredBuildings?.features.length ?? 0;
+
+    // Slider ends map back to "no limit" so newly added taller buildings aren't hidden
+    const handleHeightChange = (bound, value) => {
+        const next = { min: minHeight, max: maxHeight, [bound]: Number(value) };
+        if (next.min > next.max) return;
+        dispatch(setHeightRange({
+            min: next.min === lowerBound ? null : next.min,
+            max: next.max === upperBound ? null : next.max,
+        }));
+    };
+
+    return (
+        <div className="bg-stone-950/80 backdrop-blur-sm rounded-xl shadow-2xl border border-amber-300/30 text-amber-300 font-serif w-60">
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                className="w-full flex justify-between items-center px-3 py-2 text-sm tracking-widest text-white"
+                aria-expanded={isOpen}
+            >
+                Filters
+                <span className={`text-xs font-mono ${isFilterActive(filter) ? 'text-amber-400' : 'text-amber-300/70'}`}>
+                    {matching} / {total} {isOpen ? '▾' : '▸'}
+                </span>
+            </button>
+
+            {isOpen && (
+                <div className="px-3 pb-3 space-y-2 text-xs">
+                    <input
+                        type="text"
+                        value={filter.nameQuery}
+                        onChange={(e) => dispatch(setNameQuery(e.target.value))}
+                        placeholder="Name contains..."
+                        className="w-full p-1.5 rounded bg-stone-900/70 border border-amber-300/30 text-amber-100 placeholder-amber-300/40 focus:outline-none"
+                    />
+
+                    <div>
+                        <p className="mb-1">Height: {minHeight} – {maxHeight} m</p>
+                        <input type="range" min={lowerBound} max={upperBound} value={minHeight}
+                            onChange={(e) => handleHeightChange('min', e.target.value)} className="w-full accent-amber-500" aria-label="Minimum height" />
+                        <input type="range" min={lowerBound} max={upperBound} value={maxHeight}
+                            onChange={(e) => handleHeightChange('max', e.target.value)} className="w-full accent-amber-500" aria-label="Maximum height" />
+                    </div>
+
+                    <label className="flex items-center gap-2 cursor-pointer">
+                        <input type="checkbox" checked={filter.has360} onChange={(e) => dispatch(setHas360(e.target.checked))} className="accent-amber-500" />
+                        Has 360° image
+                    </label>
+
+                    <p className="text-amber-300/80">{matching} of {total} buildings match</p>
+
+                    {/* Export exactly what the filter shows */}
+                    <div className="flex flex-wrap gap-1">
+                        {EXPORT_FORMATS.map(format => (
+                            <button
+                                key={format}
+                                onClick={() => downloadCollection(filteredBuildings, format, 'buildings')}
+                                disabled={matching === 0}
+                                className="bg-blue-900 hover:bg-blue-800 disabled:opacity-40 py-1 px-2 rounded-full border border-amber-300/50"
+                            >
+                                ⬇ {format}
+                            </button>
+                        ))}
+                    </div>
+
+                    {isFilterActive(filter) && (
+                        <button
+                            onClick={() => dispatch(resetFilter())}
+                            className="w-full px-2 py-1 rounded-lg bg-stone-800/80 hover:bg-stone-900 border border-white/20"
+                        >
+                            Clear all filters
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FilterPanel;
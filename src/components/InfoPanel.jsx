@@ -1,19 +1,26 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { formatArea, formatDistance } from '../utils/measure';
+import BuildingHistory from './BuildingHistory';
 // This component displays information about a clicked building and provides action buttons.
+// `feature` is the stored GeoJSON Feature (for the History tab), `canRevert` allows restoring revisions.
 
 // ADDED 'onCancel' to the destructured props
-const InfoPanel = ({ building, onRoute, on360View, onCancel }) => {
-    // Placeholder coordinates for demonstrating routing functionality. 
-    // In a production app, these would come from the 'viewpoint' field in your MongoDB.
-    const destinationCoords = { lng: 78.615, lat: 13.275 };
+const InfoPanel = ({ building, feature, footprintMetrics, canRevert, onRouteFrom, onRouteTo, on360View, onEdit, onDelete, onCopyLink, onCancel }) => {
+    const [isLinkCopied, setIsLinkCopied] = useState(false);
+    // 'details' (actions) or 'history' (revisions, wider panel)
+    const [tab, setTab] = useState('details');
 
-    const handleRouteClick = () => {
-        onRoute(destinationCoords);
+    // Brief "Copied!" confirmation after the share link lands on the clipboard
+    const handleCopyLinkClick = async () => {
+        if (await onCopyLink()) {
+            setIsLinkCopied(true);
+            setTimeout(() => setIsLinkCopied(false), 2000);
+        }
     };
 
     return (
         // z-10 ensures it's above the map but below the DataEntryForm (z-20)
-        <div className="absolute top-4 right-4 bg-white p-4 rounded-xl shadow-2xl z-10 w-64 border border-gray-200">
+        <div className={`absolute top-4 right-4 bg-white p-4 rounded-xl shadow-2xl z-10 border border-gray-200 ${tab === 'history' ? 'w-80' : 'w-64'}`}>
             {/* CANCEL BUTTON: Added close button icon in the top right of the panel */}
             <button
                 onClick={onCancel}
@@ -36,32 +43,97 @@ const InfoPanel = ({ building, onRoute, on360View, onCancel }) => {
             <p className="text-sm text-gray-600">
                 Building ID: {building.id}
             </p>
-           
 
-            <hr className="my-3 border-gray-200" />
-
-            {/* Action Buttons Container */}
-            <div className="flex flex-col space-y-2">
-                {/* Navigation Button: Calls handleRouteClick */}
-                {/* <button
-                    onClick={handleRouteClick}
-                    className="w-full bg-blue-600 hover:bg-blue-700 text-black font-semibold py-2 px-3 rounded-lg text-sm transition duration-150 shadow-md"
-                >
-                    Start Navigation ➡️
-                </button> */}
+            {/* Footprint measurements (from the stored polygon) */}
+            {footprintMetrics && (
+                <p className="text-sm text-gray-600">
+                    Footprint: {formatArea(footprintMetrics.area)} · Perimeter: {formatDistance(footprintMetrics.perimeter)}
+                </p>
+            )}
 
-                {/* 360° View Button: Calls on360View */}
-                <button
-                    onClick={on360View}
-                    disabled={!building.imageURL}
-                    className={`w-full font-semibold py-2 px-3 rounded-lg text-sm transition duration-150 shadow-md ${building.imageURL
-                        ? 'bg-green-600 hover:bg-green-700 text-black'
-                        : 'bg-gray-400 text-gray-700 cursor-not-allowed'
-                        }`}
-                >
-                    View 360° 📷
-                </button>
+            {/* Tabs: actions, or the building's change history (buildings not in the stored data have none) */}
+            <div className="flex mt-3 border-b border-gray-200 text-sm">
+                {['details', 'history'].map(name => (
+                    <button
+                        key={name}
+                        onClick={() => setTab(name)}
+                        disabled={name === 'history' && !feature}
+                        className={`flex-1 py-1 capitalize border-b-2 -mb-px transition duration-150 disabled:opacity-40 ${tab === name
+                            ? 'border-indigo-600 text-indigo-700 font-semibold'
+                            : 'border-transparent text-gray-500 hover:text-gray-800'
+                            }`}
+                    >
+                        {name}
+                    </button>
+                ))}
             </div>
+
+            {tab === 'history' && feature ? (
+                <div className="mt-3">
+                    <BuildingHistory feature={feature} canRevert={canRevert} />
+                </div>
+            ) : (
+                /* Action Buttons Container */
+                <div className="flex flex-col space-y-2 mt-3">
+                    {/* Navigation Buttons: use this building as the walking route start or destination */}
+                    <div className="flex space-x-2">
+                        <button
+                            onClick={() => onRouteFrom(building.centerPoint)}
+                            className="flex-1 bg-blue-600 hover:bg-blue-700 text-black font-semibold py-2 px-3 rounded-lg text-sm transition duration-150 shadow-md"
+                        >
+                            Route From
+                        </button>
+                        <button
+                            onClick={() => onRouteTo(building.centerPoint)}
+                            className="flex-1 bg-blue-600 hover:bg-blue-700 text-black font-semibold py-2 px-3 rounded-lg text-sm transition duration-150 shadow-md"
+                        >
+                            Route To ➡️
+                        </button>
+                    </div>
+
+                    {/* 360° View Button: Calls on360View */}
+                    <button
+                        onClick={on360View}
+                        disabled={!building.imageURL}
+                        className={`w-full font-semibold py-2 px-3 rounded-lg text-sm transition duration-150 shadow-md ${building.imageURL
+                            ? 'bg-green-600 hover:bg-green-700 text-black'
+                            : 'bg-gray-400 text-gray-700 cursor-not-allowed'
+                            }`}
+                    >
+                        View 360° 📷
+                    </button>
+
+                    {/* Copy Link Button: shareable URL opening on this building's 360 view */}
+                    <button
+                        onClick={handleCopyLinkClick}
+                        className="w-full bg-gray-100 hover:bg-gray-200 text-gray-800 font-semibold py-2 px-3 rounded-lg text-sm transition duration-150 shadow-md"
+                    >
+                        {isLinkCopied ? 'Link Copied ✅' : 'Copy Link 🔗'}
+                    </button>
+
+                    {/* Edit / Delete Buttons: correct or remove a saved building (only passed for editors / admins) */}
+                    {(onEdit || onDelete) && (
+                        <div className="flex space-x-2">
+                            {onEdit && (
+                                <button
+                                    onClick={onEdit}
+                                    className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-3 rounded-lg text-sm transition duration-150 shadow-md"
+                                >
+                                    Edit ✏️
+                                </button>
+                            )}
+                            {onDelete && (
+                                <button
+                                    onClick={onDelete}
+                                    className="flex-1 bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-3 rounded-lg text-sm transition duration-150 shadow-md"
+                                >
+                                    Delete 🗑️
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+
+const STATUS_LABELS = { connecting: 'Connecting…', live: 'Live', reconnecting: 'Reconnecting…', unavailable: 'Live updates unavailable' };
+const STATUS_DOTS = { connecting: 'bg-amber-400', live: 'bg-green-500', reconnecting: 'bg-amber-400', unavailable: 'bg-stone-500' };
+
+/**
+ * Live updates badge: connection state of the live channel, expanding to who else is online and
+ * what they're doing (from presence). Hidden when the backend has no live channel.
+ */
+const LivePresence = () => {
+    const { status, transport, users } = useSelector((state) => state.live);
+    const [isOpen, setIsOpen] = useState(false);
+
+    if (status === 'off') return null;
+    const otherCount = users.filter(user => !user.isSelf).length;
+
+    return (
+        <div className="bg-stone-950/80 backdrop-blur-sm rounded-xl shadow-2xl border border-amber-300/30 text-amber-300 font-serif w-72">
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                className="w-full flex justify-between items-center gap-2 px-3 py-2 text-sm tracking-wide text-white"
+                aria-expanded={isOpen}
+                title={transport === 'sse' ? 'Receiving updates over Server-Sent Events' : undefined}
+            >
+                <span className="flex items-center gap-2">
+                    <span className={`w-2.5 h-2.5 rounded-full ${STATUS_DOTS[status]}`} />
+                    {STATUS_LABELS[status]}
+                </span>
+                <span className="text-xs font-mono">
+                    {status === 'live' && <span className="text-amber-400">{otherCount} other{otherCount === 1 ? '' : 's'} online </span>}
+                    {isOpen ? '▾' : '▸'}
+                </span>
+            </button>
+
+            {isOpen && (
+                <div className="px-3 pb-3 text-xs">
+                    {status !== 'live' ? (
+                        <p className="text-amber-300/70">Changes by others show up after a reload until the connection is back.</p>
+                    ) : (
+                        <ul className="max-h-48 overflow-y-auto space-y-1">
+                            {users.map(user => (
+                                <li key={user.clientId} className="p-1.5 rounded bg-stone-900/60 border border-amber-300/10">
+                                    <p className="flex justify-between gap-2">
+                                        <span className="truncate text-amber-100">{user.name}{user.isSelf && ' (you)'}</span>
+                                        <span className="text-amber-300/70">{user.role}</span>
+                                    </p>
+                                    <p className={user.activity?.startsWith('Viewing') ? 'text-amber-300/70' : 'text-cyan-300'}>{user.activity}</p>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LivePresence;
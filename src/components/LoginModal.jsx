@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { login, logout, closeLogin } from '../redux/authSlice';
+import { api } from '../api/client';
+
+/**
+ * Sign-in dialog. After an expired session it explains that open forms were kept, and
+ * "Cancel" signs out instead of just closing (the old token no longer works).
+ */
+const LoginModal = () => {
+    const dispatch = useDispatch();
+    const { status, error, isSessionExpired, user } = useSelector((state) => state.auth);
+    const [credentials, setCredentials] = useState({ username: isSessionExpired ? user?.name || '' : '', password: '' });
+
+    const handleChange = (e) => setCredentials({ ...credentials, [e.target.name]: e.target.value });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        dispatch(login(credentials));
+    };
+
+    return (
+        <div className="absolute inset-0 z-50 flex items-center justify-center bg-stone-900/60 backdrop-blur-sm">
+            <form onSubmit={handleSubmit} className="p-6 bg-white shadow-2xl rounded-xl w-80 border border-gray-200">
+                <h2 className="text-xl font-bold text-indigo-700 mb-2">{isSessionExpired ? 'Session Expired' : 'Sign In'}</h2>
+                {isSessionExpired && (
+                    <p className="text-sm text-amber-700 mb-3">
+                        Sign in again to keep working. Your unsaved form input has been kept; save it again after signing in.
+                    </p>
+                )}
+                {api.name === 'local' && (
+                    <p className="text-xs text-gray-500 mb-3">Local mode: sign in as "admin", "editor" or "viewer" (any password).</p>
+                )}
+
+                <div className="mb-3">
+                    <label className="block text-sm font-medium text-gray-700">Username</label>
+                    <input type="text" name="username" value={credentials.username} onChange={handleChange} autoComplete="username"
+                        className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2 text-sm" required autoFocus />
+                </div>
+                <div className="mb-3">
+                    <label className="block text-sm font-medium text-gray-700">Password</label>
+                    <input type="password" name="password" value={credentials.password} onChange={handleChange} autoComplete="current-password"
+                        className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-2 text-sm" required={api.name !== 'local'} />
+                </div>
+
+                {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+                <button type="submit" disabled={Boolean(status)}
+                    className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white font-bold py-2 rounded-lg shadow-md transition duration-150">
+                    {status || 'Sign In'}
+                </button>
+                <button type="button" onClick={() => dispatch(isSessionExpired ? logout() : closeLogin())}
+                    className="w-full mt-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 rounded-lg shadow-md transition duration-150">
+                    {isSessionExpired ? 'Sign Out' : 'Cancel'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default LoginModal;
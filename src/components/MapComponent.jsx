@@ -1,14 +1,42 @@
-import React, { useRef, useEffect, useCallback, useState } from 'react';
+import React, { useRef, useEffect, useCallback, useState, useMemo } from 'react';
 import maplibregl from 'maplibre-gl';
 import { useDispatch, useSelector } from 'react-redux';
-import { fetchBuildings, setRoute, setError } from '../redux/mapSlice';
+import {
+    fetchBuildings, setRoute, startEditingBuilding, deleteBuilding, setDraftFootprint, setDataEntryOpen, setDraftViewpoint,
+} from '../redux/mapSlice';
 import axios from 'axios';
 import InfoPanel from './InfoPanel';
 import View360 from './View360';
+import useFootprintDraw from '../hooks/useFootprintDraw';
+import useBuildingSources, { BUILDINGS_SOURCE_ID, VIEWPOINT_SOURCE_ID } from '../hooks/useBuildingSources';
+import useImportPreview from '../hooks/useImportPreview';
+import useFootprintIssues from '../hooks/useFootprintIssues';
+import useBuildingModels from '../hooks/useBuildingModels';
+import useMeasureTool from '../hooks/useMeasureTool';
+import useViewpointDraft from '../hooks/useViewpointDraft';
+import useViewpointClusters, { VIEWPOINT_CLUSTER_OPTIONS } from '../hooks/useViewpointClusters';
+import useLiveHighlight from '../hooks/useLiveHighlight';
+import useHistoryOverlay from '../hooks/useHistoryOverlay';
+import { BASEMAPS, getInitialBasemap, registerPmtilesProtocol, transformBasemapRequest } from '../utils/basemaps';
+import { loadPathGraph, computeWalkingRoute } from '../utils/routing';
+import { buildSearchIndex, searchBuildings, MIN_DIRECT_MATCH_SCORE } from '../utils/buildingSearch';
+import { parseDeepLink, buildDeepLinkHash, buildShareUrl, getMapCamera } from '../utils/deepLink';
+import { EXPORT_SHAPES, EXPORT_FORMATS, MIN_POSITIONS, buildShapeCollection, closeRing, downloadCollection } from '../utils/exporters';
+import { BUILDING_CATEGORIES, categoryMatchExpression, categoryIconExpression, addCategoryIcons } from '../utils/categoryStyles';
+import CategoryLegend from './CategoryLegend';
+import FilterPanel from './FilterPanel';
+import PrintExportPanel from './PrintExportPanel';
+import { toggleCategory, setCategories, setFilter, resetFilter, selectFilter, selectFilteredBuildings } from '../redux/filterSlice';
+import { buildFilterExpression } from '../utils/buildingFilter';
+import { selectCanEdit, selectIsAdmin } from '../redux/authSlice';
+import { getViewpointOrientation } from '../utils/tour';
+import { exportMapPrint } from '../utils/mapPrint';
+import { findRevisionPair } from '../utils/buildingHistory';
+import { api } from '../api/client';
+import { polygonLabelPoint } from '../utils/geo';
+import { MEASURE_MODES, addMeasurePoint, computeMeasurement, footprintMetrics, formatArea, formatBearing, formatDistance } from '../utils/measure';
 
 // --- CONFIGURATION CONSTANTS ---
-const MAP_STYLE_URL = 'https://tiles.stadiamaps.com/styles/alidade_satellite.json';
-const API_BASE_URL = 'https://ins-back-end.onrender.com/api/map'; // Express Backend
 const DEFAULT_CENTER = { lng: 83.23, lat: 17.72, zoom: 14, pitch: 65 };
 const NOMINATIM_API_URL = 'https://nominatim.openstreetmap.org/search';
 const REVERSE_NOMINATIM_API_URL = 'https://nominatim.openstreetmap.org/reverse';
@@ -25,17 +53,42 @@ const MAX_LOGGED_CLICKS = 1;
 const MAX_COLLECTED_POINTS = 155;
 
 // Category options for filtering
-const CATEGORY_OPTIONS = ['All', 'Building', 'Cabin', 'Security Pillar', 'Gate', 'Other', "main"];
 const BUILDING_LAYER_ID = 'buildings-3d';
 const PHOTO_MARKER_LAYER_ID = 'building-marker'; // Consistent name for photo marker layer
 const DEBOUNCE_DELAY = 300;
 
 // --- STYLING CONSTANTS ---
 const COLOR_GOLD = '#d4af37';
-const COLOR_PURPLE = '#9400d3';
 const COLOR_ROUTE_GREEN = '#047857';
 
 
+// --- BUILDING HELPERS ---
+
+// Point inside a building footprint (fly-to target, route end and InfoPanel centerPoint)
+const getFootprintCenter = (feature) => {
+    const [lng, lat] = polygonLabelPoint(feature.geometry) ?? [0, 0];
+    return { lng, lat };
+};
+
+// Local building matches shown above the geocoder results in the search dropdown
+const toBuildingSuggestion = ({ feature }) => ({
+    type: 'building',
+    name: feature.properties.name || feature.properties.id,
+    category: feature.properties.category,
+    feature,
+});
+
+// --- ROUTE FORMATTING (distances use the measure tool's formatter) ---
+const formatDuration = (seconds) => `${Math.max(1, Math.round(seconds / 60))} min`;
+
+// Fills the first empty route slot ([origin, destination]); a third pick starts a new route
+const addRoutePoint = (prev, point) => {
+    if (!prev[0]) return [point, prev[1] ?? null];
+    if (!prev[1]) return [prev[0], point];
+    return [point, null];
+};
+
+
 // --- API FUNCTIONS (Retained from original input) ---
 
 // Forward Geocoding (Search & Suggestions)
@@ -110,6 +163,15 @@ function MapComponent() {
     const mapContainer = useRef(null);
     const map = useRef(null);
     const debounceTimeout = useRef(null);
+    const isDrawingRef = useRef(false); // Read by the map click handlers registered once at init
+    const isRoutingRef = useRef(false); // Same, for origin/destination picking
+    const measureModeRef = useRef(null); // Same, for measure points
+    const isPickingViewpointRef = useRef(false); // Same, for placing the DataEntryForm's 360° viewpoint
+
+    // --- DEEP LINK (URL hash) STATE ---
+    const [initialLink] = useState(() => parseDeepLink(window.location.hash));
+    const pendingLinkRef = useRef(Boolean(initialLink.buildingId)); // Selection waiting for buildings to load
+    const linkStateRef = useRef({}); // Latest filter/selection, read when the camera moves
 
     // --- NEW SEARCH & GEOCODING STATES ---
     const [searchQuery, setSearchQuery] = useState('');
@@ -122,18 +184,110 @@ function MapComponent() {
     const [mapCenter, setMapCenter] = useState({ lng: 83.21, lat: 17.72 });
     const [selectedFeature, setSelectedFeature] = useState(null);
     const [view360Url, setView360Url] = useState(null);
-    // RESTORED: Internal state for category filtering
-    const [activeCategory, setActiveCategory] = useState('All');
     const [isCoordinateFormOpen, setIsCoordinateFormOpen] = useState(false);
 
     // Interaction States (from original)
-    const [routePoints, setRoutePoints] = useState([]);
+    const [routePoints, setRoutePoints] = useState([]); // [origin, destination] as { lng, lat } (either may be null)
+    const [isRoutingMode, setIsRoutingMode] = useState(false);
+    const [routeStatus, setRouteStatus] = useState(null); // 'Calculating…' or an error message
+    const [measureMode, setMeasureMode] = useState(null); // null (off) or a MEASURE_MODES key
+    const [measurePoints, setMeasurePoints] = useState([]); // Clicked [lng, lat] points of the measurement
     const [loggedClicks, setLoggedClicks] = useState([]);
     const [collectedCoordinates, setCollectedCoordinates] = useState([]);
+    const [exportShape, setExportShape] = useState('points'); // Shape used when exporting collected coordinates
+    const [isPrintOpen, setIsPrintOpen] = useState(false); // PNG/PDF export of the current view
+    const [isMapLoaded, setIsMapLoaded] = useState(false);
+    // Basemap selection; styleVersion bumps on every style (re)load so app layers can be restored
+    const [basemap, setBasemap] = useState(getInitialBasemap);
+    const [basemapNotice, setBasemapNotice] = useState(null);
+    const [styleVersion, setStyleVersion] = useState(0);
+    const basemapRef = useRef(basemap); // Basemap whose style is currently applied to the map
 
     // Redux Hooks
     const dispatch = useDispatch();
-    const { buildings, route, loading, error } = useSelector((state) => state.map);
+    const { buildings, route, loading, error, isDrawingFootprint, isPickingViewpoint, importPreview, footprintIssues } = useSelector((state) => state.map);
+    // Building filter (state.filter) drives the layers, the local search and the exports
+    const filter = useSelector(selectFilter);
+    const filteredBuildings = useSelector(selectFilteredBuildings);
+    // Roles: editors may edit buildings and start data entry, only admins may delete
+    const canEdit = useSelector(selectCanEdit);
+    const isAdmin = useSelector(selectIsAdmin);
+    // Buildings just changed by another user (live updates)
+    const highlightedIds = useSelector((state) => state.live.highlightedIds);
+    // Revision selected in the InfoPanel's History tab
+    const { revisions, comparedRevision } = useSelector((state) => state.history);
+
+    // Tours and viewpoints are nested objects, which MapLibre flattens to strings in rendered feature
+    // properties, so the selected building is read from the Redux data instead
+    const selectedBuilding = useMemo(() => (
+        buildings?.features.find(f => f.properties.id === selectedFeature?.id) ?? null
+    ), [buildings, selectedFeature]);
+    const selectedTour = selectedBuilding?.properties.tour;
+
+    // Where the 360° viewer opens facing: the stored yaw, or the building as seen from the viewpoint
+    const selectedViewOrientation = useMemo(() => {
+        if (!selectedBuilding) return null;
+        const { lng, lat } = getFootprintCenter(selectedBuilding);
+        return getViewpointOrientation(selectedBuilding.properties.viewpoint, [lng, lat]);
+    }, [selectedBuilding]);
+
+    // Old/new footprints of the revision compared in the History tab
+    const historyComparison = useMemo(() => {
+        const { entry, previous } = findRevisionPair(revisions, comparedRevision);
+        if (!entry) return null;
+        return { before: previous?.building.geometry ?? null, after: entry.building.geometry };
+    }, [revisions, comparedRevision]);
+
+    // Footprint area/perimeter of the selected building, reported in the InfoPanel
+    const selectedFootprintMetrics = useMemo(() => (
+        selectedBuilding ? footprintMetrics(selectedBuilding.geometry) : null
+    ), [selectedBuilding]);
+
+    // Totals of the committed measure points, shown in the console (the map labels also follow the cursor)
+    const measurement = useMemo(() => (
+        measureMode ? computeMeasurement(measureMode, measurePoints) : null
+    ), [measureMode, measurePoints]);
+
+    // Buildings per category, shown in the legend
+    const categoryCounts = useMemo(() => (buildings?.features || []).reduce((counts, feature) => {
+        const { category } = feature.properties;
+        counts[category] = (counts[category] || 0) + 1;
+        return counts;
+    }, {}), [buildings]);
+
+    // Fuzzy index over the buildings matching the filter, for the search bar
+    const searchIndex = useMemo(() => buildSearchIndex(filteredBuildings), [filteredBuildings]);
+
+    // Footprint drawing for the DataEntryForm (mapbox-gl-draw)
+    useFootprintDraw(map, isMapLoaded, styleVersion);
+
+    // Building extrusions and camera markers follow state.map.buildings incrementally
+    // (markers only for the filtered buildings, so the clusters count what is shown)
+    useBuildingSources(map, isMapLoaded, styleVersion, buildings, filteredBuildings);
+
+    // Camera marker clusters with their per-category breakdown
+    useViewpointClusters(map, isMapLoaded, styleVersion);
+
+    // Bulk-import preview (valid / invalid footprints from BulkImportPanel)
+    useImportPreview(map, isMapLoaded, styleVersion, importPreview);
+
+    // Offending vertices of the footprint being entered in DataEntryForm
+    useFootprintIssues(map, isMapLoaded, styleVersion, footprintIssues);
+
+    // glTF models of landmark buildings (three.js custom layer); their extrusions are hidden once a model shows
+    const { modelBuildingIds, pickModel } = useBuildingModels(map, isMapLoaded, styleVersion, filteredBuildings);
+
+    // Measure tool overlay with live labels
+    useMeasureTool(map, isMapLoaded, styleVersion, measureMode, measurePoints);
+
+    // 360° viewpoint being placed in the DataEntryForm (draggable camera marker)
+    useViewpointDraft(map, isMapLoaded);
+
+    // Brief highlight on buildings created/updated by someone else (only those passing the filter)
+    useLiveHighlight(map, isMapLoaded, styleVersion, filteredBuildings, highlightedIds);
+
+    // Footprint before/after the revision selected in the History tab
+    useHistoryOverlay(map, isMapLoaded, styleVersion, historyComparison);
 
     // --- HANDLERS ---
 
@@ -152,6 +306,81 @@ function MapComponent() {
         }
     }, []);
 
+    // Opens a building (search result or deep link): fly to it and show its InfoPanel
+    const selectBuilding = useCallback((feature, { fly = true } = {}) => {
+        if (!map.current) return;
+        const centerPoint = getFootprintCenter(feature);
+        const { name, id, imageURL, category } = feature.properties;
+        setSelectedFeature({ name, id, imageURL, category, centerPoint });
+        if (fly) {
+            map.current.flyTo({ center: [centerPoint.lng, centerPoint.lat], pitch: 60, zoom: 17, essential: true });
+        }
+        setSearchSuggestions([]);
+        setSearchQuery('');
+        setSearchError(null);
+        setReverseGeocodeInfo(null);
+    }, []);
+
+    const handleSuggestionClick = (suggestion) => {
+        if (suggestion.type === 'building') {
+            selectBuilding(suggestion.feature);
+        } else {
+            flyToLocation(suggestion.lng, suggestion.lat, suggestion.zoom);
+        }
+    };
+
+    // Writes the camera, filter and selection into the URL hash (without adding history entries)
+    const syncUrlHash = useCallback(() => {
+        if (!map.current || pendingLinkRef.current) return;
+        const hash = buildDeepLinkHash({ camera: getMapCamera(map.current), ...linkStateRef.current });
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+    }, []);
+
+    // Copies a link that opens straight on the selected building (and its 360 view when it has one)
+    const handleCopyLink = useCallback(async () => {
+        if (!selectedFeature) return false;
+        const { lng, lat } = selectedFeature.centerPoint;
+        const url = buildShareUrl({
+            camera: { center: [lng, lat], zoom: 17, bearing: 0, pitch: 60 },
+            filter,
+            buildingId: selectedFeature.id,
+            view360: Boolean(selectedFeature.imageURL),
+        });
+        try {
+            await navigator.clipboard.writeText(url);
+            return true;
+        } catch {
+            window.prompt('Copy this link:', url); // Clipboard API unavailable (e.g. plain http)
+            return false;
+        }
+    }, [selectedFeature, filter]);
+
+    // Renders the current view as a PNG/PDF page (see utils/mapPrint) with the legend of the shown buildings
+    const handlePrintExport = useCallback(async ({ includeBuilding, ...options }) => {
+        if (!map.current) return;
+        const counts = (filteredBuildings?.features || []).reduce((acc, feature) => {
+            const category = feature.properties.category || 'Uncategorized';
+            acc[category] = (acc[category] || 0) + 1;
+            return acc;
+        }, {});
+        const properties = selectedBuilding?.properties;
+        await exportMapPrint(map.current, {
+            ...options,
+            categories: Object.entries(counts).map(([category, count]) => ({ category, count })),
+            building: includeBuilding && properties ? {
+                name: properties.name,
+                category: properties.category,
+                height: properties.height,
+                id: properties.id,
+                footprint: selectedFootprintMetrics,
+                imageUrl: properties.imageURL ? api.resolveMediaUrl(properties.imageURL) : null,
+            } : null,
+            clusterSourceId: VIEWPOINT_SOURCE_ID,
+            // glTF models don't print, so their buildings keep the extrusion
+            layerFilters: { [BUILDING_LAYER_ID]: buildFilterExpression(filter) },
+        });
+    }, [filteredBuildings, selectedBuilding, selectedFootprintMetrics, filter]);
+
     // Reverse Geocoding Handler
     const handleReverseGeocode = useCallback(async (lng, lat) => {
         setIsReverseGeocoding(true);
@@ -167,6 +396,13 @@ function MapComponent() {
         setSearchSuggestions([]);
         if (!map.current || !searchQuery.trim()) return;
 
+        // Our own buildings win over the geocoder, unless the best one only matches loosely
+        const [bestBuilding] = searchBuildings(searchIndex, searchQuery, 1);
+        if (bestBuilding && bestBuilding.score >= MIN_DIRECT_MATCH_SCORE) {
+            selectBuilding(bestBuilding.feature);
+            return;
+        }
+
         try {
             const results = await fetchCoordinates(searchQuery.trim(), 1);
             if (results.length > 0) {
@@ -178,7 +414,7 @@ function MapComponent() {
         } catch (err) {
             setSearchError(err.message || "Search service failed to connect.");
         }
-    }, [searchQuery, flyToLocation]);
+    }, [searchQuery, searchIndex, flyToLocation, selectBuilding]);
 
 
     // Resets ONLY the collected coordinates
@@ -187,35 +423,76 @@ function MapComponent() {
         if (collectedCoordinates.length === 0) setIsCoordinateFormOpen(false);
     }, [collectedCoordinates.length]);
 
+    // Downloads the collected coordinates as points, a line or a closed polygon
+    const handleExportCollected = (format) => {
+        const positions = collectedCoordinates.map(point => [parseFloat(point.lng), parseFloat(point.lat)]);
+        const collection = buildShapeCollection(positions, exportShape, 'Collected Point');
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        downloadCollection(collection, format, `collected-${exportShape}-${stamp}`);
+    };
+
+    // Sends the collected ring to the DataEntryForm as the footprint of a new building
+    const handleUseAsFootprint = () => {
+        const positions = collectedCoordinates.map(point => [parseFloat(point.lng), parseFloat(point.lat)]);
+        dispatch(setDraftFootprint({ coordinates: [closeRing(positions)], origin: 'measure' }));
+        dispatch(setDataEntryOpen(true));
+    };
+
     // Handler to close the InfoPanel/Clear selected feature
     const handleCancelInfoPanel = useCallback(() => {
         setSelectedFeature(null);
         setView360Url(null);
     }, []);
 
-    // RESTORED: Sets the active category filter
-    const handleCategoryClick = (category) => {
-        setActiveCategory(category);
-    };
+    // Opens the DataEntryForm pre-filled with the selected building's stored feature
+    const handleEditBuilding = useCallback(() => {
+        const feature = buildings?.features.find(f => f.properties.id === selectedFeature?.id);
+        if (!feature) return;
+        dispatch(startEditingBuilding(feature));
+        setView360Url(null);
+    }, [buildings, selectedFeature, dispatch]);
+
+    // Deletes the selected building after confirmation; mapSlice removes it from the map immediately
+    const handleDeleteBuilding = useCallback(() => {
+        if (!selectedFeature) return;
+        const label = selectedFeature.name || selectedFeature.id;
+        if (!window.confirm(`Delete "${label}"? This cannot be undone.`)) return;
+        dispatch(deleteBuilding(selectedFeature.id));
+        setSelectedFeature(null);
+        setView360Url(null);
+    }, [selectedFeature, dispatch]);
+
+    // Sets the route origin (index 0) or destination (index 1) from the InfoPanel and
+    // keeps routing mode on so the other end can be picked on the map
+    const handleRouteEndpoint = useCallback((index, point) => {
+        setRoutePoints(prev => {
+            const next = [prev[0] ?? null, prev[1] ?? null];
+            next[index] = point;
+            return next;
+        });
+        setIsRoutingMode(true);
+        setMeasureMode(null);
+    }, []);
 
-    // Calculates and displays route from map center to a target point
-    const handleRoute = useCallback(async (endPoint) => {
-        if (!map.current) return;
-        const startPoint = map.current.getCenter();
-        try {
-            dispatch(setRoute(null));
-            const response = await axios.post(`${API_BASE_URL}/route`, {
-                startLng: startPoint.lng, startLat: startPoint.lat,
-                endLng: endPoint.lng, endLat: endPoint.lat
-            });
-            dispatch(setRoute(response.data));
-            map.current.flyTo({ center: startPoint, zoom: 16, essential: true });
-        } catch (err) {
-            console.error("Routing failed:", err);
-            dispatch(setError("Routing failed. Check routing service connection."));
-        }
+    // Switches the measure tool to `mode` (null = off), starting a new measurement; routing and measuring exclude each other
+    const handleMeasureMode = useCallback((mode) => {
+        setMeasureMode(mode);
+        setMeasurePoints([]);
+        if (mode) setIsRoutingMode(false);
+    }, []);
+
+    const clearRoute = useCallback(() => {
+        setRoutePoints([]);
+        setRouteStatus(null);
+        dispatch(setRoute(null));
     }, [dispatch]);
 
+    // Manual basemap choice from the bottom bar
+    const handleBasemapClick = (key) => {
+        setBasemapNotice(null);
+        setBasemap(key);
+    };
+
     // Resets the map view and clears all interactions/states
     const resetMapView = useCallback(() => {
         if (map.current) {
@@ -228,13 +505,17 @@ function MapComponent() {
             });
             // Clear all interactions and states
             setRoutePoints([]);
+            setRouteStatus(null);
+            setIsRoutingMode(false);
+            setMeasureMode(null);
+            setMeasurePoints([]);
             setCollectedCoordinates([]);
             setLoggedClicks([]);
             dispatch(setRoute(null));
             setSelectedFeature(null);
             setView360Url(null);
             setIsCoordinateFormOpen(false);
-            setActiveCategory('All'); // RESTORED: Reset category state
+            dispatch(resetFilter());
             setSearchSuggestions([]);
             setReverseGeocodeInfo(null);
 
@@ -252,21 +533,96 @@ function MapComponent() {
         dispatch(fetchBuildings());
     }, [dispatch]);
 
-    // Autosuggest Debounced Fetch
+    // Restore the filter from the initial deep link (unknown categories are dropped)
+    useEffect(() => {
+        const { categories, ...rest } = initialLink.filter;
+        dispatch(setFilter({ ...rest, categories: (categories || []).filter(c => BUILDING_CATEGORIES.includes(c)) }));
+    }, [dispatch, initialLink]);
+
+    // Keep the URL hash in sync with the filter and selection
+    useEffect(() => {
+        linkStateRef.current = { filter, buildingId: selectedFeature?.id, view360: Boolean(view360Url) };
+        syncUrlHash();
+    }, [filter, selectedFeature, view360Url, syncUrlHash]);
+
+    // Restore the building (and 360 view) from the initial deep link once buildings are loaded
+    useEffect(() => {
+        if (!pendingLinkRef.current || !buildings || !isMapLoaded) return;
+        pendingLinkRef.current = false;
+
+        const feature = buildings.features.find(f => String(f.properties.id) === initialLink.buildingId);
+        if (!feature) {
+            syncUrlHash(); // Drop the stale building from the hash
+            return;
+        }
+        selectBuilding(feature, { fly: !initialLink.camera });
+        if (initialLink.view360 && feature.properties.imageURL) {
+            setView360Url(feature.properties.imageURL);
+        }
+    }, [buildings, isMapLoaded, initialLink, selectBuilding, syncUrlHash]);
+
+    // Keep the click handlers informed while a footprint is being drawn or a route is being picked
+    useEffect(() => {
+        isDrawingRef.current = isDrawingFootprint;
+        isRoutingRef.current = isRoutingMode;
+        measureModeRef.current = measureMode;
+        isPickingViewpointRef.current = isPickingViewpoint;
+    }, [isDrawingFootprint, isRoutingMode, measureMode, isPickingViewpoint]);
+
+    // Computes the walking route over the local footpath network once both ends are set
+    useEffect(() => {
+        const [origin, destination] = routePoints;
+        if (!origin || !destination) return;
+
+        let isCancelled = false;
+        setRouteStatus('Calculating route…');
+        dispatch(setRoute(null));
+
+        loadPathGraph()
+            .then(graph => {
+                if (isCancelled) return;
+                const walkingRoute = computeWalkingRoute(graph, [origin.lng, origin.lat], [destination.lng, destination.lat]);
+                if (!walkingRoute) {
+                    setRouteStatus('No walking route connects these points.');
+                    return;
+                }
+                setRouteStatus(null);
+                dispatch(setRoute(walkingRoute));
+
+                const bounds = walkingRoute.geometry.coordinates.reduce(
+                    (b, coord) => b.extend(coord),
+                    new maplibregl.LngLatBounds(walkingRoute.geometry.coordinates[0], walkingRoute.geometry.coordinates[0])
+                );
+                map.current?.fitBounds(bounds, { padding: 80, maxZoom: 18 });
+            })
+            .catch(err => {
+                if (isCancelled) return;
+                console.error("Routing failed:", err);
+                setRouteStatus(`Routing failed: ${err.message || 'footpath network unavailable.'}`);
+            });
+
+        return () => { isCancelled = true; };
+    }, [routePoints, dispatch]);
+
+    // Autosuggest: local building matches immediately, geocoder results (debounced) after them
     useEffect(() => {
         if (debounceTimeout.current) {
             clearTimeout(debounceTimeout.current);
         }
 
+        const buildingSuggestions = searchQuery.trim().length >= 2
+            ? searchBuildings(searchIndex, searchQuery).map(toBuildingSuggestion)
+            : [];
+        setSearchSuggestions(buildingSuggestions);
+
         if (searchQuery.length < 3) {
-            setSearchSuggestions([]);
             return;
         }
 
         debounceTimeout.current = setTimeout(async () => {
             try {
                 const suggestions = await fetchCoordinates(searchQuery, 5);
-                setSearchSuggestions(suggestions);
+                setSearchSuggestions([...buildingSuggestions, ...suggestions]);
             } catch (err) {
                 // Ignore silent fetch errors for suggestions
             }
@@ -277,24 +633,41 @@ function MapComponent() {
                 clearTimeout(debounceTimeout.current);
             }
         };
-    }, [searchQuery]);
+    }, [searchQuery, searchIndex]);
 
 
-    // MAPLIBRE INITIALIZATION & EVENT HANDLERS
+    // MAPLIBRE INITIALIZATION & EVENT HANDLERS (runs once; building data is synced by useBuildingSources)
     useEffect(() => {
-        if (map.current || !buildings) return;
+        if (map.current) return;
+
+        registerPmtilesProtocol();
 
         map.current = new maplibregl.Map({
             container: mapContainer.current,
-            style: MAP_STYLE_URL,
-            center: [DEFAULT_CENTER.lng, DEFAULT_CENTER.lat],
-            zoom: DEFAULT_CENTER.zoom, pitch: DEFAULT_CENTER.pitch
+            style: BASEMAPS[basemapRef.current].style,
+            transformRequest: transformBasemapRequest,
+            // Camera from the deep link, if the page was opened with one
+            ...(initialLink.camera || {
+                center: [DEFAULT_CENTER.lng, DEFAULT_CENTER.lat],
+                zoom: DEFAULT_CENTER.zoom, pitch: DEFAULT_CENTER.pitch
+            })
+        });
+
+        // Fall back to the bundled offline style when the online basemap cannot be reached
+        map.current.on('error', (e) => {
+            if (basemapRef.current === 'offline') return;
+            if (!map.current.isStyleLoaded() || !navigator.onLine) {
+                console.warn("Online basemap unavailable, switching to offline style:", e.error?.message);
+                setBasemapNotice('Online basemap unavailable — showing offline map.');
+                setBasemap('offline');
+            }
         });
 
         map.current.on('move', () => {
             const center = map.current.getCenter();
             setMapCenter({ lng: center.lng.toFixed(4), lat: center.lat.toFixed(4) });
         });
+        map.current.on('moveend', syncUrlHash);
 
         // Handler 1: MOUSE DOWN (Logging & Right-Click Coordinate Collection)
         map.current.on('mousedown', (e) => {
@@ -323,11 +696,43 @@ function MapComponent() {
             }
         });
 
+        // Building extrusion or model click: pick a route end, or open its InfoPanel
+        const handleBuildingClick = (feature) => {
+            const { lng: centerLng, lat: centerLat } = getFootprintCenter(feature);
+            if (isRoutingRef.current) {
+                setRoutePoints(prev => addRoutePoint(prev, { lng: centerLng, lat: centerLat }));
+                return;
+            }
+            setSelectedFeature({ name: feature.properties.name, id: feature.properties.id, imageURL: feature.properties.imageURL, category: feature.properties.category, centerPoint: { lng: centerLng, lat: centerLat } });
+            map.current.flyTo({ center: [centerLng, centerLat], pitch: 60, zoom: 16 });
+            setReverseGeocodeInfo(null);
+        };
+
         // Handler 2: LEFT-CLICK (Reverse Geocoding or Clearing)
         map.current.on('click', (e) => {
             if (e.originalEvent.button !== 0) return; // Only process left-click
+            if (isDrawingRef.current) return; // Clicks belong to the draw tool while drafting a footprint
             const { lng, lat } = e.lngLat;
 
+            // Viewpoint picking: the click places the DataEntryForm's 360° viewpoint
+            if (isPickingViewpointRef.current) {
+                dispatch(setDraftViewpoint({ coordinates: [lng, lat], origin: 'map' }));
+                return;
+            }
+
+            // Measure mode: every click (buildings included) adds a measure point
+            if (measureModeRef.current) {
+                setMeasurePoints(prev => addMeasurePoint(measureModeRef.current, prev, [lng, lat]));
+                return;
+            }
+
+            // Models are drawn by a custom layer, which queryRenderedFeatures cannot see
+            const modelFeature = pickModel(e.point);
+            if (modelFeature) {
+                handleBuildingClick(modelFeature);
+                return;
+            }
+
             const features = map.current.queryRenderedFeatures(e.point);
             const isFeatureClicked = features.some(f =>
                 f.layer.id === BUILDING_LAYER_ID ||
@@ -341,6 +746,12 @@ function MapComponent() {
                 return;
             }
 
+            // Routing mode: the click picks the next route end instead of geocoding
+            if (isRoutingRef.current) {
+                setRoutePoints(prev => addRoutePoint(prev, { lng, lat }));
+                return;
+            }
+
             // Clear map interaction states
             if (routePoints.length > 0 || route) {
                 setRoutePoints([]);
@@ -359,7 +770,7 @@ function MapComponent() {
             e.preventDefault();
 
             // Check for Marker Click (Priority for 360 View)
-            const features = map.current.queryRenderedFeatures(e.point, { layers: ['viewpoint-markers', PHOTO_MARKER_LAYER_ID] });
+            const features = map.current.queryRenderedFeatures(e.point, { layers: [PHOTO_MARKER_LAYER_ID] });
 
             if (features.length > 0) {
                 const feature = features[0];
@@ -381,7 +792,8 @@ function MapComponent() {
             }
         });
 
-        map.current.on('load', () => {
+        // App sources/layers are part of the style, so they are (re)added on every style load
+        map.current.on('style.load', () => {
             const cleanupLayersAndSources = (id) => {
                 if (map.current.getLayer(id)) map.current.removeLayer(id);
                 if (map.current.getSource(id)) map.current.removeSource(id);
@@ -389,9 +801,9 @@ function MapComponent() {
 
             // Cleanup layers/sources
             cleanupLayersAndSources(BUILDING_LAYER_ID);
-            cleanupLayersAndSources('buildings');
+            cleanupLayersAndSources(BUILDINGS_SOURCE_ID);
             cleanupLayersAndSources('viewpoint-markers');
-            cleanupLayersAndSources('viewpoint-source');
+            cleanupLayersAndSources(VIEWPOINT_SOURCE_ID);
             cleanupLayersAndSources('route-line');
             cleanupLayersAndSources('route-source');
             cleanupLayersAndSources(ROUTE_POINT_LAYER_ID);
@@ -403,32 +815,12 @@ function MapComponent() {
             cleanupLayersAndSources(COLLECTED_COORDS_LAYER_ID);
             cleanupLayersAndSources(COLLECTED_COORDS_SOURCE_ID);
 
-            // Building/Marker feature transformation logic
-            const viewpointMarkers = {
-                type: "FeatureCollection", features: buildings.features.map(feature => {
-                    let pointCoords;
-                    if (feature.properties.viewpoint && feature.properties.viewpoint.coordinates) {
-                        pointCoords = feature.properties.viewpoint.coordinates;
-                    } else if (feature.geometry.coordinates && feature.geometry.coordinates.length > 0 && feature.geometry.type === 'Polygon') {
-                        const coords = feature.geometry.coordinates[0];
-                        const centerLng = coords.reduce((sum, p) => sum + p[0], 0) / coords.length;
-                        const centerLat = coords.reduce((sum, p) => sum + p[1], 0) / coords.length;
-                        pointCoords = [centerLng, centerLat];
-                    } else {
-                        pointCoords = [0, 0];
-                    }
-
-                    return {
-                        type: "Feature",
-                        geometry: { type: "Point", coordinates: pointCoords },
-                        properties: { ...feature.properties }
-                    };
-                })
-            };
-
             // --- Add Sources ---
-            map.current.addSource('buildings', { type: 'geojson', data: buildings });
-            map.current.addSource('viewpoint-source', { type: 'geojson', data: viewpointMarkers });
+            // Building sources start empty and are filled/diffed by useBuildingSources (promoteId enables per-feature updates)
+            map.current.addSource(BUILDINGS_SOURCE_ID, { type: 'geojson', data: { type: 'FeatureCollection', features: [] }, promoteId: 'id' });
+            map.current.addSource(VIEWPOINT_SOURCE_ID, {
+                type: 'geojson', data: { type: 'FeatureCollection', features: [] }, promoteId: 'id', ...VIEWPOINT_CLUSTER_OPTIONS,
+            });
             map.current.addSource(ROUTE_POINT_SOURCE_ID, { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
             map.current.addSource(BOX_SOURCE_ID, { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
             map.current.addSource(CLICKED_POINTS_SOURCE_ID, { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
@@ -437,15 +829,15 @@ function MapComponent() {
 
             // --- Add Layers ---
             map.current.addLayer({
-                'id': BUILDING_LAYER_ID, 'type': 'fill-extrusion', 'source': 'buildings',
-                'paint': { 'fill-extrusion-color': COLOR_GOLD, 'fill-extrusion-height': ['get', 'height'], 'fill-extrusion-base': 0, 'fill-extrusion-opacity': 1 }
+                'id': BUILDING_LAYER_ID, 'type': 'fill-extrusion', 'source': BUILDINGS_SOURCE_ID,
+                'paint': { 'fill-extrusion-color': categoryMatchExpression('color'), 'fill-extrusion-height': ['get', 'height'], 'fill-extrusion-base': 0, 'fill-extrusion-opacity': 1 }
             });
             map.current.addLayer({
                 'id': ROUTE_POINT_LAYER_ID, 'type': 'circle', 'source': ROUTE_POINT_SOURCE_ID,
                 'paint': { 'circle-color': ['match', ['get', 'index'], 0, COLOR_ROUTE_GREEN, 1, '#b91c1c', '#333'], 'circle-radius': 10, 'circle-stroke-width': 2, 'circle-stroke-color': '#ffffff' }
             });
             map.current.addLayer({
-                'id': BOX_LAYER_ID, 'type': 'fill', 'source': BOX_SOURCE_SOURCE_ID, 'layout': {},
+                'id': BOX_LAYER_ID, 'type': 'fill', 'source': BOX_SOURCE_ID, 'layout': {},
                 'paint': { 'fill-color': COLOR_GOLD, 'fill-opacity': 0.3, 'fill-outline-color': COLOR_GOLD }
             });
             map.current.addLayer({
@@ -453,64 +845,76 @@ function MapComponent() {
                 'paint': { 'circle-color': '#6b7280', 'circle-radius': 4, 'circle-stroke-width': 1, 'circle-stroke-color': '#ffffff' }
             });
 
-            // 360 Photo Marker Logic (Symbol Layer)
-            map.current.loadImage('/camera-icon.png', (error, image) => {
-                if (!error && !map.current.hasImage('camera-icon')) {
-                    map.current.addImage('camera-icon', image, { pixelRatio: 2 });
-                    map.current.addLayer({
-                        'id': PHOTO_MARKER_LAYER_ID, 'type': 'symbol', 'source': 'viewpoint-source',
-                        'layout': { 'icon-image': 'camera-icon', 'icon-size': 0.12, 'visibility': ['case', ['has', 'imageURL'], 'visible', 'none'] },
-                        'filter': ['has', 'imageURL']
-                    });
-                }
+            // 360 Photo Marker Logic (Symbol Layer): one generated badge icon per category.
+            // Clusters are drawn as HTML bubbles by useViewpointClusters instead.
+            addCategoryIcons(map.current);
+            map.current.addLayer({
+                'id': PHOTO_MARKER_LAYER_ID, 'type': 'symbol', 'source': VIEWPOINT_SOURCE_ID,
+                'layout': { 'icon-image': categoryIconExpression(), 'icon-allow-overlap': true },
+                'paint': { 'icon-opacity': categoryMatchExpression('opacity') },
+                'filter': ['!', ['has', 'point_count']]
             });
 
+            setStyleVersion(v => v + 1);
+        });
+
+        map.current.on('load', () => {
             // --- Feature Click Handlers ---
             map.current.on('click', BUILDING_LAYER_ID, (e) => {
-                const feature = e.features[0];
-                const coords = feature.geometry.coordinates[0];
-                const centerLng = coords.reduce((sum, p) => sum + p[0], 0) / coords.length;
-                const centerLat = coords.reduce((sum, p) => sum + p[1], 0) / coords.length;
-                setSelectedFeature({ name: feature.properties.name, id: feature.properties.id, imageURL: feature.properties.imageURL, category: feature.properties.category, centerPoint: { lng: centerLng, lat: centerLat } });
-                map.current.flyTo({ center: [centerLng, centerLat], pitch: 60, zoom: 16 });
-                setReverseGeocodeInfo(null);
+                if (isDrawingRef.current || measureModeRef.current || isPickingViewpointRef.current) return;
+                if (pickModel(e.point)) return; // A model in front of this extrusion took the click
+                handleBuildingClick(e.features[0]);
             });
 
             map.current.on('click', PHOTO_MARKER_LAYER_ID, (e) => {
+                if (isDrawingRef.current || measureModeRef.current || isPickingViewpointRef.current) return;
                 const feature = e.features[0];
+                if (isRoutingRef.current) {
+                    const [markerLng, markerLat] = feature.geometry.coordinates;
+                    setRoutePoints(prev => addRoutePoint(prev, { lng: markerLng, lat: markerLat }));
+                    return;
+                }
                 setSelectedFeature({ name: feature.properties.name, id: feature.properties.id, imageURL: feature.properties.imageURL, category: feature.properties.category, centerPoint: { lng: feature.geometry.coordinates[0], lat: feature.geometry.coordinates[1] } });
                 if (feature.properties.imageURL) { setView360Url(feature.properties.imageURL); }
                 map.current.flyTo({ center: feature.geometry.coordinates, pitch: 60, zoom: 16 });
                 setReverseGeocodeInfo(null);
             });
+
+            setIsMapLoaded(true);
         });
 
         // Cleanup on component unmount
         return () => {
+            setIsMapLoaded(false);
             map.current?.remove();
             map.current = null;
         };
-    }, [buildings, dispatch, handleReverseGeocode]);
+    }, [dispatch, handleReverseGeocode, initialLink, syncUrlHash, pickModel]);
+
+    // --- EFFECT: BASEMAP SWITCHING ---
+    useEffect(() => {
+        if (basemapRef.current === basemap) return;
+        basemapRef.current = basemap;
+        if (!map.current) return; // Picked up by the initialization effect instead
+        // diff: false forces a full reload so 'style.load' re-adds the app layers
+        map.current.setStyle(BASEMAPS[basemap].style, { diff: false });
+    }, [basemap]);
 
 
-    // --- EFFECT: CATEGORY FILTERING AND COLORING LOGIC ---
+    // --- EFFECT: BUILDING FILTER (colors come from the per-category style table) ---
     useEffect(() => {
         if (!map.current || !map.current.isStyleLoaded()) return;
 
-        const extrusionColor = activeCategory === 'All' ? COLOR_GOLD : COLOR_PURPLE;
-
+        const filterExpression = buildFilterExpression(filter);
         if (map.current.getLayer(BUILDING_LAYER_ID)) {
-            map.current.setPaintProperty(BUILDING_LAYER_ID, 'fill-extrusion-color', extrusionColor);
-            map.current.setFilter(BUILDING_LAYER_ID, activeCategory === 'All' ? null : ['==', ['get', 'category'], activeCategory]);
-        }
-
-        if (map.current.getLayer(PHOTO_MARKER_LAYER_ID)) {
-            map.current.setFilter(PHOTO_MARKER_LAYER_ID, activeCategory === 'All'
-                ? ['has', 'imageURL']
-                : ['all', ['has', 'imageURL'], ['==', ['get', 'category'], activeCategory]]
-            );
+            // Buildings drawn as a glTF model skip their extrusion (it stays as the fallback while loading or on error)
+            const withoutModels = modelBuildingIds.length > 0
+                ? ['!', ['in', ['get', 'id'], ['literal', modelBuildingIds]]]
+                : null;
+            const conditions = [filterExpression, withoutModels].filter(Boolean);
+            map.current.setFilter(BUILDING_LAYER_ID, conditions.length > 1 ? ['all', ...conditions] : conditions[0] || null);
         }
-    }, [activeCategory]); // Depends on internal activeCategory state
+    }, [filter, modelBuildingIds, styleVersion]); // Re-applied after a basemap switch rebuilds the layers
 
     // --- EFFECT: ROUTE LINE RENDERING ---
     useEffect(() => {
@@ -534,7 +938,7 @@ function MapComponent() {
         } else if (!route && sourceExists) {
             map.current.getSource(routeSourceId).setData({ type: 'FeatureCollection', features: [] });
         }
-    }, [route]);
+    }, [route, styleVersion]);
 
     // --- EFFECT: ROUTE POINT RENDERING ---
     useEffect(() => {
@@ -542,15 +946,15 @@ function MapComponent() {
 
         const routeGeoJSON = {
             type: 'FeatureCollection',
-            features: routePoints.map((point, index) => ({
+            features: routePoints.map((point, index) => point && ({
                 type: 'Feature', geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
                 properties: { id: `route-point-${index}`, index: index }
-            }))
+            })).filter(Boolean)
         };
         if (map.current.getSource(ROUTE_POINT_SOURCE_ID)) {
             map.current.getSource(ROUTE_POINT_SOURCE_ID).setData(routeGeoJSON);
         }
-    }, [routePoints]);
+    }, [routePoints, styleVersion]);
 
     // --- EFFECT: COLLECTED COORDINATES VISUALIZATION (Right-Click Data) ---
     useEffect(() => {
@@ -570,7 +974,7 @@ function MapComponent() {
 
         map.current.getSource(COLLECTED_COORDS_SOURCE_ID).setData({ type: 'FeatureCollection', features });
 
-    }, [collectedCoordinates]);
+    }, [collectedCoordinates, styleVersion]);
 
 
     // --- RENDER HELPERS: Reverse Geocoding Panel ---
@@ -597,6 +1001,81 @@ function MapComponent() {
     };
 
 
+    // --- RENDER HELPERS: Walking Route Summary ---
+    const getRouteDisplay = () => {
+        if (!isRoutingMode && !route && !routeStatus) return null;
+        const [origin, destination] = routePoints;
+
+        return (
+            <div className="mt-2 pt-2 border-t border-amber-300/50">
+                <p className="font-serif font-bold text-amber-300 text-sm tracking-wider">Walking Route</p>
+                {route ? (
+                    <p className="text-sm text-white mt-1">
+                        {formatDistance(route.properties.distance)} · {formatDuration(route.properties.duration)} walk
+                    </p>
+                ) : (
+                    <p className="text-blue-400 font-semibold text-xs mt-1 leading-snug">
+                        {!origin ? 'Click the map or a building to set the START.' : !destination ? 'Now pick the DESTINATION.' : ''}
+                    </p>
+                )}
+                {routeStatus && <p className="text-xs text-red-400 mt-1">{routeStatus}</p>}
+            </div>
+        );
+    };
+
+    // --- RENDER HELPERS: Measure Tool Summary ---
+    const getMeasureDisplay = () => {
+        if (!measureMode) return null;
+        const hints = {
+            distance: 'Click the map to add points along the path.',
+            area: 'Click at least 3 points around the area.',
+            bearing: 'Click the FROM point, then the TO point.',
+        };
+
+        return (
+            <div className="mt-2 pt-2 border-t border-amber-300/50">
+                <p className="font-serif font-bold text-amber-300 text-sm tracking-wider">Measure</p>
+                <div className="flex gap-1 mt-1">
+                    {Object.entries(MEASURE_MODES).map(([mode, label]) => (
+                        <button
+                            key={mode}
+                            onClick={() => handleMeasureMode(mode)}
+                            className={`flex-1 text-xs font-serif py-1 rounded-full transition duration-150
+                                ${measureMode === mode ? 'bg-amber-600 text-stone-900' : 'bg-stone-900/50 text-amber-300/70 hover:bg-blue-900'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="text-sm text-white mt-1 space-y-0.5">
+                    {measurement.distance !== null && <p>Distance: {formatDistance(measurement.distance)}</p>}
+                    {measurement.area !== null && <p>Area: {formatArea(measurement.area)}</p>}
+                    {measurement.perimeter !== null && <p>Perimeter: {formatDistance(measurement.perimeter)}</p>}
+                    {measurement.bearing !== null && <p>Bearing: {formatBearing(measurement.bearing)}</p>}
+                </div>
+                <p className="text-blue-400 font-semibold text-xs mt-1 leading-snug">{hints[measureMode]}</p>
+
+                {measurePoints.length > 0 && (
+                    <div className="flex gap-1 mt-2">
+                        <button
+                            onClick={() => setMeasurePoints(prev => prev.slice(0, -1))}
+                            className="flex-1 bg-blue-900 hover:bg-blue-800 text-amber-300 text-xs font-serif py-1 rounded-full transition duration-150"
+                        >
+                            Undo Point
+                        </button>
+                        <button
+                            onClick={() => setMeasurePoints([])}
+                            className="flex-1 bg-red-900 hover:bg-red-800 text-amber-300 text-xs font-serif py-1 rounded-full transition duration-150"
+                        >
+                            Clear
+                        </button>
+                    </div>
+                )}
+            </div>
+        );
+    };
+
     // --- RENDER HELPERS: Data Acquisition / Interaction Log ---
 
     const getCollectedCoordsDisplay = () => {
@@ -621,6 +1100,46 @@ function MapComponent() {
                     <p className="text-red-400 font-bold text-xs mt-2">MAXIMUM {MAX_COLLECTED_POINTS} POINTS REACHED</p>
                 )}
 
+                {/* Export: shape + format, and hand-off to the DataEntryForm */}
+                {collectedCoordinates.length > 0 && (
+                    <div className="mt-3 space-y-2">
+                        <div className="flex gap-1">
+                            {Object.entries(EXPORT_SHAPES).map(([shape, label]) => (
+                                <button
+                                    key={shape}
+                                    onClick={() => setExportShape(shape)}
+                                    disabled={collectedCoordinates.length < MIN_POSITIONS[shape]}
+                                    className={`flex-1 text-xs font-serif py-1 rounded-full transition duration-150 disabled:opacity-40
+                                        ${exportShape === shape ? 'bg-amber-600 text-stone-900' : 'bg-stone-900/50 text-amber-300/70 hover:bg-blue-900'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="flex gap-1">
+                            {EXPORT_FORMATS.map(format => (
+                                <button
+                                    key={format}
+                                    onClick={() => handleExportCollected(format)}
+                                    disabled={collectedCoordinates.length < MIN_POSITIONS[exportShape]}
+                                    className="flex-1 bg-blue-900 hover:bg-blue-800 text-amber-300 text-xs font-mono py-1 rounded-full transition duration-150 disabled:opacity-40"
+                                >
+                                    {format}
+                                </button>
+                            ))}
+                        </div>
+                        {canEdit && (
+                            <button
+                                onClick={handleUseAsFootprint}
+                                disabled={collectedCoordinates.length < MIN_POSITIONS.polygon}
+                                className="w-full bg-amber-600 hover:bg-amber-500 text-stone-900 font-serif py-1.5 px-4 rounded-full text-xs transition duration-300 shadow-lg disabled:opacity-40"
+                            >
+                                Use as Building Footprint 🏛️
+                            </button>
+                        )}
+                    </div>
+                )}
+
                 {collectedCoordinates.length > 0 && (
                     <button
                         onClick={resetCollectedCoordinates}
@@ -651,8 +1170,15 @@ function MapComponent() {
     return (
         <>
             {/* Error/Loading */}
-            {error && <div className="flex justify-center items-center h-screen text-3xl font-serif font-bold text-red-400 bg-stone-900/90 z-50 absolute inset-0">Error: {error}</div>}
-            {loading && <div className="flex justify-center items-center h-screen text-3xl font-serif font-bold text-amber-300 bg-stone-900/90 z-50 absolute inset-0">Loading Geospatial Data... 🏰</div>}
+            {/* Without any buildings (not even the offline copy) the error covers the map; a failed refresh only shows a banner */}
+            {error && !buildings && <div className="flex justify-center items-center h-screen text-3xl font-serif font-bold text-red-400 bg-stone-900/90 z-50 absolute inset-0">Error: {error}</div>}
+            {error && buildings && (
+                <div className="absolute top-20 left-1/2 -translate-x-1/2 z-30 px-4 py-2 rounded-xl bg-stone-950/80 border border-red-400/50 text-red-300 text-sm font-serif shadow-2xl">
+                    Could not refresh buildings: {error} Showing the last loaded data.
+                </div>
+            )}
+            {/* Full-screen loader only for the first load; later refreshes update the map in place */}
+            {loading && !buildings && <div className="flex justify-center items-center h-screen text-3xl font-serif font-bold text-amber-300 bg-stone-900/90 z-50 absolute inset-0">Loading Geospatial Data... 🏰</div>}
 
             {/* Map Container */}
             <div className="w-full h-screen absolute top-0 left-0">
@@ -671,7 +1197,7 @@ function MapComponent() {
                         type="text"
                         value={searchQuery}
                         onChange={(e) => setSearchQuery(e.target.value)}
-                        placeholder="Search Location or Pincode..."
+                        placeholder="Search Building, Location or Pincode..."
                         className="flex-grow p-3 text-sm font-serif tracking-wide text-stone-900 bg-amber-200 focus:bg-white placeholder-stone-700 focus:outline-none transition duration-150"
                     />
                     <button
@@ -688,10 +1214,16 @@ function MapComponent() {
                         {searchSuggestions.map((suggestion, index) => (
                             <div
                                 key={index}
-                                onClick={() => flyToLocation(suggestion.lng, suggestion.lat, suggestion.zoom)}
+                                onClick={() => handleSuggestionClick(suggestion)}
                                 className="p-3 text-xs text-amber-300 hover:bg-blue-900/80 cursor-pointer border-b border-amber-300/20 last:border-b-0 transition duration-100"
                             >
-                                <p className="font-semibold">{suggestion.name}</p>
+                                <p className="font-semibold">
+                                    {suggestion.type === 'building' && <span className="mr-1">🏛️</span>}
+                                    {suggestion.name}
+                                </p>
+                                {suggestion.type === 'building' && suggestion.category && (
+                                    <p className="text-amber-300/60">{suggestion.category} · on campus</p>
+                                )}
                             </div>
                         ))}
                     </div>
@@ -704,6 +1236,13 @@ function MapComponent() {
                     </div>
                 )}
 
+                {/* Offline Fallback Notice */}
+                {basemapNotice && (
+                    <div className="mt-2 bg-blue-950/80 p-2 text-xs text-amber-300 rounded shadow-lg border border-amber-300/30">
+                        {basemapNotice}
+                    </div>
+                )}
+
                 {/* Reverse Geocoding Panel */}
                 {getReverseGeocodePanel()}
             </div>
@@ -717,11 +1256,13 @@ function MapComponent() {
                 <p className="text-lg font-serif tracking-widest text-white mb-2">Imperial Map Console</p>
                 {/* Longitude and Latitude coordinates REMOVED from the Top Right Console */}
 
+                {getRouteDisplay()}
+                {getMeasureDisplay()}
                 {getCollectedCoordsDisplay()}
                 {getAllClickedCoordsDisplay()}
             </div>
 
-            {/* 3. Single Fixed Horizontal Bottom Bar for ALL Controls - RESTORED CATEGORY BUTTONS */}
+            {/* 3. Single Fixed Horizontal Bottom Bar for ALL Controls (category filter lives in the legend) */}
             <div
                 className="fixed bottom-0 left-0 right-0 p-2 bg-blue-950/80 backdrop-blur-sm shadow-2xl z-30 flex items-center gap-2 overflow-x-auto whitespace-nowrap border-t border-amber-300/30"
                 style={{ height: '4rem' }}
@@ -737,6 +1278,22 @@ function MapComponent() {
                     </button>
                 )}
 
+                {/* Basemap Switcher (Online satellite / bundled offline PMTiles) */}
+                <div className="flex items-center gap-1 p-1 bg-stone-900/50 rounded-full border border-amber-300/20 flex-shrink-0">
+                    {Object.entries(BASEMAPS).map(([key, { label }]) => (
+                        <button
+                            key={key}
+                            onClick={() => handleBasemapClick(key)}
+                            className={`text-xs font-serif py-1 px-2 rounded-full transition duration-150 tracking-wide
+                                ${basemap === key
+                                    ? 'bg-amber-600 text-stone-900 shadow-md'
+                                    : 'text-amber-300/70 hover:bg-blue-900'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
                 {/* NEW: Map Coordinates Display in the Bottom Bar */}
                 <div className="hidden sm:flex text-amber-300/90 font-mono text-xs items-center p-1 px-2 bg-stone-900/50 rounded-full border border-amber-300/20 flex-shrink-0">
                     <span className="font-serif font-bold text-white mr-2">Map Center:</span>
@@ -758,12 +1315,47 @@ function MapComponent() {
                     {isCoordinateFormOpen ? 'Close Data Entry' : 'Open Data Entry'} ({collectedCoordinates.length} / {MAX_COLLECTED_POINTS})
                 </button>
 
+                {/* Walking Route Mode Toggle: map/building clicks pick origin then destination */}
+                <button
+                    onClick={() => {
+                        setIsRoutingMode(prev => !prev);
+                        setMeasureMode(null);
+                    }}
+                    className={`font-serif py-1.5 px-3 rounded-full shadow-lg transition duration-300 text-xs sm:text-sm flex-shrink-0
+                        ${isRoutingMode
+                            ? 'bg-amber-600 text-stone-900 border border-amber-300'
+                            : 'bg-blue-900 hover:bg-blue-800 text-amber-300 border border-amber-300/50'}`}
+                >
+                    {isRoutingMode ? 'Routing: Pick Points 🚶' : 'Walking Route 🚶'}
+                </button>
+
+                {/* Measure Tool Toggle: distance, area/perimeter and bearing from map clicks */}
+                <button
+                    onClick={() => handleMeasureMode(measureMode ? null : 'distance')}
+                    className={`font-serif py-1.5 px-3 rounded-full shadow-lg transition duration-300 text-xs sm:text-sm flex-shrink-0
+                        ${measureMode
+                            ? 'bg-amber-600 text-stone-900 border border-amber-300'
+                            : 'bg-blue-900 hover:bg-blue-800 text-amber-300 border border-amber-300/50'}`}
+                >
+                    {measureMode ? 'Measuring 📏' : 'Measure 📏'}
+                </button>
+
+                {/* Print Export Toggle: PNG/PDF of the current view with legend and scale bar */}
+                <button
+                    onClick={() => setIsPrintOpen(prev => !prev)}
+                    className={`font-serif py-1.5 px-3 rounded-full shadow-lg transition duration-300 text-xs sm:text-sm flex-shrink-0
+                        ${isPrintOpen
+                            ? 'bg-amber-600 text-stone-900 border border-amber-300'
+                            : 'bg-blue-900 hover:bg-blue-800 text-amber-300 border border-amber-300/50'}`}
+                >
+                    Export Map 🖨️
+                </button>
+
                 {/* Clear Route/Points Button (Visibility based on state) */}
                 {(routePoints.length > 0 || route) && (
                     <button
                         onClick={() => {
-                            setRoutePoints([]);
-                            dispatch(setRoute(null));
+                            clearRoute();
                             if (map.current?.getSource('route-source')) {
                                 map.current.getSource('route-source').setData({ type: 'FeatureCollection', features: [] });
                             }
@@ -774,39 +1366,48 @@ function MapComponent() {
                     </button>
                 )}
 
-                {/* Separator / Visual Break */}
-                <div className="border-l border-amber-300/50 h-6 mx-1 flex-shrink-0"></div>
-
-                {/* Category Filters (The rest of the bar) - RESTORED */}
-                {CATEGORY_OPTIONS.map(category => (
-                    <button
-                        key={category}
-                        onClick={() => handleCategoryClick(category)}
-                        className={`text-xs font-serif py-1 px-2 h-auto rounded-full transition duration-150 tracking-wide flex-shrink-0
-                            ${activeCategory === category
-                                ? 'bg-amber-600 text-stone-900 shadow-md border border-amber-300'
-                                : 'bg-stone-900/50 text-amber-300/70 hover:bg-blue-900'}`
-                        }
-                    >
-                        {category}
-                    </button>
-                ))}
+            </div>
 
+            {/* Filters + Category Legend (the legend also picks the categories) */}
+            <div className="absolute bottom-20 left-4 z-20 flex flex-col gap-2 items-start">
+                <FilterPanel />
+                <CategoryLegend
+                    selectedCategories={filter.categories}
+                    counts={categoryCounts}
+                    onToggle={(category) => dispatch(toggleCategory(category))}
+                    onShowAll={() => dispatch(setCategories([]))}
+                />
             </div>
 
+            {/* Print export options (above the bottom bar) */}
+            {isPrintOpen && (
+                <PrintExportPanel
+                    onExport={handlePrintExport}
+                    onClose={() => setIsPrintOpen(false)}
+                    selectedName={selectedBuilding ? selectedBuilding.properties.name || String(selectedBuilding.properties.id) : null}
+                />
+            )}
+
             {/* Info Panel UI (Building/Feature Info) */}
             {selectedFeature && (
                 <InfoPanel
                     building={selectedFeature}
-                    onRoute={handleRoute}
+                    feature={selectedBuilding}
+                    footprintMetrics={selectedFootprintMetrics}
+                    canRevert={canEdit}
+                    onRouteFrom={(point) => handleRouteEndpoint(0, point)}
+                    onRouteTo={(point) => handleRouteEndpoint(1, point)}
                     on360View={() => setView360Url(selectedFeature.imageURL)}
+                    onEdit={canEdit ? handleEditBuilding : null}
+                    onDelete={isAdmin ? handleDeleteBuilding : null}
+                    onCopyLink={handleCopyLink}
                     onCancel={handleCancelInfoPanel}
                 />
             )}
 
             {/* 360 View Modal */}
             {view360Url && (
-                <View360 imageUrl={view360Url} onClose={() => setView360Url(null)} />
+                <View360 imageUrl={view360Url} tour={selectedTour} orientation={selectedViewOrientation} onClose={() => setView360Url(null)} />
             )}
         </>
     );
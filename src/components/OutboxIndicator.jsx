@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { syncOutbox, resolveOutboxEntry } from '../redux/outboxSlice';
+
+const TYPE_LABELS = { create: 'New building', update: 'Edit', delete: 'Delete', upload: '360° upload' };
+const STATUS_STYLES = { pending: 'text-amber-300', conflict: 'text-red-400', failed: 'text-red-400' };
+
+/**
+ * Connectivity + pending-changes badge for the offline outbox. Expands to the queued writes,
+ * with "Keep mine" / "Discard" for conflicts and failures. Hidden while online with nothing queued.
+ */
+const OutboxIndicator = () => {
+    const dispatch = useDispatch();
+    const { entries, isOnline, isSyncing, syncError } = useSelector((state) => state.outbox);
+    const [isOpen, setIsOpen] = useState(false);
+
+    const pendingCount = entries.filter(entry => entry.status === 'pending').length;
+    const problemCount = entries.length - pendingCount;
+    if (isOnline && entries.length === 0) return null;
+
+    return (
+        <div className="bg-stone-950/80 backdrop-blur-sm rounded-xl shadow-2xl border border-amber-300/30 text-amber-300 font-serif w-72">
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                className="w-full flex justify-between items-center gap-2 px-3 py-2 text-sm tracking-wide text-white"
+                aria-expanded={isOpen}
+            >
+                <span className="flex items-center gap-2">
+                    <span className={`w-2.5 h-2.5 rounded-full ${isOnline ? 'bg-green-500' : 'bg-red-500'}`} />
+                    {isOnline ? (isSyncing ? 'Syncing…' : 'Online') : 'Offline'}
+                </span>
+                <span className="text-xs font-mono">
+                    {pendingCount > 0 && <span className="text-amber-400">{pendingCount} pending </span>}
+                    {problemCount > 0 && <span className="text-red-400">⚠ {problemCount} </span>}
+                    {isOpen ? '▾' : '▸'}
+                </span>
+            </button>
+
+            {isOpen && (
+                <div className="px-3 pb-3 text-xs space-y-2">
+                    {entries.length === 0 ? (
+                        <p className="text-amber-300/70">No unsynced changes. Buildings shown are the last copy saved on this device.</p>
+                    ) : (
+                        <ul className="max-h-48 overflow-y-auto space-y-1">
+                            {entries.map(entry => (
+                                <li key={entry.seq} className="p-1.5 rounded bg-stone-900/60 border border-amber-300/10">
+                                    <p className="flex justify-between gap-2">
+                                        <span className="truncate text-amber-100">{TYPE_LABELS[entry.type]}: {entry.label || '—'}</span>
+                                        <span className={STATUS_STYLES[entry.status]}>{entry.status}</span>
+                                    </p>
+                                    {entry.message && <p className="text-red-300 mt-0.5">{entry.message}</p>}
+                                    {entry.status !== 'pending' && (
+                                        <div className="flex gap-1 mt-1">
+                                            <button
+                                                onClick={() => dispatch(resolveOutboxEntry({ seq: entry.seq, action: 'keep' }))}
+                                                className="flex-1 bg-blue-900 hover:bg-blue-800 py-0.5 rounded-full"
+                                            >
+                                                Keep mine
+                                            </button>
+                                            <button
+                                                onClick={() => dispatch(resolveOutboxEntry({ seq: entry.seq, action: 'discard' }))}
+                                                className="flex-1 bg-red-900 hover:bg-red-800 py-0.5 rounded-full"
+                                            >
+                                                Discard
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {syncError && <p className="text-red-400">Sync failed: {syncError}</p>}
+                    {pendingCount > 0 && (
+                        <button
+                            onClick={() => dispatch(syncOutbox())}
+                            disabled={!isOnline || isSyncing}
+                            className="w-full px-2 py-1 rounded-lg bg-stone-800/80 hover:bg-stone-900 border border-white/20 disabled:opacity-40"
+                        >
+                            {isSyncing ? 'Syncing…' : 'Sync now'}
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OutboxIndicator;
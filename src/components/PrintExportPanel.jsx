@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { PAPER_SIZES, PRINT_DPIS, PRINT_FORMATS } from '../utils/mapPrint';
+
+const DEFAULT_TITLE = 'Campus Map';
+
+/**
+ * Print export options (title, PNG/PDF, paper, orientation, DPI, selected building details).
+ * `onExport(options)` renders and downloads the page; `selectedName` is the selected building, if any.
+ */
+const PrintExportPanel = ({ onExport, onClose, selectedName }) => {
+    const [options, setOptions] = useState({
+        title: DEFAULT_TITLE, format: 'PDF', paper: 'A4', orientation: 'landscape', dpi: 150, includeBuilding: true,
+    });
+    const [status, setStatus] = useState(null); // 'Rendering…' / 'Error: ...'
+    const isExporting = status === 'Rendering…';
+
+    const update = (changes) => setOptions(prev => ({ ...prev, ...changes }));
+
+    const handleExport = async () => {
+        setStatus('Rendering…');
+        try {
+            await onExport({ ...options, includeBuilding: options.includeBuilding && Boolean(selectedName) });
+            setStatus(null);
+        } catch (error) {
+            console.error("Map export failed:", error);
+            setStatus(`Error: ${error.message}`);
+        }
+    };
+
+    const selectClassName = 'w-full bg-stone-900 border border-amber-300/30 rounded px-2 py-1 text-amber-100';
+
+    return (
+        <div className="absolute bottom-20 left-1/2 -translate-x-1/2 z-30 w-80 p-4 bg-stone-950/90 backdrop-blur-sm rounded-xl shadow-2xl border border-amber-300/30 text-amber-300 font-serif text-sm">
+            <div className="flex justify-between items-center mb-3">
+                <p className="text-lg tracking-widest text-white">Export Map 🖨️</p>
+                <button onClick={onClose} disabled={isExporting} className="text-amber-300/70 hover:text-white disabled:opacity-40 text-lg">✕</button>
+            </div>
+
+            <label className="block mb-2">
+                Title
+                <input
+                    type="text"
+                    value={options.title}
+                    onChange={(e) => update({ title: e.target.value })}
+                    className="w-full bg-stone-900 border border-amber-300/30 rounded px-2 py-1 text-amber-100"
+                />
+            </label>
+
+            <div className="grid grid-cols-2 gap-2 mb-2">
+                <label>
+                    Format
+                    <select value={options.format} onChange={(e) => update({ format: e.target.value })} className={selectClassName}>
+                        {PRINT_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+                    </select>
+                </label>
+                <label>
+                    Paper
+                    <select value={options.paper} onChange={(e) => update({ paper: e.target.value })} className={selectClassName}>
+                        {Object.keys(PAPER_SIZES).map(paper => <option key={paper} value={paper}>{paper}</option>)}
+                    </select>
+                </label>
+                <label>
+                    Orientation
+                    <select value={options.orientation} onChange={(e) => update({ orientation: e.target.value })} className={selectClassName}>
+                        <option value="landscape">Landscape</option>
+                        <option value="portrait">Portrait</option>
+                    </select>
+                </label>
+                <label>
+                    Resolution
+                    <select value={options.dpi} onChange={(e) => update({ dpi: Number(e.target.value) })} className={selectClassName}>
+                        {PRINT_DPIS.map(dpi => <option key={dpi} value={dpi}>{dpi} DPI</option>)}
+                    </select>
+                </label>
+            </div>
+
+            <label className={`flex items-center gap-2 mb-3 ${selectedName ? '' : 'opacity-50'}`}>
+                <input
+                    type="checkbox"
+                    checked={options.includeBuilding && Boolean(selectedName)}
+                    disabled={!selectedName}
+                    onChange={(e) => update({ includeBuilding: e.target.checked })}
+                />
+                <span className="truncate">
+                    {selectedName ? `Add details of "${selectedName}" and its panorama` : 'Select a building to add its details'}
+                </span>
+            </label>
+
+            <p className="text-xs text-amber-300/70 mb-2">
+                The page shows the current view with a north arrow, scale bar, legend and timestamp. 3D models print as their extrusions.
+            </p>
+
+            <button
+                onClick={handleExport}
+                disabled={isExporting}
+                className="w-full py-1.5 rounded-full bg-amber-600 hover:bg-amber-500 text-stone-900 font-bold tracking-wider disabled:opacity-50"
+            >
+                {isExporting ? 'Rendering…' : `Download ${options.format}`}
+            </button>
+            {status?.startsWith('Error') && <p className="text-red-400 text-xs mt-2">{status}</p>}
+        </div>
+    );
+};
+
+export default PrintExportPanel;
@@ -0,0 +1,125 @@
+import React from 'react';
+import { MAIN_SCENE_ID } from '../utils/tour';
+import { PANORAMA_ACCEPT } from '../utils/panoramaImage';
+// Authoring UI for multi-scene 360° tours, rendered inside DataEntryForm.
+// The first scene always uses the building's main 360 image; extra scenes get their own uploads,
+// and hotspots link scenes together (yaw/pitch are degrees in the source panorama).
+
+const inputClass = 'border border-gray-300 rounded-lg shadow-sm p-1 text-xs';
+
+const TourEditor = ({ scenes, onChange, onUpload, isUploading = false }) => {
+    const updateScene = (sceneId, changes) => {
+        onChange(scenes.map(scene => (scene.id === sceneId ? { ...scene, ...changes } : scene)));
+    };
+
+    const addScene = () => {
+        const id = `scene-${Date.now()}`;
+        onChange([...scenes, { id, title: `Scene ${scenes.length + 1}`, imageURL: '', hotSpots: [] }]);
+    };
+
+    // Removing a scene also drops every hotspot that pointed at it
+    const removeScene = (sceneId) => {
+        onChange(scenes
+            .filter(scene => scene.id !== sceneId)
+            .map(scene => ({ ...scene, hotSpots: scene.hotSpots.filter(h => h.sceneId !== sceneId) })));
+    };
+
+    const handleSceneFile = async (sceneId, file) => {
+        if (!file) return;
+        const imageURL = await onUpload(file);
+        if (imageURL) updateScene(sceneId, { imageURL });
+    };
+
+    const addHotSpot = (scene) => {
+        const target = scenes.find(s => s.id !== scene.id);
+        if (!target) return;
+        updateScene(scene.id, {
+            hotSpots: [...scene.hotSpots, { sceneId: target.id, yaw: 0, pitch: -10, text: `To ${target.title}` }]
+        });
+    };
+
+    const updateHotSpot = (scene, index, changes) => {
+        updateScene(scene.id, {
+            hotSpots: scene.hotSpots.map((hotSpot, i) => (i === index ? { ...hotSpot, ...changes } : hotSpot))
+        });
+    };
+
+    const removeHotSpot = (scene, index) => {
+        updateScene(scene.id, { hotSpots: scene.hotSpots.filter((_, i) => i !== index) });
+    };
+
+    return (
+        <div className="mt-3">
+            <div className="flex items-center justify-between">
+                <label className="block text-sm font-medium text-gray-700">360° Tour Scenes</label>
+                <button type="button" onClick={addScene}
+                    className="text-xs font-semibold text-indigo-700 hover:text-indigo-900">
+                    + Add Scene
+                </button>
+            </div>
+
+            {scenes.map(scene => (
+                <div key={scene.id} className="mt-2 p-2 border border-gray-200 rounded-lg bg-gray-50">
+                    <div className="flex items-center gap-2">
+                        <input type="text" value={scene.title} placeholder="Scene title"
+                            onChange={(e) => updateScene(scene.id, { title: e.target.value })}
+                            className={`${inputClass} flex-grow`} />
+                        {scene.id !== MAIN_SCENE_ID && (
+                            <button type="button" onClick={() => removeScene(scene.id)}
+                                className="text-xs text-red-600 hover:text-red-800" aria-label="Remove scene">
+                                ✕
+                            </button>
+                        )}
+                    </div>
+
+                    {scene.id === MAIN_SCENE_ID ? (
+                        <p className="text-xs text-gray-500 mt-1">Uses the main 360° image below.</p>
+                    ) : (
+                        <div className="mt-1">
+                            <input type="file" accept={PANORAMA_ACCEPT} disabled={isUploading}
+                                onChange={(e) => handleSceneFile(scene.id, e.target.files[0])}
+                                className="text-xs w-full" />
+                            {scene.imageURL && (
+                                <p className="text-green-600 text-xs font-semibold truncate">✅ {scene.imageURL.split('/').pop()}</p>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Hotspots linking this scene to the others */}
+                    {scene.hotSpots.map((hotSpot, index) => (
+                        <div key={index} className="mt-1 grid grid-cols-6 gap-1 items-center">
+                            <select value={hotSpot.sceneId}
+                                onChange={(e) => updateHotSpot(scene, index, { sceneId: e.target.value })}
+                                className={`${inputClass} col-span-2 bg-white`}>
+                                {scenes.filter(s => s.id !== scene.id).map(s => (
+                                    <option key={s.id} value={s.id}>{s.title}</option>
+                                ))}
+                            </select>
+                            <input type="number" value={hotSpot.yaw} title="Yaw (°)"
+                                onChange={(e) => updateHotSpot(scene, index, { yaw: parseFloat(e.target.value) || 0 })}
+                                className={inputClass} />
+                            <input type="number" value={hotSpot.pitch} title="Pitch (°)"
+                                onChange={(e) => updateHotSpot(scene, index, { pitch: parseFloat(e.target.value) || 0 })}
+                                className={inputClass} />
+                            <input type="text" value={hotSpot.text} placeholder="Label"
+                                onChange={(e) => updateHotSpot(scene, index, { text: e.target.value })}
+                                className={inputClass} />
+                            <button type="button" onClick={() => removeHotSpot(scene, index)}
+                                className="text-xs text-red-600 hover:text-red-800" aria-label="Remove link">
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                    {scenes.length > 1 && (
+                        <button type="button" onClick={() => addHotSpot(scene)}
+                            className="mt-1 text-xs text-indigo-700 hover:text-indigo-900">
+                            + Link to scene (target, yaw°, pitch°, label)
+                        </button>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default TourEditor;
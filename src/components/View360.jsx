@@ -1,43 +1,43 @@
 // View360.jsx
 
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { getTourScenes, buildPannellumConfig } from '../utils/tour';
+import { api } from '../api/client';
 
 // CRITICAL FIX: Access Pannellum via the global window object because it's loaded via a script tag.
 const pannellum = window.pannellum;
 
+// Stored image paths -> loadable URLs (backend server path, or a locally stored panorama)
+const resolveImageUrl = (url) => api.resolveMediaUrl(url);
+
 /**
  * Component that displays a 360-degree panoramic image using Pannellum.
  * Designed as a full-screen, immersive modal.
+ * When the building has a `tour`, its scenes are linked by hotspots and listed as thumbnails.
+ * `orientation` ({ northOffset, yaw } from the building's viewpoint) sets where the main scene opens facing.
  */
-const View360 = ({ imageUrl, onClose }) => {
+const View360 = ({ imageUrl, tour, orientation, onClose }) => {
     const viewerRef = useRef(null);
+    const viewerInstance = useRef(null);
+    // Compared by value: every store update (a live event, a refetch) hands down new tour/orientation
+    // objects, and rebuilding the viewer for those would reset the view
+    const tourKey = JSON.stringify(tour ?? null);
+    const orientationKey = JSON.stringify(orientation ?? null);
+    const scenes = useMemo(() => getTourScenes(JSON.parse(tourKey), imageUrl), [tourKey, imageUrl]);
+    const viewOrientation = useMemo(() => JSON.parse(orientationKey), [orientationKey]);
+    const [currentSceneId, setCurrentSceneId] = useState(null);
 
     useEffect(() => {
-        // 1. Check if the viewer library (Pannellum) is available
-        if (viewerRef.current && imageUrl && pannellum && pannellum.viewer) {
-
-            // 2. Construct the full absolute image URL using the Express server address
-            const fullImageUrl = imageUrl.startsWith('https') ? imageUrl : `https://ins-back-end.onrender.com${imageUrl}`;
+        const container = viewerRef.current;
 
-            // CRUCIAL DEBUG LOG: Check this in your browser console!
-            console.log("Pannellum Initialization Started.");
-            console.log("Loading 360 image from absolute URL:", fullImageUrl);
+        // 1. Check if the viewer library (Pannellum) is available
+        if (container && scenes.length > 0 && pannellum && pannellum.viewer) {
 
-            // 3. Initialize the Pannellum viewer instance.
+            // 2. Initialize the Pannellum viewer instance (a single image is a one-scene tour).
             try {
-                // To avoid initialization errors, we check if the image URL is valid before calling viewer.
-                // However, Pannellum handles the fetch, so we proceed with robust logging.
-                pannellum.viewer(viewerRef.current, {
-                    type: "equirectangular",
-                    panorama: fullImageUrl, // Use the fully qualified URL
-                    autoLoad: true,
-                    autoRotate: -2,
-                    showFullscreenCtrl: false,
-                    pitch: -10,
-                    hfov: 100,
-                    keyboardZoom: 'off',
-                    mouseZoom: false
-                });
+                viewerInstance.current = pannellum.viewer(container, buildPannellumConfig(scenes, resolveImageUrl, viewOrientation));
+                viewerInstance.current.on('scenechange', setCurrentSceneId);
+                setCurrentSceneId(scenes[0].id);
             } catch (error) {
                 console.error("Pannellum failed to initialize viewer. Check if the container is visible and the image is a valid equirectangular 360 photo.", error);
             }
@@ -48,12 +48,14 @@ const View360 = ({ imageUrl, onClose }) => {
 
         // Cleanup function
         return () => {
-            // Clears the container when the modal is closed to prevent Pannellum memory leaks
-            if (viewerRef.current) {
-                viewerRef.current.innerHTML = '';
+            // Destroys the viewer when the modal is closed to prevent Pannellum memory leaks
+            viewerInstance.current?.destroy();
+            viewerInstance.current = null;
+            if (container) {
+                container.innerHTML = '';
             }
         };
-    }, [imageUrl]);
+    }, [scenes, viewOrientation]);
 
     return (
         // Tailwind for a fixed, full-screen overlay (z-50 is max to ensure it's on top)
@@ -73,6 +75,23 @@ const View360 = ({ imageUrl, onClose }) => {
                 )}
             </div>
 
+            {/* Scene Thumbnails: jump directly to any scene of the tour */}
+            {scenes.length > 1 && (
+                <div className="absolute bottom-6 left-1/2 -translate-x-1/2 flex gap-3 p-2 bg-black/60 rounded-xl z-[51] max-w-[90vw] overflow-x-auto">
+                    {scenes.map(scene => (
+                        <button
+                            key={scene.id}
+                            onClick={() => viewerInstance.current?.loadScene(scene.id)}
+                            className={`flex-shrink-0 w-28 rounded-lg overflow-hidden border-2 transition duration-150
+                                ${currentSceneId === scene.id ? 'border-amber-400' : 'border-white/30 hover:border-white'}`}
+                        >
+                            <img src={resolveImageUrl(scene.imageURL)} alt={scene.title} className="w-full h-14 object-cover" loading="lazy" />
+                            <p className="text-xs text-white truncate px-1 py-0.5 bg-black/70">{scene.title || 'Scene'}</p>
+                        </button>
+                    ))}
+                </div>
+            )}
+
             {/* Close button */}
             <button
                 onClick={onClose}
@@ -0,0 +1,30 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector, useStore } from 'react-redux';
+import { api } from '../api/client';
+import { expireSession } from '../redux/authSlice';
+
+/**
+ * Sends the session token with every backend request (axios interceptor on the API client; the local
+ * adapter signs its revisions with the user instead) and turns a 401 response or the token's
+ * expiry time into an "expired session" sign-in prompt.
+ */
+const useAuthSession = () => {
+    const dispatch = useDispatch();
+    const store = useStore();
+    const expiresAt = useSelector((state) => state.auth.expiresAt);
+
+    useEffect(() => api.attachAuth({
+        getToken: () => store.getState().auth.token,
+        getUser: () => store.getState().auth.user,
+        onUnauthorized: () => dispatch(expireSession()),
+    }), [dispatch, store]);
+
+    useEffect(() => {
+        if (!expiresAt) return;
+        // setTimeout can't wait longer than ~24.8 days; sessions are far shorter
+        const timer = setTimeout(() => dispatch(expireSession()), Math.max(0, expiresAt - Date.now()));
+        return () => clearTimeout(timer);
+    }, [dispatch, expiresAt]);
+};
+
+export default useAuthSession;
@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+import { createModelLayer, getBuildingModel } from '../utils/modelLayer';
+import { polygonCentroid } from '../utils/geo';
+
+// --- glTF model layer (added lazily, so it also comes back after a basemap switch) ---
+const MODEL_LAYER_ID = 'building-models';
+
+/**
+ * Renders the glTF models of buildings that have `properties.model` through a three.js custom layer.
+ * Returns `modelBuildingIds` (buildings whose model is on screen, so their extrusion can be hidden)
+ * and `pickModel(point)`, which returns the building feature of the model under a map pixel.
+ */
+const useBuildingModels = (map, isMapLoaded, styleVersion, buildings) => {
+    const [modelBuildingIds, setModelBuildingIds] = useState([]);
+    const [layer] = useState(() => createModelLayer(MODEL_LAYER_ID, setModelBuildingIds));
+
+    useEffect(() => {
+        if (!isMapLoaded || !map.current) return;
+        if (!map.current.getLayer(MODEL_LAYER_ID)) map.current.addLayer(layer);
+    }, [map, isMapLoaded, styleVersion, layer]);
+
+    useEffect(() => {
+        const models = (buildings?.features || []).flatMap(feature => {
+            const model = getBuildingModel(feature.properties, polygonCentroid(feature.geometry)); // Default position: area-weighted centroid
+            return model?.position ? [{ id: feature.properties.id, feature, model }] : [];
+        });
+        layer.setModels(models);
+    }, [buildings, layer]);
+
+    return { modelBuildingIds, pickModel: layer.pick };
+};
+
+export default useBuildingModels;
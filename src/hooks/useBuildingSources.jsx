@@ -0,0 +1,104 @@
+import { useEffect, useRef } from 'react';
+import { polygonLabelPoint } from '../utils/geo';
+
+// --- GeoJSON Source IDs (created empty by MapComponent on every style load) ---
+export const BUILDINGS_SOURCE_ID = 'buildings';
+export const VIEWPOINT_SOURCE_ID = 'viewpoint-source';
+
+// Building/Marker feature transformation logic: one camera marker per building,
+// at its viewpoint or else at the footprint's label point (always inside the footprint)
+const toViewpointMarker = (feature) => {
+    let pointCoords;
+    if (feature.properties.viewpoint && feature.properties.viewpoint.coordinates) {
+        pointCoords = feature.properties.viewpoint.coordinates;
+    } else {
+        pointCoords = polygonLabelPoint(feature.geometry) ?? [0, 0];
+    }
+
+    return {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: pointCoords },
+        properties: { ...feature.properties }
+    };
+};
+
+// Serialized form of each feature keyed by `properties.id`, used to spot what changed between fetches
+const snapshotFeatures = (features) => {
+    const snapshot = new Map();
+    for (const feature of features) {
+        const id = feature.properties?.id;
+        if (id == null || snapshot.has(id)) return null; // Diffing needs unique ids
+        snapshot.set(id, JSON.stringify([feature.geometry, feature.properties]));
+    }
+    return snapshot;
+};
+
+// Builds a MapLibre GeoJSONSourceDiff (add / update / remove) between two snapshots
+const diffFeatures = (previous, next, features) => {
+    const diff = { add: [], update: [], remove: [] };
+
+    for (const feature of features) {
+        const id = feature.properties.id;
+        if (!previous.has(id)) {
+            diff.add.push(feature);
+        } else if (previous.get(id) !== next.get(id)) {
+            diff.update.push({
+                id,
+                newGeometry: feature.geometry,
+                removeAllProperties: true,
+                addOrUpdateProperties: Object.entries(feature.properties).map(([key, value]) => ({ key, value })),
+            });
+        }
+    }
+    for (const id of previous.keys()) {
+        if (!next.has(id)) diff.remove.push(id);
+    }
+    return diff;
+};
+
+/**
+ * Pushes `state.map.buildings` into the building extrusion and camera marker sources. Markers are
+ * made for `markerBuildings` (default: all buildings) that have a 360° image; their source is
+ * clustered, so it gets the filtered collection rather than a layer filter.
+ * After the first fill only the changed features are sent to MapLibre (`updateData`), so
+ * saves, edits and deletes show up in place without rebuilding the map or moving the camera.
+ * Both sources must be created with `promoteId: 'id'` for the diffs to match features.
+ */
+const useBuildingSources = (map, isMapLoaded, styleVersion, buildings, markerBuildings = buildings) => {
+    // Last data applied to each source; reset when a style (re)load recreates the sources empty
+    const appliedRef = useRef({ styleVersion: null, snapshots: {} });
+
+    useEffect(() => {
+        if (!isMapLoaded || !map.current || !buildings) return;
+
+        if (appliedRef.current.styleVersion !== styleVersion) {
+            appliedRef.current = { styleVersion, snapshots: {} };
+        }
+
+        const collections = {
+            [BUILDINGS_SOURCE_ID]: buildings.features,
+            [VIEWPOINT_SOURCE_ID]: (markerBuildings?.features || []).filter(f => f.properties.imageURL).map(toViewpointMarker),
+        };
+
+        Object.entries(collections).forEach(([sourceId, features]) => {
+            const source = map.current.getSource(sourceId);
+            if (!source) return;
+
+            const previous = appliedRef.current.snapshots[sourceId];
+            const next = snapshotFeatures(features);
+
+            if (previous && next) {
+                const diff = diffFeatures(previous, next, features);
+                if (diff.add.length || diff.update.length || diff.remove.length) {
+                    source.updateData(diff);
+                }
+            } else {
+                // First fill for this style, or ids missing/duplicated: replace everything
+                source.setData({ type: 'FeatureCollection', features });
+            }
+            appliedRef.current.snapshots[sourceId] = next;
+        });
+    }, [map, isMapLoaded, styleVersion, buildings, markerBuildings]);
+};
+
+export default useBuildingSources;
@@ -0,0 +1,129 @@
+import { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import MapboxDraw from '@mapbox/mapbox-gl-draw';
+import '@mapbox/mapbox-gl-draw/dist/mapbox-gl-draw.css';
+import { setDraftFootprint } from '../redux/mapSlice';
+
+// mapbox-gl-draw ships Mapbox class names; point them at MapLibre's control styles
+MapboxDraw.constants.classes.CONTROL_BASE = 'maplibregl-ctrl';
+MapboxDraw.constants.classes.CONTROL_PREFIX = 'maplibregl-ctrl-';
+MapboxDraw.constants.classes.CONTROL_GROUP = 'maplibregl-ctrl-group';
+
+const DRAFT_FEATURE_ID = 'draft-footprint';
+
+// Replaces whatever is drawn with the given polygon, keeping it editable while drawing
+const renderDraft = (draw, coordinates, isDrawing) => {
+    try {
+        draw.set({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature', id: DRAFT_FEATURE_ID, properties: {},
+                geometry: { type: 'Polygon', coordinates }
+            }]
+        });
+        if (isDrawing) {
+            draw.changeMode('direct_select', { featureId: DRAFT_FEATURE_ID });
+        }
+    } catch (error) {
+        console.warn("Draft footprint could not be drawn on the map:", error);
+    }
+};
+
+/**
+ * Keeps a mapbox-gl-draw polygon on the map in sync with `state.map.draftFootprint`.
+ * - Edits made on the map (draw, vertex drag, vertex delete) are dispatched with origin 'map'.
+ * - Drafts coming from the DataEntryForm textarea (origin 'form') or from the logged clicks
+ *   (origin 'measure') replace the drawn shape.
+ * The control only exists while a draft is open, so it never interferes with normal map clicks.
+ * It is rebuilt whenever `styleVersion` changes, because a basemap switch wipes its layers.
+ */
+const useFootprintDraw = (map, isMapLoaded, styleVersion) => {
+    const dispatch = useDispatch();
+    const { draftFootprint, isDrawingFootprint } = useSelector((state) => state.map);
+    const drawRef = useRef(null);
+    const isDrawingRef = useRef(isDrawingFootprint);
+    const draftRef = useRef(draftFootprint);
+    const isDraftActive = Boolean(draftFootprint || isDrawingFootprint);
+
+    useEffect(() => {
+        isDrawingRef.current = isDrawingFootprint;
+        draftRef.current = draftFootprint;
+    }, [isDrawingFootprint, draftFootprint]);
+
+    // 1. Attach the draw control while a footprint draft exists
+    useEffect(() => {
+        if (!isMapLoaded || !isDraftActive || !map.current) return;
+
+        const mapInstance = map.current;
+        const draw = new MapboxDraw({
+            displayControlsDefault: false,
+            controls: { polygon: true, trash: true }, // Trash deletes the selected vertex in direct_select mode
+            defaultMode: 'simple_select',
+        });
+        mapInstance.addControl(draw, 'bottom-right');
+        drawRef.current = draw;
+
+        // Restore the current draft (e.g. after a basemap switch rebuilt the control)
+        if (draftRef.current) {
+            renderDraft(draw, draftRef.current.coordinates, isDrawingRef.current);
+        }
+
+        const handleCreateOrUpdate = (e) => {
+            const feature = e.features[0];
+            if (!feature || feature.geometry.type !== 'Polygon') return;
+
+            // Only one footprint can be drafted at a time
+            draw.getAll().features
+                .filter(f => f.id !== feature.id)
+                .forEach(f => draw.delete(f.id));
+
+            dispatch(setDraftFootprint({ coordinates: feature.geometry.coordinates, origin: 'map' }));
+        };
+
+        const handleDelete = () => {
+            if (draw.getAll().features.length === 0) {
+                dispatch(setDraftFootprint(null));
+            }
+        };
+
+        mapInstance.on('draw.create', handleCreateOrUpdate);
+        mapInstance.on('draw.update', handleCreateOrUpdate);
+        mapInstance.on('draw.delete', handleDelete);
+
+        return () => {
+            mapInstance.off('draw.create', handleCreateOrUpdate);
+            mapInstance.off('draw.update', handleCreateOrUpdate);
+            mapInstance.off('draw.delete', handleDelete);
+            if (mapInstance.hasControl(draw)) mapInstance.removeControl(draw);
+            drawRef.current = null;
+        };
+    }, [map, isMapLoaded, isDraftActive, styleVersion, dispatch]);
+
+    // 2. Push drafts typed or pasted into the form onto the map as an editable shape
+    useEffect(() => {
+        const draw = drawRef.current;
+        if (!draw || !draftFootprint || draftFootprint.origin === 'map') return;
+        renderDraft(draw, draftFootprint.coordinates, isDrawingRef.current);
+    }, [draftFootprint]);
+
+    // 3. Switch between drawing a new ring, editing the existing one, and idle
+    useEffect(() => {
+        const draw = drawRef.current;
+        if (!draw) return;
+
+        if (!isDrawingFootprint) {
+            // Leaving draw_polygon mid-way discards the unfinished ring
+            draw.changeMode('simple_select');
+            return;
+        }
+
+        const existing = draw.getAll().features[0];
+        if (existing) {
+            draw.changeMode('direct_select', { featureId: existing.id });
+        } else {
+            draw.changeMode('draw_polygon');
+        }
+    }, [isDrawingFootprint, isDraftActive, isMapLoaded, styleVersion]);
+};
+
+export default useFootprintDraw;
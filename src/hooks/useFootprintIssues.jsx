@@ -0,0 +1,43 @@
+import { useEffect } from 'react';
+
+// --- Footprint issue markers (created lazily, so they also come back after a basemap switch) ---
+const FOOTPRINT_ISSUES_SOURCE_ID = 'footprint-issues-source';
+const FOOTPRINT_ISSUES_LAYER_ID = 'footprint-issues-layer';
+
+const COLOR_ERROR = '#dc2626';
+const COLOR_WARNING = '#f59e0b';
+
+/**
+ * Highlights the vertex of each footprint problem reported by validateFootprint
+ * (`state.map.footprintIssues`): red rings for errors, amber for warnings.
+ */
+const useFootprintIssues = (map, isMapLoaded, styleVersion, issues) => {
+    useEffect(() => {
+        if (!isMapLoaded || !map.current) return;
+
+        const features = issues
+            .filter(issue => issue.vertex && issue.severity !== 'fixed')
+            .map(issue => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: issue.vertex },
+                properties: { severity: issue.severity, message: issue.message },
+            }));
+
+        if (!map.current.getSource(FOOTPRINT_ISSUES_SOURCE_ID)) {
+            if (features.length === 0) return;
+            map.current.addSource(FOOTPRINT_ISSUES_SOURCE_ID, { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
+            map.current.addLayer({
+                'id': FOOTPRINT_ISSUES_LAYER_ID, 'type': 'circle', 'source': FOOTPRINT_ISSUES_SOURCE_ID,
+                'paint': {
+                    'circle-radius': 10,
+                    'circle-color': 'rgba(0, 0, 0, 0)',
+                    'circle-stroke-width': 3,
+                    'circle-stroke-color': ['match', ['get', 'severity'], 'error', COLOR_ERROR, COLOR_WARNING],
+                }
+            });
+        }
+        map.current.getSource(FOOTPRINT_ISSUES_SOURCE_ID).setData({ type: 'FeatureCollection', features });
+    }, [map, isMapLoaded, styleVersion, issues]);
+};
+
+export default useFootprintIssues;
@@ -0,0 +1,50 @@
+import { useEffect } from 'react';
+
+// --- Revision comparison overlay (created lazily, so it also comes back after a basemap switch) ---
+const HISTORY_SOURCE_ID = 'history-compare-source';
+const HISTORY_FILL_LAYER_ID = 'history-compare-fill';
+const HISTORY_OLD_LINE_LAYER_ID = 'history-compare-old-line';
+const HISTORY_NEW_LINE_LAYER_ID = 'history-compare-new-line';
+
+const COLOR_OLD = '#dc2626';
+const COLOR_NEW = '#16a34a';
+
+/**
+ * Draws the footprints compared in the History tab: the footprint before the revision as a red
+ * dashed outline with a light fill, the one it saved as a green outline. The lines come after the
+ * building extrusions, so they stay visible through them. `comparison` is { before, after } geometries
+ * (`before` null for a building's first revision), or null to clear.
+ */
+const useHistoryOverlay = (map, isMapLoaded, styleVersion, comparison) => {
+    useEffect(() => {
+        if (!isMapLoaded || !map.current) return;
+
+        const features = comparison ? [
+            comparison.before && { type: 'Feature', geometry: comparison.before, properties: { version: 'old' } },
+            comparison.after && { type: 'Feature', geometry: comparison.after, properties: { version: 'new' } },
+        ].filter(Boolean) : [];
+
+        if (!map.current.getSource(HISTORY_SOURCE_ID)) {
+            if (features.length === 0) return;
+            map.current.addSource(HISTORY_SOURCE_ID, { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
+            map.current.addLayer({
+                'id': HISTORY_FILL_LAYER_ID, 'type': 'fill', 'source': HISTORY_SOURCE_ID,
+                'filter': ['==', ['get', 'version'], 'old'],
+                'paint': { 'fill-color': COLOR_OLD, 'fill-opacity': 0.2 }
+            });
+            map.current.addLayer({
+                'id': HISTORY_OLD_LINE_LAYER_ID, 'type': 'line', 'source': HISTORY_SOURCE_ID,
+                'filter': ['==', ['get', 'version'], 'old'],
+                'paint': { 'line-color': COLOR_OLD, 'line-width': 3, 'line-dasharray': [2, 1.5] }
+            });
+            map.current.addLayer({
+                'id': HISTORY_NEW_LINE_LAYER_ID, 'type': 'line', 'source': HISTORY_SOURCE_ID,
+                'filter': ['==', ['get', 'version'], 'new'],
+                'paint': { 'line-color': COLOR_NEW, 'line-width': 3 }
+            });
+        }
+        map.current.getSource(HISTORY_SOURCE_ID).setData({ type: 'FeatureCollection', features });
+    }, [map, isMapLoaded, styleVersion, comparison]);
+};
+
+export default useHistoryOverlay;
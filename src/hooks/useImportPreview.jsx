@@ -0,0 +1,79 @@
+import { useEffect, useRef } from 'react';
+import maplibregl from 'maplibre-gl';
+
+// --- Import preview layers (created lazily, so they also come back after a basemap switch) ---
+const IMPORT_PREVIEW_SOURCE_ID = 'import-preview-source';
+const IMPORT_PREVIEW_FILL_LAYER_ID = 'import-preview-fill';
+const IMPORT_PREVIEW_LINE_LAYER_ID = 'import-preview-line';
+
+const COLOR_VALID = '#16a34a';
+const COLOR_INVALID = '#dc2626';
+
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+const addPreviewLayers = (mapInstance) => {
+    mapInstance.addSource(IMPORT_PREVIEW_SOURCE_ID, { type: 'geojson', data: EMPTY_COLLECTION });
+    const color = ['case', ['get', 'valid'], COLOR_VALID, COLOR_INVALID];
+    mapInstance.addLayer({
+        'id': IMPORT_PREVIEW_FILL_LAYER_ID, 'type': 'fill', 'source': IMPORT_PREVIEW_SOURCE_ID,
+        'paint': { 'fill-color': color, 'fill-opacity': 0.35 }
+    });
+    mapInstance.addLayer({
+        'id': IMPORT_PREVIEW_LINE_LAYER_ID, 'type': 'line', 'source': IMPORT_PREVIEW_SOURCE_ID,
+        'paint': { 'line-color': color, 'line-width': ['case', ['get', 'selected'], 4, 2], 'line-dasharray': [2, 1] }
+    });
+};
+
+// Bounds of every position in the collection, or null when there is nothing to fit
+const getCollectionBounds = (collection) => {
+    const bounds = new maplibregl.LngLatBounds();
+    const extend = (coordinates) => {
+        if (!Array.isArray(coordinates)) return;
+        if (typeof coordinates[0] === 'number') {
+            if (Number.isFinite(coordinates[0]) && Number.isFinite(coordinates[1])) bounds.extend([coordinates[0], coordinates[1]]);
+            return;
+        }
+        coordinates.forEach(extend);
+    };
+    collection.features.forEach(feature => extend(feature.geometry?.coordinates));
+    return bounds.isEmpty() ? null : bounds;
+};
+
+/**
+ * Draws `state.map.importPreview` (parsed bulk-import features) over the map:
+ * green for features that will be saved, red for those with validation errors.
+ * The camera fits the whole preview when a new file is loaded, and the feature picked in the
+ * import panel (`selectedIndex`, drawn with a thicker outline) when the selection changes.
+ */
+const useImportPreview = (map, isMapLoaded, styleVersion, importPreview) => {
+    const fittedRef = useRef({ name: null, selectedIndex: null }); // What the camera was last fitted to
+
+    useEffect(() => {
+        if (!isMapLoaded || !map.current) return;
+
+        if (!map.current.getSource(IMPORT_PREVIEW_SOURCE_ID)) {
+            if (!importPreview) return;
+            addPreviewLayers(map.current);
+        }
+        map.current.getSource(IMPORT_PREVIEW_SOURCE_ID).setData(importPreview || EMPTY_COLLECTION);
+
+        if (!importPreview) {
+            fittedRef.current = { name: null, selectedIndex: null };
+            return;
+        }
+
+        const { name, selectedIndex } = importPreview;
+        let target = null;
+        if (fittedRef.current.name !== name) {
+            target = importPreview;
+        } else if (selectedIndex != null && fittedRef.current.selectedIndex !== selectedIndex) {
+            target = { features: importPreview.features.filter(f => f.properties.importIndex === selectedIndex) };
+        }
+        fittedRef.current = { name, selectedIndex };
+
+        const bounds = target && getCollectionBounds(target);
+        if (bounds) map.current.fitBounds(bounds, { padding: 80, maxZoom: 18, duration: 1000 });
+    }, [map, isMapLoaded, styleVersion, importPreview]);
+};
+
+export default useImportPreview;
@@ -0,0 +1,39 @@
+import { useEffect } from 'react';
+
+// --- Live update highlight (created lazily, so it also comes back after a basemap switch) ---
+const LIVE_HIGHLIGHT_SOURCE_ID = 'live-highlight-source';
+const LIVE_HIGHLIGHT_LAYER_ID = 'live-highlight-layer';
+
+const HIGHLIGHT_COLOR = '#22d3ee';
+
+/**
+ * Wraps the buildings just created/updated by another user (`state.live.highlightedIds`) in a
+ * translucent cyan shell slightly taller than the building, until useLiveUpdates clears them.
+ */
+const useLiveHighlight = (map, isMapLoaded, styleVersion, buildings, highlightedIds) => {
+    useEffect(() => {
+        if (!isMapLoaded || !map.current) return;
+
+        const ids = new Set(highlightedIds.map(String));
+        const features = ids.size === 0 ? [] : (buildings?.features || [])
+            .filter(feature => ids.has(String(feature.properties.id)))
+            .map(feature => ({ type: 'Feature', geometry: feature.geometry, properties: { height: Number(feature.properties.height) || 0 } }));
+
+        if (!map.current.getSource(LIVE_HIGHLIGHT_SOURCE_ID)) {
+            if (features.length === 0) return;
+            map.current.addSource(LIVE_HIGHLIGHT_SOURCE_ID, { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
+            map.current.addLayer({
+                'id': LIVE_HIGHLIGHT_LAYER_ID, 'type': 'fill-extrusion', 'source': LIVE_HIGHLIGHT_SOURCE_ID,
+                'paint': {
+                    'fill-extrusion-color': HIGHLIGHT_COLOR,
+                    'fill-extrusion-height': ['+', ['get', 'height'], 2],
+                    'fill-extrusion-base': 0,
+                    'fill-extrusion-opacity': 0.55,
+                }
+            });
+        }
+        map.current.getSource(LIVE_HIGHLIGHT_SOURCE_ID).setData({ type: 'FeatureCollection', features });
+    }, [map, isMapLoaded, styleVersion, buildings, highlightedIds]);
+};
+
+export default useLiveHighlight;
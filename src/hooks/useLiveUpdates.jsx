@@ -0,0 +1,71 @@
+import { useEffect, useRef } from 'react';
+import { useDispatch, useSelector, useStore } from 'react-redux';
+import { api } from '../api/client';
+import { applyBuildingEvent } from '../redux/mapSlice';
+import { setLiveStatus, setPresenceUsers, clearHighlight } from '../redux/liveSlice';
+import { selectCanEdit } from '../redux/authSlice';
+
+// How long a building created/updated by someone else stays highlighted on the map
+const HIGHLIGHT_MS = 6000;
+
+/**
+ * Subscribes to the backend's live updates channel (when the adapter has one): building events from
+ * other tabs are applied to `state.map.buildings` in place and briefly highlighted, presence goes to `state.live`.
+ * Our own presence (who we are and what we're editing) is re-sent whenever it changes.
+ */
+const useLiveUpdates = () => {
+    const dispatch = useDispatch();
+    const store = useStore();
+    const user = useSelector((state) => state.auth.user);
+    const canEdit = useSelector(selectCanEdit);
+    const { editingBuilding, isDataEntryOpen } = useSelector((state) => state.map);
+    const channelRef = useRef(null);
+
+    useEffect(() => {
+        if (!api.connectLive) return;
+        const highlightTimers = new Map(); // building id -> timer, so a repeat event restarts the highlight
+        let clientId = null;
+
+        const channel = api.connectLive({
+            // Read at (re)connect time, so a new sign-in is picked up by the next connection
+            getToken: () => store.getState().auth.token,
+            onEvent: (event) => {
+                dispatch(applyBuildingEvent(event));
+                const id = event.feature?.properties?.id;
+                if (event.type === 'building.deleted' || id == null) return;
+                clearTimeout(highlightTimers.get(id));
+                highlightTimers.set(id, setTimeout(() => {
+                    highlightTimers.delete(id);
+                    dispatch(clearHighlight(id));
+                }, HIGHLIGHT_MS));
+            },
+            onPresence: (users) => dispatch(setPresenceUsers(
+                users.map(presence => ({ ...presence, isSelf: presence.clientId === clientId }))
+            )),
+            onStatus: (status, transport) => dispatch(setLiveStatus({ status, transport })),
+        });
+        clientId = channel.clientId;
+        channelRef.current = channel;
+
+        return () => {
+            channel.close();
+            channelRef.current = null;
+            highlightTimers.forEach(timer => clearTimeout(timer));
+            dispatch(setLiveStatus({ status: 'off', transport: null }));
+        };
+    }, [dispatch, store]);
+
+    const isEditing = Boolean(editingBuilding);
+    const editingName = editingBuilding?.properties.name;
+    useEffect(() => {
+        let activity = 'Viewing';
+        if (canEdit && isEditing) activity = `Editing ${editingName || 'a building'}`;
+        else if (canEdit && isDataEntryOpen) activity = 'Adding a building';
+        channelRef.current?.setPresence({
+            user: user ? { name: user.name, role: user.role } : { name: 'Guest', role: 'viewer' },
+            activity,
+        });
+    }, [user, canEdit, isEditing, editingName, isDataEntryOpen]);
+};
+
+export default useLiveUpdates;
@@ -0,0 +1,101 @@
+import { useEffect, useRef } from 'react';
+import maplibregl from 'maplibre-gl';
+import { computeMeasurement } from '../utils/measure';
+
+// --- Measure overlay (created lazily, so it also comes back after a basemap switch) ---
+const MEASURE_SOURCE_ID = 'measure-source';
+const MEASURE_FILL_LAYER_ID = 'measure-fill';
+const MEASURE_LINE_LAYER_ID = 'measure-line';
+const MEASURE_POINT_LAYER_ID = 'measure-points';
+
+const COLOR_MEASURE = '#f59e0b';
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+const toFeatures = (mode, { points, segments }) => [
+    ...(mode === 'area' && points.length >= 3
+        ? [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [[...points, points[0]]] }, properties: {} }]
+        : []),
+    ...segments.map(({ from, to }) => ({ type: 'Feature', geometry: { type: 'LineString', coordinates: [from, to] }, properties: {} })),
+    ...points.map(point => ({ type: 'Feature', geometry: { type: 'Point', coordinates: point }, properties: {} })),
+];
+
+const addMeasureLayers = (mapInstance) => {
+    mapInstance.addSource(MEASURE_SOURCE_ID, { type: 'geojson', data: EMPTY_COLLECTION });
+    mapInstance.addLayer({
+        'id': MEASURE_FILL_LAYER_ID, 'type': 'fill', 'source': MEASURE_SOURCE_ID,
+        'filter': ['==', ['geometry-type'], 'Polygon'],
+        'paint': { 'fill-color': COLOR_MEASURE, 'fill-opacity': 0.2 }
+    });
+    mapInstance.addLayer({
+        'id': MEASURE_LINE_LAYER_ID, 'type': 'line', 'source': MEASURE_SOURCE_ID,
+        'filter': ['==', ['geometry-type'], 'LineString'],
+        'paint': { 'line-color': COLOR_MEASURE, 'line-width': 3, 'line-dasharray': [2, 1] }
+    });
+    mapInstance.addLayer({
+        'id': MEASURE_POINT_LAYER_ID, 'type': 'circle', 'source': MEASURE_SOURCE_ID,
+        'filter': ['==', ['geometry-type'], 'Point'],
+        'paint': { 'circle-color': '#ffffff', 'circle-radius': 4, 'circle-stroke-width': 2, 'circle-stroke-color': COLOR_MEASURE }
+    });
+};
+
+// Labels are HTML markers, so they don't depend on the basemap having glyphs
+const createLabelMarker = () => {
+    const element = document.createElement('div');
+    element.className = 'px-1.5 py-0.5 rounded bg-stone-950/80 text-amber-300 text-xs font-mono whitespace-nowrap border border-amber-300/40 pointer-events-none';
+    return new maplibregl.Marker({ element });
+};
+
+/**
+ * Draws the measure tool: the clicked `points` plus a rubber-band segment to the cursor, with
+ * live distance / area / bearing labels. `mode` null hides everything. The cursor preview is
+ * drawn straight into the source, so mouse moves don't re-render MapComponent.
+ */
+const useMeasureTool = (map, isMapLoaded, styleVersion, mode, points) => {
+    const labelsRef = useRef([]); // Reused label markers, one per label
+
+    useEffect(() => {
+        if (!isMapLoaded || !map.current) return;
+        const mapInstance = map.current;
+
+        const draw = (cursor) => {
+            const measurement = computeMeasurement(mode, cursor ? [...points, cursor] : points);
+            mapInstance.getSource(MEASURE_SOURCE_ID)?.setData({ type: 'FeatureCollection', features: toFeatures(mode, measurement) });
+
+            const labels = labelsRef.current;
+            while (labels.length > measurement.labels.length) labels.pop().remove();
+            measurement.labels.forEach(({ position, text }, i) => {
+                if (!labels[i]) labels[i] = createLabelMarker().setLngLat(position).addTo(mapInstance);
+                labels[i].setLngLat(position);
+                labels[i].getElement().textContent = text;
+            });
+        };
+
+        if (!mode) {
+            mapInstance.getSource(MEASURE_SOURCE_ID)?.setData(EMPTY_COLLECTION);
+            labelsRef.current.forEach(marker => marker.remove());
+            labelsRef.current = [];
+            return;
+        }
+
+        if (!mapInstance.getSource(MEASURE_SOURCE_ID)) addMeasureLayers(mapInstance);
+        draw(null);
+
+        // A finished bearing pair has nothing to preview until the next click starts over
+        const handleMouseMove = (e) => {
+            if (mode === 'bearing' && points.length >= 2) return;
+            if (points.length > 0) draw([e.lngLat.lng, e.lngLat.lat]);
+        };
+        const handleMouseOut = () => draw(null);
+
+        mapInstance.getCanvas().style.cursor = 'crosshair';
+        mapInstance.on('mousemove', handleMouseMove);
+        mapInstance.on('mouseout', handleMouseOut);
+        return () => {
+            mapInstance.off('mousemove', handleMouseMove);
+            mapInstance.off('mouseout', handleMouseOut);
+            mapInstance.getCanvas().style.cursor = '';
+        };
+    }, [map, isMapLoaded, styleVersion, mode, points]);
+};
+
+export default useMeasureTool;
@@ -0,0 +1,43 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { outbox } from '../api/client';
+import { setOutboxEntries, setOnline, syncOutbox } from '../redux/outboxSlice';
+
+// The browser can be "online" while the backend is still unreachable, so pending writes are retried periodically too
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Mirrors the offline outbox into `state.outbox` and replays it on start-up, whenever the
+ * browser comes back online, and every minute while writes are still pending.
+ */
+const useOutboxSync = () => {
+    const dispatch = useDispatch();
+    const { entries, isOnline } = useSelector((state) => state.outbox);
+    const hasPending = entries.some(entry => entry.status === 'pending');
+
+    useEffect(() => {
+        const unsubscribe = outbox.subscribe(summaries => dispatch(setOutboxEntries(summaries)));
+        const handleOnline = () => {
+            dispatch(setOnline(true));
+            dispatch(syncOutbox());
+        };
+        const handleOffline = () => dispatch(setOnline(false));
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        if (navigator.onLine) dispatch(syncOutbox());
+        return () => {
+            unsubscribe();
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [dispatch]);
+
+    useEffect(() => {
+        if (!hasPending || !isOnline) return;
+        const timer = setInterval(() => dispatch(syncOutbox()), RETRY_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [dispatch, hasPending, isOnline]);
+};
+
+export default useOutboxSync;
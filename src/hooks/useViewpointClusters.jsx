@@ -0,0 +1,129 @@
+import { useEffect } from 'react';
+import maplibregl from 'maplibre-gl';
+import { VIEWPOINT_SOURCE_ID } from './useBuildingSources';
+import { categoryClusterProperties, clusterCategoryBreakdown } from '../utils/categoryStyles';
+
+// Camera markers are clustered up to this zoom and show individually past it (VITE_CLUSTER_MAX_ZOOM, see .env.example)
+const CLUSTER_MAX_ZOOM = Number(import.meta.env.VITE_CLUSTER_MAX_ZOOM) || 15;
+
+// Options spread into the viewpoint source when MapComponent creates it
+export const VIEWPOINT_CLUSTER_OPTIONS = {
+    cluster: true,
+    clusterMaxZoom: CLUSTER_MAX_ZOOM,
+    clusterRadius: 50,
+    clusterProperties: categoryClusterProperties(),
+};
+
+const DONUT_STROKE = 8;
+
+// Donut of the category colors around the total, with an icon + count chip per category below it
+const createClusterElement = (total, breakdown) => {
+    const size = total >= 50 ? 64 : total >= 10 ? 54 : 46;
+    const radius = (size - DONUT_STROKE) / 2;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+    const arcs = breakdown.map(({ count, style }) => {
+        const length = (count / total) * circumference;
+        const arc = `<circle cx="${size / 2}" cy="${size / 2}" r="${radius}" fill="none" stroke="${style.color}" stroke-width="${DONUT_STROKE}"
+            stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 ${size / 2} ${size / 2})" />`;
+        offset += length;
+        return arc;
+    }).join('');
+
+    const element = document.createElement('div');
+    element.className = 'flex flex-col items-center cursor-pointer select-none';
+    element.title = `${breakdown.map(({ category, count }) => `${count} ${category}`).join(' · ')}\nClick to zoom in`;
+    element.innerHTML = `
+        <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" class="drop-shadow-lg">
+            <circle cx="${size / 2}" cy="${size / 2}" r="${radius}" fill="rgba(12, 10, 9, 0.85)" />
+            ${arcs}
+            <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" fill="#ffffff" font-size="15" font-weight="700" font-family="sans-serif">${total}</text>
+        </svg>
+        <div class="mt-0.5 flex gap-1 px-1.5 py-0.5 rounded-full bg-stone-950/80 text-[10px] text-white whitespace-nowrap">
+            ${breakdown.map(({ count, style }) => `<span>${style.icon}${count}</span>`).join('')}
+        </div>`;
+    return element;
+};
+
+/**
+ * Draws the clusters of the viewpoint source as HTML bubbles (they don't depend on the basemap
+ * having glyphs): a donut of the category colors with the total, and per-category counts.
+ * Clicking a bubble zooms in until it breaks apart. The camera icon layer draws the rest.
+ */
+const useViewpointClusters = (map, isMapLoaded, styleVersion) => {
+    useEffect(() => {
+        if (!isMapLoaded || !map.current) return;
+        const mapInstance = map.current;
+        const markers = new Map(); // Cluster id + breakdown -> Marker on screen
+
+        const zoomInto = async (clusterId, center) => {
+            const source = mapInstance.getSource(VIEWPOINT_SOURCE_ID);
+            if (!source) return;
+            let zoom;
+            try {
+                zoom = await source.getClusterExpansionZoom(clusterId);
+            } catch {
+                return; // The cluster went away (data update or zoom) before the click was answered
+            }
+            mapInstance.easeTo({ center, zoom: Math.max(zoom, mapInstance.getZoom() + 1) });
+        };
+
+        const createMarker = (feature, breakdown) => {
+            const { cluster_id: clusterId, point_count: total } = feature.properties;
+            const element = createClusterElement(total, breakdown);
+            element.addEventListener('click', (e) => {
+                e.stopPropagation(); // Not a map click (geocoding, measuring...)
+                zoomInto(clusterId, feature.geometry.coordinates);
+            });
+            return new maplibregl.Marker({ element }).setLngLat(feature.geometry.coordinates).addTo(mapInstance);
+        };
+
+        // Clusters change with the zoom and the data; markers are kept while their cluster stays on screen.
+        // Tiles still loading are picked up once the map goes idle.
+        let isWaitingForIdle = false;
+        let isCancelled = false; // A pending idle wait outlives the effect
+        const update = () => {
+            if (isCancelled || !mapInstance.getSource(VIEWPOINT_SOURCE_ID)) return;
+            if (!mapInstance.isSourceLoaded(VIEWPOINT_SOURCE_ID)) {
+                if (!isWaitingForIdle) {
+                    isWaitingForIdle = true;
+                    mapInstance.once('idle', () => {
+                        isWaitingForIdle = false;
+                        update();
+                    });
+                }
+                return;
+            }
+            const visible = new Set();
+            mapInstance.querySourceFeatures(VIEWPOINT_SOURCE_ID, { filter: ['has', 'point_count'] }).forEach(feature => {
+                const breakdown = clusterCategoryBreakdown(feature.properties);
+                const key = `${feature.properties.cluster_id}:${breakdown.map(({ category, count }) => `${category}=${count}`).join(',')}`;
+                if (visible.has(key)) return; // Clusters repeat in every tile they touch
+                visible.add(key);
+                if (!markers.has(key)) markers.set(key, createMarker(feature, breakdown));
+            });
+            markers.forEach((marker, key) => {
+                if (!visible.has(key)) {
+                    marker.remove();
+                    markers.delete(key);
+                }
+            });
+        };
+
+        const handleSourceData = (e) => {
+            if (e.sourceId === VIEWPOINT_SOURCE_ID && e.isSourceLoaded) update();
+        };
+
+        mapInstance.on('moveend', update);
+        mapInstance.on('sourcedata', handleSourceData);
+        update();
+        return () => {
+            isCancelled = true;
+            mapInstance.off('moveend', update);
+            mapInstance.off('sourcedata', handleSourceData);
+            markers.forEach(marker => marker.remove());
+        };
+    }, [map, isMapLoaded, styleVersion]);
+};
+
+export default useViewpointClusters;
@@ -0,0 +1,60 @@
+import { useEffect, useRef } from 'react';
+import maplibregl from 'maplibre-gl';
+import { useDispatch, useSelector } from 'react-redux';
+import { setDraftViewpoint } from '../redux/mapSlice';
+
+// HTML marker, so it survives basemap switches without being re-added
+const createViewpointElement = () => {
+    const element = document.createElement('div');
+    element.className = 'w-8 h-8 flex items-center justify-center rounded-full bg-indigo-600 border-2 border-white shadow-lg cursor-move text-base';
+    element.textContent = '📷';
+    element.title = '360° viewpoint (drag to move)';
+    return element;
+};
+
+/**
+ * Shows the viewpoint being placed in DataEntryForm (`state.map.draftViewpoint`) as a draggable
+ * camera marker; drags are dispatched with origin 'map'. While `isPickingViewpoint` is set the
+ * cursor becomes a crosshair (MapComponent's click handler takes the pick).
+ */
+const useViewpointDraft = (map, isMapLoaded) => {
+    const dispatch = useDispatch();
+    const { draftViewpoint, isPickingViewpoint } = useSelector((state) => state.map);
+    const markerRef = useRef(null);
+    const coordinates = draftViewpoint?.coordinates;
+
+    useEffect(() => {
+        if (!isMapLoaded || !map.current) return;
+        if (!coordinates) {
+            markerRef.current?.remove();
+            markerRef.current = null;
+            return;
+        }
+        if (!markerRef.current) {
+            markerRef.current = new maplibregl.Marker({ element: createViewpointElement(), draggable: true })
+                .setLngLat(coordinates)
+                .addTo(map.current);
+            markerRef.current.on('dragend', () => {
+                const { lng, lat } = markerRef.current.getLngLat();
+                dispatch(setDraftViewpoint({ coordinates: [lng, lat], origin: 'map' }));
+            });
+        } else {
+            markerRef.current.setLngLat(coordinates);
+        }
+    }, [map, isMapLoaded, coordinates, dispatch]);
+
+    // Marker goes away with the map
+    useEffect(() => () => {
+        markerRef.current?.remove();
+        markerRef.current = null;
+    }, []);
+
+    useEffect(() => {
+        if (!isMapLoaded || !map.current || !isPickingViewpoint) return;
+        const canvas = map.current.getCanvas();
+        canvas.style.cursor = 'crosshair';
+        return () => { canvas.style.cursor = ''; };
+    }, [map, isMapLoaded, isPickingViewpoint]);
+};
+
+export default useViewpointDraft;
@@ -4,6 +4,7 @@ import App from './App';
 import './index.css'; // CRITICAL: Import Tailwind CSS file here
 import { Provider } from 'react-redux';
 import { store } from './redux/store';
+import { registerServiceWorker } from './utils/serviceWorker';
 
 // Wrap the entire application in the Redux Provider
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -13,4 +14,7 @@ root.render(
       <App />
     </Provider>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Offline caching of the app shell, buildings, panoramas and visited tiles
+registerServiceWorker();
@@ -0,0 +1,77 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api } from '../api/client';
+import { hasRole, loadStoredSession, storeSession } from '../api/auth';
+
+// 1. ASYNC THUNK: Signs in through the active backend adapter and remembers the session
+export const login = createAsyncThunk(
+    'auth/login',
+    async (credentials, { rejectWithValue }) => {
+        try {
+            const session = await api.login(credentials);
+            storeSession(session);
+            return session;
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// 2. Signs out (also used when an expired session is abandoned)
+export const logout = () => (dispatch) => {
+    storeSession(null);
+    dispatch(authSlice.actions.signedOut());
+};
+
+// 3. The backend rejected the token (or it ran out): ask for a new sign-in, but keep the user and role,
+//    so open forms stay mounted with their input until the user signs in again
+export const expireSession = () => (dispatch) => {
+    storeSession(null);
+    dispatch(authSlice.actions.sessionExpired());
+};
+
+const stored = loadStoredSession();
+
+const initialState = {
+    user: stored?.user ?? null, // { name, role }; null = anonymous viewer
+    token: stored?.token ?? null,
+    expiresAt: stored?.expiresAt ?? null,
+    isSessionExpired: false,
+    isLoginOpen: false,
+    status: null, // 'Signing in...' while the request runs
+    error: null,
+};
+
+export const authSlice = createSlice({
+    name: 'auth',
+    initialState,
+    reducers: {
+        openLogin: (state) => { state.isLoginOpen = true; state.error = null; },
+        closeLogin: (state) => { state.isLoginOpen = false; state.error = null; },
+        sessionExpired: (state) => {
+            if (!state.user) return;
+            state.token = null;
+            state.expiresAt = null;
+            state.isSessionExpired = true;
+            state.isLoginOpen = true;
+        },
+        signedOut: () => ({ ...initialState, user: null, token: null, expiresAt: null }),
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(login.pending, (state) => { state.status = 'Signing in...'; state.error = null; })
+            .addCase(login.fulfilled, (state, action) => {
+                const { user, token, expiresAt } = action.payload;
+                Object.assign(state, { user, token, expiresAt, isSessionExpired: false, isLoginOpen: false, status: null });
+            })
+            .addCase(login.rejected, (state, action) => { state.status = null; state.error = action.payload; });
+    },
+});
+
+export const { openLogin, closeLogin } = authSlice.actions;
+
+// --- SELECTORS (anonymous visitors are viewers) ---
+export const selectRole = (state) => state.auth.user?.role ?? 'viewer';
+export const selectCanEdit = (state) => hasRole(selectRole(state), 'editor');
+export const selectIsAdmin = (state) => hasRole(selectRole(state), 'admin');
+
+export default authSlice.reducer;
@@ -0,0 +1,49 @@
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { buildingMatchesFilter } from '../utils/buildingFilter';
+
+// Building filter shared by the map layers, the search bar and the exports.
+// Empty / null values mean "no restriction".
+export const initialFilterState = {
+    categories: [], // Selected categories (several at once); [] = all
+    minHeight: null, // meters
+    maxHeight: null,
+    has360: false, // Only buildings with a 360° image
+    nameQuery: '', // Case-insensitive substring of the name
+};
+
+export const filterSlice = createSlice({
+    name: 'filter',
+    initialState: initialFilterState,
+    reducers: {
+        toggleCategory: (state, action) => {
+            const category = action.payload;
+            state.categories = state.categories.includes(category)
+                ? state.categories.filter(c => c !== category)
+                : [...state.categories, category];
+        },
+        setCategories: (state, action) => { state.categories = action.payload; },
+        setHeightRange: (state, action) => { state.minHeight = action.payload.min; state.maxHeight = action.payload.max; },
+        setHas360: (state, action) => { state.has360 = action.payload; },
+        setNameQuery: (state, action) => { state.nameQuery = action.payload; },
+        // Replaces the whole filter (e.g. restored from a deep link); missing keys fall back to defaults
+        setFilter: (_state, action) => ({ ...initialFilterState, ...action.payload }),
+        resetFilter: () => initialFilterState,
+    },
+});
+
+export const selectFilter = (state) => state.filter;
+
+// Buildings FeatureCollection narrowed to the current filter (null until buildings are loaded)
+export const selectFilteredBuildings = createSelector(
+    [(state) => state.map.buildings, selectFilter],
+    (buildings, filter) => buildings && {
+        ...buildings,
+        features: buildings.features.filter(feature => buildingMatchesFilter(feature, filter)),
+    }
+);
+
+export const {
+    toggleCategory, setCategories, setHeightRange, setHas360, setNameQuery, setFilter, resetFilter,
+} = filterSlice.actions;
+
+export default filterSlice.reducer;
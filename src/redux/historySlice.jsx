@@ -0,0 +1,86 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api } from '../api/client';
+import { fetchBuildings } from './mapSlice';
+import { toBuildingPayload } from '../utils/buildingHistory';
+
+// 1. ASYNC THUNK: Loads the revisions of a building for the InfoPanel's History tab
+export const fetchBuildingHistory = createAsyncThunk(
+    'history/fetch',
+    async (buildingId, { rejectWithValue }) => {
+        try {
+            return await api.fetchBuildingHistory(buildingId);
+        } catch (error) {
+            console.error("API Error loading building history:", error.message);
+            return rejectWithValue(error.status === 404
+                ? 'No history available: this backend does not record building revisions.'
+                : error.message);
+        }
+    }
+);
+
+// 2. ASYNC THUNK: Saves an earlier revision's building as the current one (a new revision, so the revert can be undone too)
+export const revertToRevision = createAsyncThunk(
+    'history/revert',
+    async ({ revision, current }, { rejectWithValue, dispatch }) => {
+        try {
+            const data = await api.updateBuilding(current.properties.id, toBuildingPayload(revision.building, current));
+            dispatch(fetchBuildings()); // The History tab reloads once the building changes
+            return data;
+        } catch (error) {
+            console.error("API Error reverting building:", error.message);
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+const initialState = {
+    buildingId: null, // Building whose history is loaded (InfoPanel's History tab is open)
+    revisions: [], // As returned by api.fetchBuildingHistory; see utils/buildingHistory
+    loading: false,
+    error: null,
+    comparedRevision: null, // Revision whose old/new footprints are drawn on the map
+    revertStatus: null, // 'Reverting...' / backend message / 'Error: ...'
+};
+
+export const historySlice = createSlice({
+    name: 'history',
+    initialState,
+    reducers: {
+        compareRevision: (state, action) => { state.comparedRevision = action.payload; },
+        closeHistory: () => initialState,
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(fetchBuildingHistory.pending, (state, action) => {
+                if (state.buildingId !== action.meta.arg) {
+                    state.revisions = [];
+                    state.comparedRevision = null;
+                    state.revertStatus = null;
+                }
+                state.buildingId = action.meta.arg;
+                state.loading = true;
+                state.error = null;
+            })
+            .addCase(fetchBuildingHistory.fulfilled, (state, action) => {
+                if (state.buildingId !== action.meta.arg) return; // The tab moved on to another building
+                state.loading = false;
+                state.revisions = action.payload;
+            })
+            .addCase(fetchBuildingHistory.rejected, (state, action) => {
+                if (state.buildingId !== action.meta.arg) return;
+                state.loading = false;
+                state.error = action.payload || 'Failed to load the building history.';
+            })
+
+            .addCase(revertToRevision.pending, (state) => { state.revertStatus = 'Reverting...'; })
+            .addCase(revertToRevision.fulfilled, (state, action) => {
+                state.revertStatus = action.payload?.msg || `Reverted to revision ${action.meta.arg.revision.revision}.`;
+                state.comparedRevision = null;
+            })
+            .addCase(revertToRevision.rejected, (state, action) => { state.revertStatus = `Error: ${action.payload}`; });
+    },
+});
+
+export const { compareRevision, closeHistory } = historySlice.actions;
+
+export default historySlice.reducer;
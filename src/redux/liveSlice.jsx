@@ -0,0 +1,38 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { applyBuildingEvent } from './mapSlice';
+
+// Live updates channel (src/api/live.jsx): connection, who else is online, and recently changed buildings
+const initialState = {
+    status: 'off', // 'off' (no live channel) | 'connecting' | 'live' | 'reconnecting' | 'unavailable'
+    transport: null, // 'websocket' | 'sse'
+    users: [], // [{ clientId, name, role, activity, since, isSelf }]
+    highlightedIds: [], // Buildings created/updated by a live event, highlighted for a few seconds
+};
+
+export const liveSlice = createSlice({
+    name: 'live',
+    initialState,
+    reducers: {
+        setLiveStatus: (state, action) => {
+            state.status = action.payload.status;
+            state.transport = action.payload.transport;
+            if (action.payload.status !== 'live') state.users = [];
+        },
+        setPresenceUsers: (state, action) => { state.users = action.payload; },
+        clearHighlight: (state, action) => {
+            state.highlightedIds = state.highlightedIds.filter(id => String(id) !== String(action.payload));
+        },
+    },
+    extraReducers: (builder) => {
+        builder.addCase(applyBuildingEvent, (state, action) => {
+            const id = action.payload.feature?.properties?.id;
+            if (action.payload.type !== 'building.deleted' && id != null && !state.highlightedIds.includes(id)) {
+                state.highlightedIds.push(id);
+            }
+        });
+    },
+});
+
+export const { setLiveStatus, setPresenceUsers, clearHighlight } = liveSlice.actions;
+
+export default liveSlice.reducer;
@@ -1,19 +1,17 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import axios from 'axios';
-
-// --- CONFIGURATION CONSTANTS ---
-const API_BASE_URL = 'https://ins-back-end.onrender.com/api/map'; // Express Backend URL
+import { api } from '../api/client'; // Express backend or local IndexedDB, see src/api/config.jsx
 
 // 1. ASYNC THUNK: Function to fetch buildings data
 export const fetchBuildings = createAsyncThunk(
     'map/fetchBuildings',
     async (_, { rejectWithValue }) => {
         try {
-            const response = await axios.get(`${API_BASE_URL}/buildings`);
-            return response.data;
+            return await api.fetchBuildings();
         } catch (error) {
             console.error("API Error fetching buildings:", error);
-            return rejectWithValue("Failed to load map data. Check Express Server and MongoDB connection.");
+            return rejectWithValue(api.name === 'local'
+                ? error.message
+                : "Failed to load map data. Check Express Server and MongoDB connection.");
         }
     }
 );
@@ -23,17 +21,67 @@ export const saveNewBuilding = createAsyncThunk(
     'map/saveNewBuilding',
     async (buildingData, { rejectWithValue, dispatch }) => {
         try {
-            const response = await axios.post(`${API_BASE_URL}/new`, buildingData);
+            const data = await api.createBuilding(buildingData);
             dispatch(fetchBuildings());
-            return response.data;
+            return data;
+        } catch (error) {
+            // ApiError carries the backend's custom message (e.g. from a 400 response)
+            console.error("API Error saving building:", error.message);
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// 3. ASYNC THUNK: Function to update an existing building (name, category, height, polygon, 360 image)
+export const updateBuilding = createAsyncThunk(
+    'map/updateBuilding',
+    async ({ id, buildingData }, { rejectWithValue, dispatch }) => {
+        try {
+            const data = await api.updateBuilding(id, buildingData);
+            dispatch(fetchBuildings());
+            return data;
+        } catch (error) {
+            console.error("API Error updating building:", error.message);
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// 4. ASYNC THUNK: Function to delete a building. It leaves the map in `pending`, before the backend
+// answers; if the delete fails, the thunk refetches the buildings (which brings it back) and `rejected` shows the error
+export const deleteBuilding = createAsyncThunk(
+    'map/deleteBuilding',
+    async (buildingId, { rejectWithValue, dispatch }) => {
+        try {
+            return await api.deleteBuilding(buildingId);
         } catch (error) {
-            // Extract the custom error message from the 400 response
-            console.error("API Error saving building:", error.response?.data?.msg || error.message);
-            return rejectWithValue(error.response?.data?.msg || "Failed to save building data.");
+            console.error("API Error deleting building:", error.message);
+            // Re-sync so the optimistically removed building comes back
+            dispatch(fetchBuildings());
+            return rejectWithValue(error.message);
         }
     }
 );
 
+// 5. ASYNC THUNK: Bulk import - saves buildings one by one, reporting progress, then refetches once
+export const importBuildings = createAsyncThunk(
+    'map/importBuildings',
+    async (buildings, { dispatch }) => {
+        const failed = [];
+        for (let i = 0; i < buildings.length; i++) {
+            try {
+                await api.createBuilding(buildings[i]);
+            } catch (error) {
+                console.error("API Error importing building:", error.message);
+                failed.push({ name: buildings[i].name, msg: error.message });
+            }
+            dispatch(mapSlice.actions.setImportProgress({ total: buildings.length, done: i + 1, failed: [...failed] }));
+        }
+        dispatch(fetchBuildings());
+        return { saved: buildings.length - failed.length, failed };
+    }
+);
+
 // Define the initial state structure for map data
 const initialState = {
     buildings: null,
@@ -41,6 +89,17 @@ const initialState = {
     loading: false,
     error: null,
     submitStatus: null,
+    // Footprint being drafted in DataEntryForm; `origin` tells the map and the form which side made the last edit
+    draftFootprint: null, // { coordinates: [[[lng, lat], ...]], origin: 'form' | 'map' | 'measure' (the logged clicks) }
+    isDrawingFootprint: false,
+    // 360° viewpoint being placed in DataEntryForm (map click, marker drag, typed or from the photo's EXIF GPS)
+    draftViewpoint: null, // { coordinates: [lng, lat], origin: 'form' | 'map' }
+    isPickingViewpoint: false, // The next map click sets draftViewpoint
+    footprintIssues: [], // validateFootprint() issues for the form's footprint, highlighted on the map at `vertex`
+    editingBuilding: null, // GeoJSON Feature opened in DataEntryForm for editing (null = adding a new building)
+    isDataEntryOpen: false, // DataEntryForm visibility (App toggle, or opened from the map with a collected footprint)
+    importPreview: null, // Parsed import features drawn over the map: FeatureCollection + { name, selectedIndex }
+    importProgress: null, // { total, done, failed: [{ name, msg }], finished }
 };
 
 export const mapSlice = createSlice({
@@ -52,6 +111,34 @@ export const mapSlice = createSlice({
         clearSubmitStatus: (state) => { state.submitStatus = null; },
         setError: (state, action) => { state.error = action.payload; state.loading = false; },
         setLoading: (state, action) => { state.loading = action.payload; },
+        setDraftFootprint: (state, action) => { state.draftFootprint = action.payload; },
+        setDrawingFootprint: (state, action) => { state.isDrawingFootprint = action.payload; },
+        clearDraftFootprint: (state) => { state.draftFootprint = null; state.isDrawingFootprint = false; state.footprintIssues = []; },
+        setFootprintIssues: (state, action) => { state.footprintIssues = action.payload; },
+        setDraftViewpoint: (state, action) => { state.draftViewpoint = action.payload; state.isPickingViewpoint = false; },
+        setPickingViewpoint: (state, action) => { state.isPickingViewpoint = action.payload; },
+        clearDraftViewpoint: (state) => { state.draftViewpoint = null; state.isPickingViewpoint = false; },
+        startEditingBuilding: (state, action) => { state.editingBuilding = action.payload; state.submitStatus = null; },
+        stopEditingBuilding: (state) => { state.editingBuilding = null; },
+        setDataEntryOpen: (state, action) => { state.isDataEntryOpen = action.payload; },
+        setImportPreview: (state, action) => { state.importPreview = action.payload; },
+        setImportProgress: (state, action) => { state.importProgress = { ...action.payload, finished: false }; },
+        clearImport: (state) => { state.importPreview = null; state.importProgress = null; },
+        // Live update pushed by the backend (another user's save, or the echo of our own): applied in place
+        applyBuildingEvent: (state, action) => {
+            const { type, feature, id } = action.payload;
+            if (!state.buildings) return;
+            const targetId = type === 'building.deleted' ? id : feature?.properties?.id;
+            if (targetId == null) return;
+            const index = state.buildings.features.findIndex(f => String(f.properties.id) === String(targetId));
+            if (type === 'building.deleted') {
+                if (index !== -1) state.buildings.features.splice(index, 1);
+            } else if (index !== -1) {
+                state.buildings.features[index] = feature;
+            } else {
+                state.buildings.features.push(feature);
+            }
+        },
     },
     extraReducers: (builder) => {
         builder
@@ -63,10 +150,44 @@ export const mapSlice = createSlice({
             // --- saveNewBuilding lifecycle ---
             .addCase(saveNewBuilding.pending, (state) => { state.submitStatus = 'Saving...'; })
             .addCase(saveNewBuilding.fulfilled, (state, action) => { state.submitStatus = action.payload.msg || 'Data saved and map refreshing!'; })
-            .addCase(saveNewBuilding.rejected, (state, action) => { state.submitStatus = `Error: ${action.payload}`; });
+            .addCase(saveNewBuilding.rejected, (state, action) => { state.submitStatus = `Error: ${action.payload}`; })
+
+            // --- updateBuilding lifecycle ---
+            .addCase(updateBuilding.pending, (state) => { state.submitStatus = 'Saving...'; })
+            .addCase(updateBuilding.fulfilled, (state, action) => {
+                state.submitStatus = action.payload?.msg || 'Building updated and map refreshing!';
+                state.editingBuilding = null;
+            })
+            .addCase(updateBuilding.rejected, (state, action) => { state.submitStatus = `Error: ${action.payload}`; })
+
+            // --- deleteBuilding lifecycle ---
+            // Optimistic removal; a failed delete is rolled back by the refetch the thunk dispatches on error
+            .addCase(deleteBuilding.pending, (state, action) => {
+                const buildingId = action.meta.arg;
+                if (state.buildings) {
+                    state.buildings.features = state.buildings.features.filter(f => String(f.properties.id) !== String(buildingId));
+                }
+                if (state.editingBuilding && String(state.editingBuilding.properties.id) === String(buildingId)) state.editingBuilding = null;
+            })
+            .addCase(deleteBuilding.fulfilled, (state, action) => { state.submitStatus = action.payload?.msg || 'Building deleted.'; })
+            .addCase(deleteBuilding.rejected, (state, action) => { state.submitStatus = `Error: ${action.payload}`; })
+
+            // --- importBuildings lifecycle ---
+            .addCase(importBuildings.pending, (state, action) => {
+                state.importProgress = { total: action.meta.arg.length, done: 0, failed: [], finished: false };
+            })
+            .addCase(importBuildings.fulfilled, (state, action) => {
+                state.importProgress = { total: action.meta.arg.length, done: action.meta.arg.length, failed: action.payload.failed, finished: true };
+            });
     },
 });
 
-export const { setRoute, clearRoute, clearSubmitStatus, setError, setLoading } = mapSlice.actions;
+export const {
+    setRoute, clearRoute, clearSubmitStatus, setError, setLoading,
+    setDraftFootprint, setDrawingFootprint, clearDraftFootprint, setFootprintIssues,
+    setDraftViewpoint, setPickingViewpoint, clearDraftViewpoint,
+    startEditingBuilding, stopEditingBuilding, setDataEntryOpen,
+    setImportPreview, setImportProgress, clearImport, applyBuildingEvent,
+} = mapSlice.actions;
 
 export default mapSlice.reducer;
\ No newline at end of file
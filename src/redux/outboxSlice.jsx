@@ -0,0 +1,55 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { outbox } from '../api/client';
+import { fetchBuildings } from './mapSlice';
+
+// 1. ASYNC THUNK: Replays the offline outbox, then refreshes the map if anything reached the server
+export const syncOutbox = createAsyncThunk(
+    'outbox/sync',
+    async (_, { dispatch, rejectWithValue }) => {
+        try {
+            const result = await outbox.replay();
+            if (result.synced > 0) dispatch(fetchBuildings());
+            return result;
+        } catch (error) {
+            console.error("Outbox sync failed:", error.message);
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// 2. ASYNC THUNK: Resolves a conflicted/failed entry: 'keep' retries it over the server copy, 'discard' drops it
+export const resolveOutboxEntry = createAsyncThunk(
+    'outbox/resolve',
+    async ({ seq, action }, { dispatch }) => {
+        await outbox.resolve(seq, action);
+        if (action === 'keep') dispatch(syncOutbox());
+        else dispatch(fetchBuildings()); // Removes the discarded change from the map
+    }
+);
+
+// Summaries of the queued writes ({ seq, type, label, status, message, createdAt }); the payloads stay in IndexedDB
+const initialState = {
+    entries: [],
+    isOnline: typeof navigator === 'undefined' ? true : navigator.onLine,
+    isSyncing: false,
+    syncError: null,
+};
+
+export const outboxSlice = createSlice({
+    name: 'outbox',
+    initialState,
+    reducers: {
+        setOutboxEntries: (state, action) => { state.entries = action.payload; },
+        setOnline: (state, action) => { state.isOnline = action.payload; },
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(syncOutbox.pending, (state) => { state.isSyncing = true; state.syncError = null; })
+            .addCase(syncOutbox.fulfilled, (state) => { state.isSyncing = false; })
+            .addCase(syncOutbox.rejected, (state, action) => { state.isSyncing = false; state.syncError = action.payload; });
+    },
+});
+
+export const { setOutboxEntries, setOnline } = outboxSlice.actions;
+
+export default outboxSlice.reducer;
@@ -1,16 +1,26 @@
 import { configureStore } from '@reduxjs/toolkit';
 import mapReducer from './mapSlice';
+import filterReducer from './filterSlice';
+import outboxReducer from './outboxSlice';
+import authReducer from './authSlice';
+import liveReducer from './liveSlice';
+import historyReducer from './historySlice';
 
 // A simple Redux store configuration using RTK's configureStore
 export const store = configureStore({
   reducer: {
     map: mapReducer, // The map slice reducer handles all map-related state
+    filter: filterReducer, // Building filter shared by the map layers, search and exports
+    outbox: outboxReducer, // Offline outbox: queued writes, connectivity and sync status
+    auth: authReducer, // Signed-in user, role and session token
+    live: liveReducer, // Live updates channel: connection status, presence and highlighted buildings
+    history: historyReducer, // Revisions of the building open in the InfoPanel's History tab
   },
   // Required middleware setup for serializable check when dealing with large GeoJSON objects
   middleware: (getDefaultMiddleware) => getDefaultMiddleware({
     serializableCheck: {
       ignoredActions: ['map/fetchBuildings/fulfilled'], // Ignore serialization check on fetchBuildings fulfilled action
-      ignoredPaths: ['map.buildings', 'map.route'], // Ignore serialization check for large GeoJSON data structures
+      ignoredPaths: ['map.buildings', 'map.route', 'map.importPreview'], // Ignore serialization check for large GeoJSON data structures
     },
   }),
 });
@@ -0,0 +1,29 @@
+import maplibregl from 'maplibre-gl';
+import { Protocol } from 'pmtiles';
+
+// --- BASEMAP CONFIGURATION ---
+// The offline style reads its vector tiles from public/assets/maps/my-area.pmtiles and its
+// glyphs from public/assets/noto-sans, so it keeps working without any network access.
+export const BASEMAPS = {
+    satellite: { label: 'Satellite', style: 'https://tiles.stadiamaps.com/styles/alidade_satellite.json' },
+    offline: { label: 'Offline', style: '/assets/my-offline-style.json' },
+};
+
+// Start on the offline style when the browser already knows there is no connection
+export const getInitialBasemap = () => (navigator.onLine === false ? 'offline' : 'satellite');
+
+// Registers the pmtiles:// protocol with MapLibre (safe to call more than once)
+let isPmtilesRegistered = false;
+export const registerPmtilesProtocol = () => {
+    if (isPmtilesRegistered) return;
+    const protocol = new Protocol();
+    maplibregl.addProtocol('pmtiles', protocol.tile);
+    isPmtilesRegistered = true;
+};
+
+// The bundled style uses relative glyph/sprite paths ("./assets/..."), which MapLibre's
+// workers cannot resolve on their own; resolve them against the page URL instead.
+export const transformBasemapRequest = (url) => {
+    const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(url);
+    return { url: hasScheme ? url : new URL(url, window.location.href).href };
+};
@@ -0,0 +1,38 @@
+// --- BUILDING FILTER (state.filter) ---
+// The same filter is evaluated in JS (search, exports, counts) and as a MapLibre expression
+// (layers), so both must stay in sync.
+
+export const isFilterActive = ({ categories, minHeight, maxHeight, has360, nameQuery }) => (
+    categories.length > 0 || minHeight != null || maxHeight != null || has360 || nameQuery.trim() !== ''
+);
+
+export const buildingMatchesFilter = (feature, { categories, minHeight, maxHeight, has360, nameQuery }) => {
+    const { category, height, imageURL, name } = feature.properties;
+    const numericHeight = Number(height) || 0;
+    if (categories.length > 0 && !categories.includes(category)) return false;
+    if (minHeight != null && numericHeight < minHeight) return false;
+    if (maxHeight != null && numericHeight > maxHeight) return false;
+    if (has360 && !imageURL) return false;
+    const query = nameQuery.trim().toLowerCase();
+    return !query || String(name ?? '').toLowerCase().includes(query);
+};
+
+// MapLibre filter expression equivalent to buildingMatchesFilter (null = show everything)
+export const buildFilterExpression = ({ categories, minHeight, maxHeight, has360, nameQuery }) => {
+    const height = ['to-number', ['get', 'height'], 0];
+    const query = nameQuery.trim().toLowerCase();
+    const conditions = [
+        categories.length > 0 && ['in', ['get', 'category'], ['literal', categories]],
+        minHeight != null && ['>=', height, minHeight],
+        maxHeight != null && ['<=', height, maxHeight],
+        has360 && ['to-boolean', ['get', 'imageURL']],
+        query && ['in', query, ['downcase', ['to-string', ['get', 'name']]]],
+    ].filter(Boolean);
+    return conditions.length > 0 ? ['all', ...conditions] : null;
+};
+
+// [0, tallest building] in meters, for the height range slider
+export const getHeightBounds = (buildings) => {
+    const heights = (buildings?.features || []).map(f => Number(f.properties.height) || 0);
+    return [0, heights.length > 0 ? Math.max(1, Math.ceil(Math.max(...heights))) : 100];
+};
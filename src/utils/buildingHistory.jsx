@@ -0,0 +1,115 @@
+// --- BUILDING HISTORY (revisions from api.fetchBuildingHistory) ---
+// A revision is { revision, action: 'create' | 'update', author: { name, role } | null, timestamp, building }
+// where `building` is the Feature as saved by that revision. Changed fields are worked out here by
+// comparing consecutive snapshots, so backends only have to keep the snapshots.
+
+import { footprintMetrics, formatArea } from './measure';
+import { toPolygons } from './geo';
+
+// Properties with a friendlier label and summary; anything else shows under its own key
+const FIELD_LABELS = {
+    name: 'Name',
+    category: 'Category',
+    height: 'Height',
+    geometry: 'Footprint',
+    imageURL: '360° image',
+    tour: '360° tour',
+    viewpoint: 'Viewpoint',
+    model: '3D model',
+};
+
+// Bookkeeping properties that never count as a change
+const IGNORED_PROPERTIES = new Set(['id', 'pending']);
+
+const isEmpty = (value) => value == null || value === '';
+
+const summarizeValue = (field, value) => {
+    if (isEmpty(value)) return '—';
+    if (field === 'geometry') {
+        // Corners of the outer rings (without the closing vertex); MultiPolygons also list their parts
+        const polygons = toPolygons(value);
+        const vertices = polygons.reduce((sum, polygon) => sum + (polygon?.[0]?.length ? polygon[0].length - 1 : 0), 0);
+        const parts = polygons.length > 1 ? `${polygons.length} parts · ` : '';
+        return `${parts}${vertices} vertices · ${formatArea(footprintMetrics(value)?.area ?? 0)}`;
+    }
+    if (field === 'height') return `${value} m`;
+    if (field === 'imageURL') return String(value).split('/').pop();
+    if (field === 'tour') return `${value.scenes?.length ?? 0} scenes`;
+    if (field === 'viewpoint') return value.coordinates?.map(n => Number(n).toFixed(5)).join(', ') ?? 'set';
+    if (field === 'model') return String(value.url ?? 'set').split('/').pop();
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const sameValue = (a, b) => (isEmpty(a) && isEmpty(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields that differ between two snapshots of a building: [{ field, label, before, after }] with
+ * display summaries. `before` null (the building's first revision) lists every field it was saved with.
+ */
+export const diffBuildings = (before, after) => {
+    const read = (feature, field) => (field === 'geometry' ? feature?.geometry : feature?.properties?.[field]);
+    const fields = new Set(['geometry', ...Object.keys(FIELD_LABELS)]);
+    [before, after].forEach(feature => Object.keys(feature?.properties || {}).forEach(key => fields.add(key)));
+
+    return [...fields]
+        .filter(field => !IGNORED_PROPERTIES.has(field) && !sameValue(read(before, field), read(after, field)))
+        .map(field => ({
+            field,
+            label: FIELD_LABELS[field] || field,
+            before: summarizeValue(field, read(before, field)),
+            after: summarizeValue(field, read(after, field)),
+        }));
+};
+
+/**
+ * Revision `revision` of a building's history and the one saved right before it (by number, so gaps
+ * are fine): { entry, previous }, with `previous` null for the first revision and `entry` null if absent.
+ * The History tab's changes and the map's old/new footprint comparison both come from this pair.
+ */
+export const findRevisionPair = (revisions, revision) => ({
+    entry: revisions.find(r => r.revision === revision) ?? null,
+    previous: revisions
+        .filter(r => r.revision < revision)
+        .reduce((latest, r) => (!latest || r.revision > latest.revision ? r : latest), null),
+});
+
+/**
+ * Revisions for the History tab, newest first, each with its `changes` (diffBuildings against the
+ * revision before it), `previous` (that revision's building, for the footprint comparison),
+ * `restores` (the earlier revision it brought back, for reverts) and `isCurrent`.
+ */
+export const buildRevisionList = (revisions) => {
+    const ordered = [...revisions].sort((a, b) => a.revision - b.revision);
+    return ordered.map((entry, index) => {
+        const previous = findRevisionPair(ordered, entry.revision).previous?.building ?? null;
+        const restored = index > 1 && ordered
+            .slice(0, index - 1)
+            .reverse()
+            .find(earlier => diffBuildings(earlier.building, entry.building).length === 0);
+        return {
+            ...entry,
+            previous,
+            changes: diffBuildings(previous, entry.building),
+            restores: restored ? restored.revision : null,
+            isCurrent: index === ordered.length - 1,
+        };
+    }).reverse();
+};
+
+/**
+ * Update payload (same shape as DataEntryForm's) that puts the building back to `feature`.
+ * Properties the current building has but the old one didn't are sent as null, since backends
+ * merge updates into the stored properties.
+ */
+export const toBuildingPayload = (feature, current) => {
+    const { height, ...properties } = feature.properties;
+    const cleared = Object.keys(current?.properties || {})
+        .filter(key => !(key in feature.properties) && !IGNORED_PROPERTIES.has(key) && key !== 'height');
+    IGNORED_PROPERTIES.forEach(key => delete properties[key]);
+    return {
+        ...Object.fromEntries(cleared.map(key => [key, null])),
+        ...properties,
+        buildingInfo: { height },
+        location: feature.geometry,
+    };
+};
@@ -0,0 +1,95 @@
+// --- LOCAL BUILDING SEARCH ---
+// Client-side fuzzy index over state.map.buildings (name, category, id and custom attributes),
+// so our own buildings are found even though Nominatim knows nothing about them.
+
+// Properties that are media/geometry helpers rather than searchable attributes
+const NON_SEARCHABLE_PROPERTIES = ['imageURL', 'viewpoint', 'tour', 'height'];
+
+// Relative importance of each field when ranking matches
+const FIELD_WEIGHTS = { name: 1, category: 0.6, id: 0.5, attribute: 0.5 };
+
+const MIN_TOKEN_SIMILARITY = 0.6;
+
+// Score a match needs before a submitted search opens it instead of asking the geocoder: a name
+// match that isn't just a loose fuzzy one, or an exact category
+export const MIN_DIRECT_MATCH_SCORE = 0.6;
+
+const normalize = (value) => String(value).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').trim();
+const tokenize = (text) => text.split(/[^a-z0-9]+/).filter(Boolean);
+
+// Levenshtein edit distance (small strings only, so the O(n*m) table is fine)
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const tokenSimilarity = (queryToken, textToken) => {
+    if (textToken.startsWith(queryToken)) return 1;
+    return 1 - editDistance(queryToken, textToken) / Math.max(queryToken.length, textToken.length);
+};
+
+// 0..1 score of how well `query` matches `text` (both normalized)
+const scoreText = (query, text) => {
+    if (!text) return 0;
+    if (text === query) return 1;
+    if (text.startsWith(query)) return 0.95;
+    if (text.includes(` ${query}`)) return 0.9;
+    if (text.includes(query)) return 0.8;
+
+    // Typo-tolerant: every query token must resemble some token of the text
+    const textTokens = tokenize(text);
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0 || textTokens.length === 0) return 0;
+
+    let total = 0;
+    for (const queryToken of queryTokens) {
+        const best = Math.max(...textTokens.map(textToken => tokenSimilarity(queryToken, textToken)));
+        if (best < MIN_TOKEN_SIMILARITY) return 0;
+        total += best;
+    }
+    return 0.7 * (total / queryTokens.length);
+};
+
+// Builds the searchable entries for a buildings FeatureCollection
+export const buildSearchIndex = (buildings) => (buildings?.features || []).map(feature => {
+    const { name, category, id, ...rest } = feature.properties;
+    const attributes = Object.entries(rest)
+        .filter(([key, value]) => !NON_SEARCHABLE_PROPERTIES.includes(key) && ['string', 'number'].includes(typeof value))
+        .map(([, value]) => normalize(value));
+
+    return {
+        feature,
+        fields: [
+            { text: normalize(name ?? ''), weight: FIELD_WEIGHTS.name },
+            { text: normalize(category ?? ''), weight: FIELD_WEIGHTS.category },
+            { text: normalize(id ?? ''), weight: FIELD_WEIGHTS.id },
+            ...attributes.map(text => ({ text, weight: FIELD_WEIGHTS.attribute })),
+        ],
+    };
+});
+
+// Best matching building features for `query`, highest score first
+export const searchBuildings = (index, query, limit = 5) => {
+    const normalizedQuery = normalize(query);
+    if (!normalizedQuery) return [];
+
+    return index
+        .map(entry => ({
+            feature: entry.feature,
+            score: Math.max(...entry.fields.map(field => field.weight * scoreText(normalizedQuery, field.text))),
+        }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
@@ -0,0 +1,96 @@
+// --- PER-CATEGORY MAP STYLING ---
+// One row per category from the Mongoose schema enum. `color` paints the 3D extrusion and the
+// marker badge, `opacity` the marker (MapLibre's fill-extrusion-opacity is layer-wide, not
+// per feature), and `icon` is drawn inside the marker badge.
+
+export const CATEGORY_STYLES = {
+    Building: { color: '#d4af37', opacity: 1, icon: '🏢' },
+    Cabin: { color: '#0ea5e9', opacity: 0.9, icon: '🛖' },
+    'Security Pillar': { color: '#dc2626', opacity: 1, icon: '🛡️' },
+    Gate: { color: '#16a34a', opacity: 1, icon: '🚪' },
+    Other: { color: '#6b7280', opacity: 0.8, icon: '📍' },
+    main: { color: '#9400d3', opacity: 1, icon: '🏛️' },
+};
+
+// Buildings whose category is missing or unknown
+export const FALLBACK_CATEGORY_STYLE = { color: '#a8a29e', opacity: 0.8, icon: '❔' };
+
+// List of allowed categories from the Mongoose schema enum
+export const BUILDING_CATEGORIES = Object.keys(CATEGORY_STYLES);
+
+export const getCategoryStyle = (category) => CATEGORY_STYLES[category] || FALLBACK_CATEGORY_STYLE;
+
+// MapLibre `match` expression picking `key` ('color' | 'opacity') from the table by feature category
+export const categoryMatchExpression = (key) => [
+    'match', ['get', 'category'],
+    ...Object.entries(CATEGORY_STYLES).flatMap(([category, style]) => [category, style[key]]),
+    FALLBACK_CATEGORY_STYLE[key],
+];
+
+// Map image ids for the marker icons, e.g. 'category-icon-Security Pillar'
+const CATEGORY_ICON_PREFIX = 'category-icon-';
+const FALLBACK_ICON_ID = `${CATEGORY_ICON_PREFIX}fallback`;
+
+export const categoryIconExpression = () => [
+    'match', ['get', 'category'],
+    ...BUILDING_CATEGORIES.flatMap(category => [category, `${CATEGORY_ICON_PREFIX}${category}`]),
+    FALLBACK_ICON_ID,
+];
+
+const ICON_SIZE = 64; // px, added with pixelRatio 2 so markers show at 32 css px
+
+// Circular badge in the category color with the icon glyph in the middle
+const drawCategoryIcon = ({ color, icon }) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = ICON_SIZE;
+    canvas.height = ICON_SIZE;
+    const context = canvas.getContext('2d');
+    const radius = ICON_SIZE / 2 - 3;
+
+    context.beginPath();
+    context.arc(ICON_SIZE / 2, ICON_SIZE / 2, radius, 0, Math.PI * 2);
+    context.fillStyle = color;
+    context.fill();
+    context.lineWidth = 4;
+    context.strokeStyle = '#ffffff';
+    context.stroke();
+
+    context.font = `${ICON_SIZE * 0.5}px sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(icon, ICON_SIZE / 2, ICON_SIZE / 2 + 2);
+    return context.getImageData(0, 0, ICON_SIZE, ICON_SIZE);
+};
+
+// Registers every category marker icon on the map (call again after each style load)
+export const addCategoryIcons = (mapInstance) => {
+    const icons = [
+        ...Object.entries(CATEGORY_STYLES).map(([category, style]) => [`${CATEGORY_ICON_PREFIX}${category}`, style]),
+        [FALLBACK_ICON_ID, FALLBACK_CATEGORY_STYLE],
+    ];
+    icons.forEach(([id, style]) => {
+        if (!mapInstance.hasImage(id)) mapInstance.addImage(id, drawCategoryIcon(style), { pixelRatio: 2 });
+    });
+};
+
+// --- VIEWPOINT CLUSTERS ---
+// Clustered markers sum one `category-count:<category>` property per category (unknown
+// categories under the fallback key), so cluster bubbles can show a per-category breakdown.
+const CLUSTER_COUNT_PREFIX = 'category-count:';
+const FALLBACK_CLUSTER_KEY = `${CLUSTER_COUNT_PREFIX}fallback`;
+
+// `clusterProperties` for a clustered GeoJSON source of building markers
+export const categoryClusterProperties = () => ({
+    ...Object.fromEntries(BUILDING_CATEGORIES.map(category => [
+        `${CLUSTER_COUNT_PREFIX}${category}`, ['+', ['case', ['==', ['get', 'category'], category], 1, 0]],
+    ])),
+    [FALLBACK_CLUSTER_KEY]: ['+', ['match', ['get', 'category'], BUILDING_CATEGORIES, 0, 1]],
+});
+
+// [{ category, count, style }] of a cluster feature's properties, largest first, empty categories left out
+export const clusterCategoryBreakdown = (properties) => [
+    ...BUILDING_CATEGORIES.map(category => ({
+        category, count: properties[`${CLUSTER_COUNT_PREFIX}${category}`] || 0, style: CATEGORY_STYLES[category],
+    })),
+    { category: 'Uncategorized', count: properties[FALLBACK_CLUSTER_KEY] || 0, style: FALLBACK_CATEGORY_STYLE },
+].filter(entry => entry.count > 0).sort((a, b) => b.count - a.count);
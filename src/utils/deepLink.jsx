@@ -0,0 +1,65 @@
+// --- SHAREABLE DEEP LINKS ---
+// Map view and selection live in the URL hash, e.g.
+//   #map=16.50/17.72000/83.23000/30/65&categories=Gate,Cabin&minHeight=5&has360=1&building=<id>&view=360
+// where map = zoom/lat/lng/bearing/pitch and categories/minHeight/maxHeight/has360/name mirror state.filter.
+// Older links with a single `category=` are still understood.
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const parseHeight = (value) => (value !== null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null);
+
+// Filter fields present in the hash (absent ones are left out so defaults apply)
+const parseFilter = (params) => {
+    const filter = {};
+    const categories = params.get('categories') ?? params.get('category');
+    if (categories) filter.categories = categories.split(',').filter(Boolean);
+    if (parseHeight(params.get('minHeight')) !== null) filter.minHeight = parseHeight(params.get('minHeight'));
+    if (parseHeight(params.get('maxHeight')) !== null) filter.maxHeight = parseHeight(params.get('maxHeight'));
+    if (params.get('has360') === '1') filter.has360 = true;
+    if (params.get('name')) filter.nameQuery = params.get('name');
+    return filter;
+};
+
+// Parses the hash into { camera, filter, buildingId, view360 } (missing parts are null/false/{})
+export const parseDeepLink = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const link = { camera: null, filter: parseFilter(params), buildingId: params.get('building'), view360: params.get('view') === '360' };
+
+    const parts = (params.get('map') || '').split('/').map(Number);
+    if (parts.length >= 3 && parts.slice(0, 3).every(Number.isFinite)) {
+        const [zoom, lat, lng, bearing = 0, pitch = 0] = parts;
+        link.camera = {
+            center: [lng, lat],
+            zoom,
+            bearing: Number.isFinite(bearing) ? bearing : 0,
+            pitch: Number.isFinite(pitch) ? pitch : 0,
+        };
+    }
+    return link;
+};
+
+// Serializes { camera, filter, buildingId, view360 } back into a hash string (with leading '#')
+export const buildDeepLinkHash = ({ camera, filter, buildingId, view360 }) => {
+    const parts = [];
+    if (camera) {
+        const [lng, lat] = camera.center;
+        parts.push(`map=${round(camera.zoom, 2)}/${round(lat, 5)}/${round(lng, 5)}/${round(camera.bearing, 1)}/${round(camera.pitch, 1)}`);
+    }
+    if (filter?.categories?.length) parts.push(`categories=${filter.categories.map(encodeURIComponent).join(',')}`);
+    if (filter?.minHeight != null) parts.push(`minHeight=${filter.minHeight}`);
+    if (filter?.maxHeight != null) parts.push(`maxHeight=${filter.maxHeight}`);
+    if (filter?.has360) parts.push('has360=1');
+    if (filter?.nameQuery?.trim()) parts.push(`name=${encodeURIComponent(filter.nameQuery.trim())}`);
+    if (buildingId) parts.push(`building=${encodeURIComponent(buildingId)}`);
+    if (buildingId && view360) parts.push('view=360');
+    return parts.length ? `#${parts.join('&')}` : '';
+};
+
+// Current camera of a MapLibre map in deep-link form
+export const getMapCamera = (mapInstance) => {
+    const center = mapInstance.getCenter();
+    return { center: [center.lng, center.lat], zoom: mapInstance.getZoom(), bearing: mapInstance.getBearing(), pitch: mapInstance.getPitch() };
+};
+
+// Absolute URL for sharing (same page, new hash)
+export const buildShareUrl = (link) => `${window.location.origin}${window.location.pathname}${window.location.search}${buildDeepLinkHash(link)}`;
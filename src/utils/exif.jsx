@@ -0,0 +1,83 @@
+// --- EXIF GPS (JPEG only) ---
+// Reads the location and compass direction a panorama was taken at, before compression strips
+// the metadata. Only the tags needed here are decoded; PNG/WebP files simply report nothing.
+
+const EXIF_READ_BYTES = 256 * 1024; // The APP1 segment sits at the start of the file
+const TAG_GPS_IFD = 0x8825;
+const GPS_TAGS = { latRef: 0x0001, lat: 0x0002, lngRef: 0x0003, lng: 0x0004, directionRef: 0x0010, direction: 0x0011 };
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Offset of the TIFF header inside the JPEG's "Exif\0\0" APP1 segment, or null
+const findTiffStart = (view) => {
+    if (view.getUint16(0) !== 0xFFD8) return null;
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+        if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) return offset + 10; // "Exif"
+        if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) return null; // Image data: no EXIF ahead
+        offset += 2 + length;
+    }
+    return null;
+};
+
+// Tag -> { type, count, valueOffset } for one IFD (values of 4 bytes or less are stored inline)
+const readIfd = (view, tiffStart, ifdOffset, little) => {
+    const entries = new Map();
+    const start = tiffStart + ifdOffset;
+    const count = view.getUint16(start, little);
+    for (let i = 0; i < count; i++) {
+        const entry = start + 2 + i * 12;
+        const type = view.getUint16(entry + 2, little);
+        const valueCount = view.getUint32(entry + 4, little);
+        const inline = (TYPE_SIZES[type] || 1) * valueCount <= 4;
+        entries.set(view.getUint16(entry, little), {
+            type,
+            count: valueCount,
+            valueOffset: inline ? entry + 8 : tiffStart + view.getUint32(entry + 8, little),
+        });
+    }
+    return entries;
+};
+
+const readAscii = (view, entry) => (entry ? String.fromCharCode(view.getUint8(entry.valueOffset)) : '');
+
+const readRationals = (view, entry, little) => Array.from({ length: entry?.count || 0 }, (_, i) => {
+    const denominator = view.getUint32(entry.valueOffset + i * 8 + 4, little);
+    return denominator ? view.getUint32(entry.valueOffset + i * 8, little) / denominator : NaN;
+});
+
+// Degrees/minutes/seconds + hemisphere ('S'/'W' are negative) to decimal degrees
+const toDegrees = ([degrees = NaN, minutes = 0, seconds = 0], ref, negativeRef) => {
+    const value = degrees + minutes / 60 + seconds / 3600;
+    return ref === negativeRef ? -value : value;
+};
+
+/**
+ * GPS position of a JPEG from its EXIF block: { lng, lat, direction } where `direction` is the
+ * compass bearing of the image center (GPSImgDirection, null when absent). Resolves to null when
+ * the file has no usable GPS data.
+ */
+export const readExifGps = async (file) => {
+    if (file.type && file.type !== 'image/jpeg') return null;
+    const view = new DataView(await file.slice(0, EXIF_READ_BYTES).arrayBuffer());
+    try {
+        const tiffStart = findTiffStart(view);
+        if (tiffStart === null) return null;
+        const little = view.getUint16(tiffStart) === 0x4949; // 'II' = Intel byte order
+        const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, little), little);
+        const gpsPointer = ifd0.get(TAG_GPS_IFD);
+        if (!gpsPointer) return null;
+
+        const gps = readIfd(view, tiffStart, view.getUint32(gpsPointer.valueOffset, little), little);
+        const lat = toDegrees(readRationals(view, gps.get(GPS_TAGS.lat), little), readAscii(view, gps.get(GPS_TAGS.latRef)), 'S');
+        const lng = toDegrees(readRationals(view, gps.get(GPS_TAGS.lng), little), readAscii(view, gps.get(GPS_TAGS.lngRef)), 'W');
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) return null;
+
+        // Magnetic ('M') directions are used as-is; the declination is small next to the map's accuracy
+        const [direction] = readRationals(view, gps.get(GPS_TAGS.direction), little);
+        return { lng, lat, direction: Number.isFinite(direction) ? direction : null };
+    } catch {
+        return null; // Truncated or malformed EXIF (RangeError from the DataView)
+    }
+};
@@ -0,0 +1,139 @@
+// --- GEOMETRY EXPORT (GeoJSON / KML / GPX / CSV) ---
+
+export const EXPORT_SHAPES = { points: 'Points', line: 'LineString', polygon: 'Polygon' };
+export const EXPORT_FORMATS = ['GeoJSON', 'KML', 'GPX', 'CSV'];
+
+// Closes a ring by repeating its first position when needed
+export const closeRing = (positions) => {
+    const [first] = positions;
+    const last = positions[positions.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? positions : [...positions, first];
+};
+
+// Minimum number of positions each shape needs
+export const MIN_POSITIONS = { points: 1, line: 2, polygon: 3 };
+
+// Turns [lng, lat] positions into a FeatureCollection of the requested shape
+export const buildShapeCollection = (positions, shape, name = 'Collected') => {
+    if (shape === 'points') {
+        return {
+            type: 'FeatureCollection',
+            features: positions.map((coordinates, index) => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates },
+                properties: { name: `${name} ${index + 1}`, index: index + 1 },
+            })),
+        };
+    }
+    const geometry = shape === 'line'
+        ? { type: 'LineString', coordinates: positions }
+        : { type: 'Polygon', coordinates: [closeRing(positions)] };
+    return { type: 'FeatureCollection', features: [{ type: 'Feature', geometry, properties: { name } }] };
+};
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const kmlCoordinates = (positions) => positions.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+const toKmlGeometry = (geometry) => {
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates></Point>`;
+        case 'LineString':
+            return `<LineString><coordinates>${kmlCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+        case 'Polygon': {
+            const [outer, ...holes] = geometry.coordinates;
+            const ring = (positions) => `<LinearRing><coordinates>${kmlCoordinates(positions)}</coordinates></LinearRing>`;
+            return `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>${holes.map(h => `<innerBoundaryIs>${ring(h)}</innerBoundaryIs>`).join('')}</Polygon>`;
+        }
+        case 'MultiPolygon':
+            return `<MultiGeometry>${geometry.coordinates.map(coordinates => toKmlGeometry({ type: 'Polygon', coordinates })).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+};
+
+export const toKML = (collection, documentName = 'Export') => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+    `<name>${escapeXml(documentName)}</name>`,
+    ...collection.features.map(feature =>
+        `<Placemark><name>${escapeXml(feature.properties?.name ?? '')}</name>${toKmlGeometry(feature.geometry)}</Placemark>`
+    ),
+    '</Document></kml>',
+].join('\n');
+
+// GPX has no polygons: lines and rings are written as tracks, points as waypoints
+export const toGPX = (collection, documentName = 'Export') => {
+    const trackPoints = (positions) => positions.map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"></trkpt>`).join('');
+    const body = collection.features.map(({ geometry, properties }) => {
+        const name = `<name>${escapeXml(properties?.name ?? '')}</name>`;
+        if (geometry.type === 'Point') {
+            const [lng, lat] = geometry.coordinates;
+            return `<wpt lat="${lat}" lon="${lng}">${name}</wpt>`;
+        }
+        const rings = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'Polygon' ? geometry.coordinates
+                : geometry.type === 'MultiPolygon' ? geometry.coordinates.flat() : [];
+        return `<trk>${name}${rings.map(ring => `<trkseg>${trackPoints(ring)}</trkseg>`).join('')}</trk>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${escapeXml(documentName)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        ...body,
+        '</gpx>',
+    ].join('\n');
+};
+
+// Well-Known Text for the geometry types we export
+export const toWKT = (geometry) => {
+    const positions = (coords) => coords.map(([lng, lat]) => `${lng} ${lat}`).join(', ');
+    const rings = (polygon) => polygon.map(ring => `(${positions(ring)})`).join(', ');
+    switch (geometry.type) {
+        case 'Point': return `POINT (${positions([geometry.coordinates])})`;
+        case 'LineString': return `LINESTRING (${positions(geometry.coordinates)})`;
+        case 'Polygon': return `POLYGON (${rings(geometry.coordinates)})`;
+        case 'MultiPolygon': return `MULTIPOLYGON (${geometry.coordinates.map(p => `(${rings(p)})`).join(', ')})`;
+        default: return '';
+    }
+};
+
+const csvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per feature; points also get plain longitude/latitude columns
+export const toCSV = (collection) => {
+    const rows = collection.features.map(({ geometry, properties }) => {
+        const [lng, lat] = geometry.type === 'Point' ? geometry.coordinates : ['', ''];
+        return [properties?.name, geometry.type, lng, lat, toWKT(geometry)].map(csvCell).join(',');
+    });
+    return ['name,geometry_type,longitude,latitude,wkt', ...rows].join('\n');
+};
+
+const FORMAT_WRITERS = {
+    GeoJSON: { extension: 'geojson', mime: 'application/geo+json', write: (fc) => JSON.stringify(fc, null, 2) },
+    KML: { extension: 'kml', mime: 'application/vnd.google-earth.kml+xml', write: toKML },
+    GPX: { extension: 'gpx', mime: 'application/gpx+xml', write: toGPX },
+    CSV: { extension: 'csv', mime: 'text/csv', write: toCSV },
+};
+
+// Triggers a browser download of `blob` (also used by the map print export)
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Serializes the collection and triggers a browser download
+export const downloadCollection = (collection, format, baseName) => {
+    const writer = FORMAT_WRITERS[format];
+    downloadBlob(new Blob([writer.write(collection, baseName)], { type: writer.mime }), `${baseName}.${writer.extension}`);
+};
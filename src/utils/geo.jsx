@@ -0,0 +1,198 @@
+// --- SHARED GEO UTILITIES (WGS84 lng/lat) ---
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in meters between two [lng, lat] positions
+export const haversineDistance = ([lng1, lat1], [lng2, lat2]) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+// Equirectangular projection to meters around `origin` ([lng, lat]); accurate enough at building scale
+export const projectToLocalMeters = ([originLng, originLat]) => {
+    const metersPerDegree = toRadians(1) * EARTH_RADIUS_M;
+    const cosLat = Math.cos(toRadians(originLat));
+    return ([lng, lat]) => [(lng - originLng) * metersPerDegree * cosLat, (lat - originLat) * metersPerDegree];
+};
+
+// projectToLocalMeters around `origin` together with its inverse ([x, y] meters back to [lng, lat])
+export const localFrame = (origin) => {
+    const metersPerDegree = toRadians(1) * EARTH_RADIUS_M;
+    const cosLat = Math.cos(toRadians(origin[1]));
+    return {
+        project: projectToLocalMeters(origin),
+        unproject: ([x, y]) => [origin[0] + x / (metersPerDegree * cosLat), origin[1] + y / metersPerDegree],
+    };
+};
+
+// Signed area in m² of a closed [lng, lat] ring: positive when counter-clockwise (the RFC 7946 exterior winding)
+export const ringSignedArea = (ring) => {
+    if (ring.length < 3) return 0;
+    const project = projectToLocalMeters(ring[0]);
+    const points = ring.map(project);
+    let twiceArea = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        twiceArea += points[i][0] * points[i + 1][1] - points[i + 1][0] * points[i][1];
+    }
+    return twiceArea / 2;
+};
+
+// Initial great-circle bearing in degrees clockwise from true north (0–360) from `from` to `to`
+export const initialBearing = ([lng1, lat1], [lng2, lat2]) => {
+    const dLng = toRadians(lng2 - lng1);
+    const y = Math.sin(dLng) * Math.cos(toRadians(lat2));
+    const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+        Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLng);
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// --- POLYGON CENTERS (Polygon and MultiPolygon, holes respected) ---
+
+// [outer, ...holes] ring lists of a Polygon or MultiPolygon; other geometries have none
+export const toPolygons = (geometry) => {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+};
+
+const usableRings = (polygon) => (polygon || []).filter(ring => ring?.length >= 3);
+
+// Shoelace area and area-weighted centroid of a projected ring (closed or not)
+const ringMoments = (points) => {
+    let twiceArea = 0;
+    let cx = 0;
+    let cy = 0;
+    points.forEach(([x1, y1], i) => {
+        const [x2, y2] = points[(i + 1) % points.length];
+        const cross = x1 * y2 - x2 * y1;
+        twiceArea += cross;
+        cx += (x1 + x2) * cross;
+        cy += (y1 + y2) * cross;
+    });
+    const area = twiceArea / 2;
+    return { area: Math.abs(area), center: area ? [cx / (6 * area), cy / (6 * area)] : null };
+};
+
+/**
+ * Area-weighted centroid ([lng, lat]) of a Polygon or MultiPolygon: holes are subtracted and each
+ * part counts by its area. It can fall outside concave shapes (use polygonLabelPoint for markers).
+ * Degenerate (zero-area) shapes fall back to the average of their distinct vertices; null without rings.
+ */
+export const polygonCentroid = (geometry) => {
+    const polygons = toPolygons(geometry).map(usableRings).filter(rings => rings.length > 0);
+    if (polygons.length === 0) return null;
+    const { project, unproject } = localFrame(polygons[0][0][0]);
+
+    let totalArea = 0;
+    let sumX = 0;
+    let sumY = 0;
+    polygons.forEach(rings => rings.forEach((ring, index) => {
+        const { area, center } = ringMoments(ring.map(project));
+        if (!center) return;
+        const weight = index === 0 ? area : -area; // Holes remove their area
+        totalArea += weight;
+        sumX += center[0] * weight;
+        sumY += center[1] * weight;
+    }));
+    if (totalArea > 1e-9) return unproject([sumX / totalArea, sumY / totalArea]);
+
+    const vertices = [...new Map(polygons.flat(2).map(p => [`${p[0]},${p[1]}`, p])).values()];
+    return [0, 1].map(axis => vertices.reduce((sum, p) => sum + p[axis], 0) / vertices.length);
+};
+
+// Squared distance from (x, y) to the segment a-b
+const segmentDistanceSq = (x, y, [ax, ay], [bx, by]) => {
+    let px = ax;
+    let py = ay;
+    const dx = bx - ax;
+    const dy = by - ay;
+    if (dx !== 0 || dy !== 0) {
+        const t = Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy)));
+        px += dx * t;
+        py += dy * t;
+    }
+    return (x - px) ** 2 + (y - py) ** 2;
+};
+
+// Signed distance from (x, y) to the polygon outline: positive inside, negative outside
+const signedDistance = (x, y, rings) => {
+    let inside = false;
+    let minDistSq = Infinity;
+    rings.forEach(ring => ring.forEach((a, i) => {
+        const b = ring[(i + 1) % ring.length];
+        if ((a[1] > y) !== (b[1] > y) && x < ((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1]) + a[0]) inside = !inside;
+        minDistSq = Math.min(minDistSq, segmentDistanceSq(x, y, a, b));
+    }));
+    return (inside ? 1 : -1) * Math.sqrt(minDistSq);
+};
+
+// Square search cell of half-size `h`; `max` bounds the distance any point inside it can reach
+const makeCell = (x, y, h, rings) => {
+    const distance = signedDistance(x, y, rings);
+    return { x, y, h, distance, max: distance + h * Math.SQRT2 };
+};
+
+// Pole of inaccessibility of one projected polygon (the "polylabel" quadtree search)
+const poleOfInaccessibility = (rings, precision) => {
+    const xs = rings[0].map(p => p[0]);
+    const ys = rings[0].map(p => p[1]);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const cellSize = Math.min(maxX - minX, maxY - minY);
+    if (cellSize === 0) return { point: [minX, minY], distance: 0 };
+
+    // Cells ordered by `max` ascending, so the most promising one is popped from the end
+    const queue = [];
+    const push = (cell) => {
+        let low = 0;
+        let high = queue.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (queue[mid].max < cell.max) low = mid + 1;
+            else high = mid;
+        }
+        queue.splice(low, 0, cell);
+    };
+
+    const h = cellSize / 2;
+    for (let x = minX; x < maxX; x += cellSize) {
+        for (let y = minY; y < maxY; y += cellSize) push(makeCell(x + h, y + h, h, rings));
+    }
+
+    const { center } = ringMoments(rings[0]);
+    let best = makeCell(...(center || [minX, minY]), 0, rings);
+    const boxCell = makeCell(minX + (maxX - minX) / 2, minY + (maxY - minY) / 2, 0, rings);
+    if (boxCell.distance > best.distance) best = boxCell;
+
+    while (queue.length > 0) {
+        const cell = queue.pop();
+        if (cell.distance > best.distance) best = cell;
+        if (cell.max - best.distance <= precision) continue;
+        const half = cell.h / 2;
+        push(makeCell(cell.x - half, cell.y - half, half, rings));
+        push(makeCell(cell.x + half, cell.y - half, half, rings));
+        push(makeCell(cell.x - half, cell.y + half, half, rings));
+        push(makeCell(cell.x + half, cell.y + half, half, rings));
+    }
+    return { point: [best.x, best.y], distance: best.distance };
+};
+
+/**
+ * Label point ([lng, lat]) of a Polygon or MultiPolygon: the pole of inaccessibility, i.e. the
+ * interior point farthest from the outline (within `precision` meters). Unlike the centroid it is
+ * always inside the footprint, so camera markers, fly-to targets and labels use it. For a
+ * MultiPolygon the point lies in the part with the most room. Null without rings.
+ */
+export const polygonLabelPoint = (geometry, precision = 0.5) => {
+    const polygons = toPolygons(geometry).map(usableRings).filter(rings => rings.length > 0);
+    if (polygons.length === 0) return null;
+    const { project, unproject } = localFrame(polygons[0][0][0]);
+
+    const best = polygons
+        .map(rings => poleOfInaccessibility(rings.map(ring => ring.map(project)), precision))
+        .reduce((a, b) => (b.distance > a.distance ? b : a));
+    return unproject(best.point);
+};
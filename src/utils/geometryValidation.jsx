@@ -0,0 +1,202 @@
+import { haversineDistance, localFrame, ringSignedArea } from './geo';
+
+// --- FOOTPRINT GEOMETRY VALIDATION ---
+// Shared by DataEntryForm and the bulk importer. Each problem is reported as
+//   { severity, message, vertex }
+// where severity is 'error' (blocks saving), 'warning' (saved anyway) or 'fixed' (repaired here),
+// and vertex is the [lng, lat] to highlight on the map (or null).
+
+export const MIN_FOOTPRINT_AREA_M2 = 1;
+const DUPLICATE_TOLERANCE_DEG = 1e-8; // ~1 mm
+const SWAP_FAR_M = 1000000; // Footprint this far from the campus...
+const SWAP_NEAR_M = 50000; // ...but this close once lat/lng are swapped => almost certainly swapped
+
+const samePosition = (a, b) => Math.abs(a[0] - b[0]) < DUPLICATE_TOLERANCE_DEG && Math.abs(a[1] - b[1]) < DUPLICATE_TOLERANCE_DEG;
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2
+    && Number.isFinite(position[0]) && Number.isFinite(position[1]);
+
+// Removes consecutive duplicates and closes the ring
+const cleanRing = (ring) => {
+    const cleaned = ring.filter((position, i) => i === 0 || !samePosition(position, ring[i - 1]))
+        .map(([lng, lat]) => [lng, lat]);
+    while (cleaned.length > 1 && samePosition(cleaned[0], cleaned[cleaned.length - 1])) cleaned.pop();
+    return cleaned.length ? [...cleaned, cleaned[0]] : cleaned;
+};
+
+// --- Planar segment helpers (points already projected to meters) ---
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+const onSegment = (p, a, b) => Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0])
+    && Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+
+// Intersection point of segments ab and cd, or null. `proper` ignores touching/collinear contacts.
+const segmentIntersection = (a, b, c, d, proper = false) => {
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        const t = d1 / (d1 - d2);
+        return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+    }
+    if (proper) return null;
+    if (d1 === 0 && onSegment(a, c, d)) return a;
+    if (d2 === 0 && onSegment(b, c, d)) return b;
+    if (d3 === 0 && onSegment(c, a, b)) return c;
+    if (d4 === 0 && onSegment(d, a, b)) return d;
+    return null;
+};
+
+// Ray casting; `ring` is closed
+const pointInRing = (point, ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+// First point where a closed ring crosses or touches itself, or null
+const findSelfIntersection = (points) => {
+    const segments = points.length - 1;
+    for (let i = 0; i < segments; i++) {
+        for (let j = i + 2; j < segments; j++) {
+            if (i === 0 && j === segments - 1) continue; // First and last segments share the closing vertex
+            const hit = segmentIntersection(points[i], points[i + 1], points[j], points[j + 1]);
+            if (hit) return hit;
+        }
+    }
+    return null;
+};
+
+// First point where two closed rings overlap (crossing edges or a vertex inside the other), or null
+const findOverlap = (a, b) => {
+    for (let i = 0; i < a.length - 1; i++) {
+        for (let j = 0; j < b.length - 1; j++) {
+            const hit = segmentIntersection(a[i], a[i + 1], b[j], b[j + 1], true);
+            if (hit) return hit;
+        }
+    }
+    return a.slice(0, -1).find(point => pointInRing(point, b))
+        || b.slice(0, -1).find(point => pointInRing(point, a))
+        || null;
+};
+
+const ringBounds = (ring) => ring.reduce(
+    ([minX, minY, maxX, maxY], [x, y]) => [Math.min(minX, x), Math.min(minY, y), Math.max(maxX, x), Math.max(maxY, y)],
+    [Infinity, Infinity, -Infinity, -Infinity]
+);
+
+const boundsIntersect = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+// Average of the existing buildings' first vertices, used to spot lat/lng swaps
+const getReferencePoint = (buildings) => {
+    const firsts = buildings.map(f => f.geometry?.coordinates?.[0]?.[0]).filter(isPosition);
+    if (firsts.length === 0) return null;
+    return [0, 1].map(axis => firsts.reduce((sum, p) => sum + p[axis], 0) / firsts.length);
+};
+
+/**
+ * Validates (and where safe, repairs) polygon coordinates `[[[lng, lat], ...], ...holes]`.
+ * Fixes: ring closing, duplicate vertices, RFC 7946 winding (exterior counter-clockwise).
+ * Errors: malformed positions, out-of-range or swapped lat/lng, fewer than 4 positions,
+ * zero area, self-intersections. Warnings: overlap with `existingBuildings` (except `ignoreId`).
+ * Returns { coordinates, issues, hasErrors }; `coordinates` is the repaired polygon.
+ */
+export const validateFootprint = (coordinates, { existingBuildings = [], ignoreId = null } = {}) => {
+    const issues = [];
+    const error = (message, vertex = null) => issues.push({ severity: 'error', message, vertex });
+
+    if (!Array.isArray(coordinates) || coordinates.length === 0 || !Array.isArray(coordinates[0])) {
+        error('Footprint must be an array of rings: [[[lng, lat], ...]].');
+        return { coordinates, issues, hasErrors: true };
+    }
+    const badPosition = coordinates.flat().find(position => !isPosition(position));
+    if (badPosition !== undefined) {
+        error(`Invalid position ${JSON.stringify(badPosition)}; each vertex must be [lng, lat].`);
+        return { coordinates, issues, hasErrors: true };
+    }
+
+    // 1. Range / swapped lat-lng
+    const outOfRange = coordinates.flat().find(([lng, lat]) => Math.abs(lng) > 180 || Math.abs(lat) > 90);
+    if (outOfRange) {
+        const [lng, lat] = outOfRange;
+        const looksSwapped = Math.abs(lat) > 90 && Math.abs(lat) <= 180 && Math.abs(lng) <= 90;
+        error(looksSwapped
+            ? `Latitude ${lat} is out of range; lat/lng look swapped (GeoJSON order is [lng, lat]).`
+            : `Position [${lng}, ${lat}] is outside valid longitude/latitude ranges.`,
+            looksSwapped ? [lat, lng] : null);
+        return { coordinates, issues, hasErrors: true };
+    }
+    const reference = getReferencePoint(existingBuildings);
+    const [firstLng, firstLat] = coordinates[0][0];
+    if (reference && haversineDistance([firstLng, firstLat], reference) > SWAP_FAR_M
+        && haversineDistance([firstLat, firstLng], reference) < SWAP_NEAR_M) {
+        error('Footprint is far from every other building but lands on campus with lat/lng swapped (GeoJSON order is [lng, lat]).', [firstLat, firstLng]);
+        return { coordinates, issues, hasErrors: true };
+    }
+
+    // 2. Duplicate vertices, closing and winding (safe repairs)
+    const repaired = coordinates.map((ring, ringIndex) => {
+        const cleaned = cleanRing(ring);
+        const isClosed = ring.length > 1 && samePosition(ring[0], ring[ring.length - 1]);
+        const duplicates = (isClosed ? ring.length - 1 : ring.length) - (cleaned.length - 1);
+        if (duplicates > 0) {
+            issues.push({ severity: 'fixed', message: `Removed ${duplicates} duplicate vertex${duplicates > 1 ? 'es' : ''}.`, vertex: null });
+        }
+        const area = ringSignedArea(cleaned);
+        const isExterior = ringIndex === 0;
+        if ((isExterior && area < 0) || (!isExterior && area > 0)) {
+            issues.push({ severity: 'fixed', message: `Reversed ${isExterior ? 'outer ring' : 'hole'} to ${isExterior ? 'counter-clockwise' : 'clockwise'} winding.`, vertex: null });
+            return [...cleaned].reverse();
+        }
+        return cleaned;
+    });
+
+    // 3. Hard geometry errors
+    repaired.forEach((ring, ringIndex) => {
+        const label = ringIndex === 0 ? 'Footprint' : `Hole ${ringIndex}`;
+        if (ring.length < 4) {
+            error(`${label} needs at least 4 positions (3 distinct corners + closing vertex).`, ring[0] ?? null);
+            return;
+        }
+        const { project, unproject } = localFrame(ring[0]);
+        const hit = findSelfIntersection(ring.map(project));
+        if (hit) {
+            error(`${label} intersects itself.`, unproject(hit));
+            return;
+        }
+        if (Math.abs(ringSignedArea(ring)) < MIN_FOOTPRINT_AREA_M2) {
+            error(`${label} has (near) zero area; its vertices are collinear or stacked.`, ring[0]);
+        }
+    });
+
+    // 4. Overlap with existing buildings (non-blocking)
+    const outer = repaired[0];
+    if (outer.length >= 4 && !issues.some(issue => issue.severity === 'error')) {
+        const { project, unproject } = localFrame(outer[0]);
+        const footprint = outer.map(project);
+        const footprintBounds = ringBounds(footprint);
+        existingBuildings.forEach(building => {
+            if (building.properties?.id === ignoreId || building.geometry?.type !== 'Polygon') return;
+            const other = (building.geometry.coordinates[0] || []).filter(isPosition).map(project);
+            if (other.length < 4 || !boundsIntersect(footprintBounds, ringBounds(other))) return;
+            const hit = findOverlap(footprint, other);
+            if (hit) {
+                issues.push({
+                    severity: 'warning',
+                    message: `Overlaps existing building "${building.properties?.name || building.properties?.id}".`,
+                    vertex: unproject(hit),
+                });
+            }
+        });
+    }
+
+    return { coordinates: repaired, issues, hasErrors: issues.some(issue => issue.severity === 'error') };
+};
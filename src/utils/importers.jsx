@@ -0,0 +1,216 @@
+import { validateFootprint } from './geometryValidation';
+
+// --- BULK IMPORT PARSERS (GeoJSON / KML / CSV with a WKT column) ---
+// Every parser returns plain GeoJSON Features whose properties are the source attributes.
+
+export const IMPORT_ACCEPT = '.geojson,.json,.kml,.csv';
+
+// --- WKT ---
+
+// Parses the nested "(...)" coordinate part of a WKT string into arrays of [x, y]
+const parseWktCoordinates = (text) => {
+    let position = 0;
+    const parseGroup = () => {
+        position++; // skip '('
+        const items = [];
+        let current = '';
+        while (position < text.length) {
+            const char = text[position];
+            if (char === '(') {
+                items.push(parseGroup());
+            } else if (char === ',' || char === ')') {
+                if (current.trim()) items.push(current.trim().split(/\s+/).slice(0, 2).map(Number));
+                current = '';
+                position++;
+                if (char === ')') return items;
+                continue;
+            } else {
+                current += char;
+            }
+            if (char !== '(') position++;
+        }
+        throw new Error('Unbalanced parentheses in WKT');
+    };
+    return parseGroup();
+};
+
+export const parseWKT = (wkt) => {
+    const match = /^\s*(POINT|LINESTRING|POLYGON|MULTIPOLYGON)\s*Z?\s*(\(.*\))\s*$/is.exec(wkt || '');
+    if (!match) throw new Error(`Unsupported or invalid WKT: "${String(wkt).slice(0, 40)}"`);
+    const type = match[1].toUpperCase();
+    const coordinates = parseWktCoordinates(match[2]);
+    switch (type) {
+        case 'POINT': return { type: 'Point', coordinates: coordinates[0] };
+        case 'LINESTRING': return { type: 'LineString', coordinates };
+        case 'POLYGON': return { type: 'Polygon', coordinates };
+        default: return { type: 'MultiPolygon', coordinates };
+    }
+};
+
+// --- CSV ---
+
+// RFC 4180-style CSV (quoted cells may contain commas, quotes and newlines)
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+const WKT_COLUMNS = ['wkt', 'geometry', 'geom', 'the_geom', 'shape'];
+
+export const parseCSV = (text) => {
+    const [header = [], ...rows] = parseCsvRows(text);
+    const wktIndex = header.findIndex(column => WKT_COLUMNS.includes(column.trim().toLowerCase()));
+    if (wktIndex === -1) throw new Error(`CSV needs a WKT geometry column (${WKT_COLUMNS.join(', ')}).`);
+
+    return rows.map(row => {
+        const properties = Object.fromEntries(header
+            .map((column, i) => [column.trim(), row[i] ?? ''])
+            .filter((_, i) => i !== wktIndex));
+        let geometry = null;
+        let parseError = null;
+        try {
+            geometry = parseWKT(row[wktIndex]);
+        } catch (error) {
+            parseError = error.message;
+        }
+        return { type: 'Feature', geometry, properties, parseError };
+    });
+};
+
+// --- KML ---
+
+const parseKmlCoordinates = (element) => (element?.textContent || '')
+    .trim().split(/\s+/).filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+const parseKmlPolygon = (polygon) => {
+    const outer = parseKmlCoordinates(polygon.querySelector('outerBoundaryIs coordinates'));
+    const holes = [...polygon.querySelectorAll('innerBoundaryIs coordinates')].map(parseKmlCoordinates);
+    return [outer, ...holes];
+};
+
+export const parseKML = (text) => {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) throw new Error('The KML file is not valid XML.');
+
+    return [...doc.getElementsByTagName('Placemark')].map(placemark => {
+        const properties = { name: placemark.querySelector('name')?.textContent?.trim() ?? '' };
+        placemark.querySelectorAll('ExtendedData Data').forEach(data => {
+            properties[data.getAttribute('name')] = data.querySelector('value')?.textContent ?? '';
+        });
+        placemark.querySelectorAll('ExtendedData SimpleData').forEach(data => {
+            properties[data.getAttribute('name')] = data.textContent;
+        });
+
+        const polygons = [...placemark.getElementsByTagName('Polygon')].map(parseKmlPolygon);
+        let geometry = null;
+        if (polygons.length === 1) geometry = { type: 'Polygon', coordinates: polygons[0] };
+        else if (polygons.length > 1) geometry = { type: 'MultiPolygon', coordinates: polygons };
+        return { type: 'Feature', geometry, properties, parseError: geometry ? null : 'Placemark has no Polygon.' };
+    });
+};
+
+// --- GeoJSON ---
+
+export const parseGeoJSON = (text) => {
+    const data = JSON.parse(text);
+    const features = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+            : [{ type: 'Feature', geometry: data, properties: {} }];
+    return features.map(feature => ({ ...feature, properties: { ...feature.properties }, parseError: null }));
+};
+
+// Reads a dropped file and dispatches to the parser for its extension
+export const parseImportFile = async (file) => {
+    const text = await file.text();
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension === 'kml') return parseKML(text);
+    if (extension === 'csv') return parseCSV(text);
+    if (extension === 'geojson' || extension === 'json') return parseGeoJSON(text);
+    throw new Error(`Unsupported file type ".${extension}" (use GeoJSON, KML or CSV).`);
+};
+
+// --- ATTRIBUTE MAPPING ---
+
+const FIELD_GUESSES = {
+    name: ['name', 'title', 'building', 'label'],
+    category: ['category', 'type', 'class', 'kind'],
+    height: ['height', 'building_height', 'elevation', 'levels'],
+};
+
+// Picks the most likely source attribute for name/category/height
+export const guessAttributeMapping = (attributeKeys) => Object.fromEntries(
+    Object.entries(FIELD_GUESSES).map(([field, candidates]) => [
+        field,
+        attributeKeys.find(key => candidates.includes(key.toLowerCase())) ?? '',
+    ])
+);
+
+// Single-part MultiPolygons are unwrapped (validateFootprint then closes and repairs the rings)
+const toFootprintGeometry = (geometry) => (
+    geometry?.type === 'MultiPolygon' && geometry.coordinates.length === 1
+        ? { type: 'Polygon', coordinates: geometry.coordinates[0] }
+        : geometry
+);
+
+// Turns a parsed feature into the saveNewBuilding payload shape using the chosen mapping
+export const toBuildingPayload = (feature, mapping, defaults) => {
+    const { properties } = feature;
+    const rawHeight = mapping.height ? properties[mapping.height] : '';
+    return {
+        name: String((mapping.name && properties[mapping.name]) ?? '').trim(),
+        category: String((mapping.category && properties[mapping.category]) || defaults.category).trim(),
+        buildingInfo: { height: rawHeight === '' || rawHeight == null ? defaults.height : parseFloat(rawHeight) },
+        location: toFootprintGeometry(feature.geometry),
+    };
+};
+
+// --- VALIDATION ---
+
+/**
+ * Checks a payload from toBuildingPayload. Footprints go through the shared validateFootprint
+ * (so imports get the same checks and repairs as DataEntryForm); returns
+ * { errors, warnings, location } where `location` carries the repaired coordinates.
+ */
+export const validateImportedBuilding = (payload, parseError, categories, existingBuildings = []) => {
+    if (parseError) return { errors: [parseError], warnings: [], location: payload.location };
+
+    const errors = [];
+    if (!payload.name) errors.push('Missing name.');
+    if (!categories.includes(payload.category)) errors.push(`Unknown category "${payload.category}".`);
+    const height = payload.buildingInfo.height;
+    if (!Number.isFinite(height) || height < 0) errors.push('Height must be a number ≥ 0.');
+
+    const { location } = payload;
+    if (location?.type !== 'Polygon') {
+        errors.push(`Footprint must be a single Polygon (got ${location?.type ?? 'no geometry'}).`);
+        return { errors, warnings: [], location };
+    }
+    const { coordinates, issues } = validateFootprint(location.coordinates, { existingBuildings });
+    return {
+        errors: [...errors, ...issues.filter(issue => issue.severity === 'error').map(issue => issue.message)],
+        warnings: issues.filter(issue => issue.severity === 'warning').map(issue => issue.message),
+        location: { type: 'Polygon', coordinates },
+    };
+};
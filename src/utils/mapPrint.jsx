@@ -0,0 +1,392 @@
+import maplibregl from 'maplibre-gl';
+import { transformBasemapRequest } from './basemaps';
+import { addCategoryIcons, clusterCategoryBreakdown, getCategoryStyle } from './categoryStyles';
+import { haversineDistance } from './geo';
+import { formatArea, formatDistance } from './measure';
+import { buildJpegPdf } from './pdf';
+import { downloadBlob } from './exporters';
+
+// --- MAP PRINT EXPORT (PNG / PDF at a paper size and DPI) ---
+// The current view is re-rendered by an off-screen map at the print resolution (no HTML UI), then
+// title, north arrow, scale bar, legend, timestamp and building details are drawn around it.
+
+// Portrait sizes in mm; landscape swaps them
+export const PAPER_SIZES = {
+    A4: { width: 210, height: 297 },
+    A3: { width: 297, height: 420 },
+    Letter: { width: 215.9, height: 279.4 },
+};
+export const PRINT_DPIS = [96, 150, 300];
+export const PRINT_FORMATS = ['PDF', 'PNG'];
+
+const CSS_DPI = 96; // Layout is done in CSS pixels and scaled by dpi / 96
+const MM_TO_CSS_PX = CSS_DPI / 25.4;
+const MARGIN = 10 * MM_TO_CSS_PX;
+const HEADER_HEIGHT = 12 * MM_TO_CSS_PX;
+const FOOTER_HEIGHT = 7 * MM_TO_CSS_PX;
+const RENDER_TIMEOUT_MS = 60 * 1000;
+
+// mapbox-gl-draw's editing layers and the short-lived live-update highlight are UI, not map content
+const isPrintableLayer = (layer) => layer.type !== 'custom' && !layer.id.startsWith('gl-draw') && !layer.id.startsWith('live-highlight');
+
+const FONT = 'sans-serif';
+
+// --- Off-screen map ---
+
+// Largest drawing buffer the GPU allows (MapLibre caps canvases at 4096 px unless told otherwise)
+const gpuCanvasLimit = () => {
+    const gl = document.createElement('canvas').getContext('webgl2');
+    const limit = gl ? Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), gl.getParameter(gl.MAX_TEXTURE_SIZE)) : 4096;
+    gl?.getExtension('WEBGL_lose_context')?.loseContext();
+    return limit;
+};
+
+const waitFor = (printMap, event) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('The map took too long to render. Check the connection and try again.')), RENDER_TIMEOUT_MS);
+    printMap.once(event, () => {
+        clearTimeout(timer);
+        resolve();
+    });
+});
+
+/**
+ * Renders the view of `sourceMap` into a `width` x `height` (CSS px) off-screen map at `pixelRatio`,
+ * with the same style and GeoJSON data. `layerFilters` ({ layerId: filter }) override layer filters.
+ * Resolves with the print map (the caller removes it and its container).
+ */
+const renderPrintMap = async (sourceMap, { width, height, pixelRatio, zoomOffset, layerFilters }) => {
+    const container = document.createElement('div');
+    Object.assign(container.style, { position: 'fixed', left: '-100000px', top: '0', width: `${width}px`, height: `${height}px` });
+    document.body.appendChild(container);
+
+    const style = sourceMap.getStyle();
+    style.layers = style.layers.filter(isPrintableLayer);
+    const canvasLimit = gpuCanvasLimit();
+    const printMap = new maplibregl.Map({
+        container,
+        style,
+        transformRequest: transformBasemapRequest,
+        center: sourceMap.getCenter(),
+        zoom: sourceMap.getZoom() + zoomOffset,
+        bearing: sourceMap.getBearing(),
+        pitch: sourceMap.getPitch(),
+        pixelRatio,
+        maxCanvasSize: [canvasLimit, canvasLimit],
+        interactive: false,
+        attributionControl: false,
+        fadeDuration: 0,
+        canvasContextAttributes: { preserveDrawingBuffer: true },
+    });
+    printMap.on('styleimagemissing', () => addCategoryIcons(printMap));
+
+    try {
+        await waitFor(printMap, 'load');
+        // Sources filled at runtime (buildings, markers, route...) are copied over as they are now
+        await Promise.all(Object.entries(style.sources)
+            .filter(([, source]) => source.type === 'geojson')
+            .map(async ([id]) => {
+                const data = await sourceMap.getSource(id)?.getData?.();
+                if (data) printMap.getSource(id)?.setData(data);
+            }));
+        Object.entries(layerFilters || {}).forEach(([layerId, filter]) => {
+            if (printMap.getLayer(layerId)) printMap.setFilter(layerId, filter);
+        });
+        const idle = waitFor(printMap, 'idle');
+        printMap.triggerRepaint(); // 'idle' may already have fired while the data was copied
+        await idle;
+    } catch (error) {
+        printMap.remove();
+        container.remove();
+        throw error;
+    }
+
+    // The GPU may refuse a canvas this large (MapLibre then lowers the pixel ratio)
+    if (printMap.getCanvas().width < Math.floor(width * pixelRatio)) {
+        printMap.remove();
+        container.remove();
+        throw new Error('This paper size and DPI are too large for this device. Choose a lower DPI or a smaller paper size.');
+    }
+    return { printMap, container };
+};
+
+// --- Decorations (drawn in CSS px on a context scaled to the print resolution) ---
+
+// Largest 1 / 2 / 5 x 10^n meters not longer than `maxMeters`
+const niceLength = (maxMeters) => {
+    const power = 10 ** Math.floor(Math.log10(maxMeters));
+    return [5, 2, 1].map(step => step * power).find(length => length <= maxMeters) ?? power;
+};
+
+const drawScaleBar = (context, printMap, { x, y, maxWidth }) => {
+    const { clientWidth, clientHeight } = printMap.getContainer();
+    const left = printMap.unproject([clientWidth / 2 - 50, clientHeight / 2]);
+    const right = printMap.unproject([clientWidth / 2 + 50, clientHeight / 2]);
+    const metersPerPixel = haversineDistance([left.lng, left.lat], [right.lng, right.lat]) / 100;
+    const meters = niceLength(maxWidth * metersPerPixel);
+    const width = meters / metersPerPixel;
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.fillRect(x - 6, y - 22, width + 12, 34);
+    [0, 1, 2, 3].forEach(index => {
+        context.fillStyle = index % 2 === 0 ? '#111827' : '#ffffff';
+        context.fillRect(x + (width / 4) * index, y, width / 4, 6);
+    });
+    context.strokeStyle = '#111827';
+    context.lineWidth = 1;
+    context.strokeRect(x, y, width, 6);
+    context.fillStyle = '#111827';
+    context.font = `11px ${FONT}`;
+    context.textAlign = 'left';
+    context.fillText('0', x, y - 6);
+    context.textAlign = 'right';
+    context.fillText(`${formatDistance(meters)}${printMap.getPitch() > 0 ? ' (at center)' : ''}`, x + width, y - 6);
+};
+
+const drawNorthArrow = (context, bearing, { x, y }) => {
+    context.save();
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.beginPath();
+    context.arc(x, y, 22, 0, Math.PI * 2);
+    context.fill();
+    context.translate(x, y);
+    context.rotate((-bearing * Math.PI) / 180);
+    context.beginPath();
+    context.moveTo(0, -16);
+    context.lineTo(8, 8);
+    context.lineTo(0, 3);
+    context.lineTo(-8, 8);
+    context.closePath();
+    context.fillStyle = '#111827';
+    context.fill();
+    context.font = `bold 10px ${FONT}`;
+    context.textAlign = 'center';
+    context.fillText('N', 0, -18);
+    context.restore();
+};
+
+// Categories of the exported buildings with their color, icon and count
+const drawLegend = (context, categories, { right, bottom }) => {
+    if (categories.length === 0) return;
+    const rowHeight = 18;
+    const width = 170;
+    const height = 24 + rowHeight * categories.length;
+    const x = right - width;
+    const y = bottom - height;
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.fillRect(x, y, width, height);
+    context.fillStyle = '#111827';
+    context.font = `bold 12px ${FONT}`;
+    context.textAlign = 'left';
+    context.fillText('Legend', x + 8, y + 16);
+    categories.forEach(({ category, count }, index) => {
+        const rowY = y + 24 + rowHeight * index;
+        const style = getCategoryStyle(category);
+        context.fillStyle = style.color;
+        context.fillRect(x + 8, rowY + 3, 12, 12);
+        context.fillStyle = '#111827';
+        context.font = `11px ${FONT}`;
+        context.fillText(`${style.icon} ${category} (${count})`, x + 26, rowY + 13);
+    });
+};
+
+// Camera marker clusters are HTML bubbles on screen, so the print draws them itself
+const drawClusters = (context, printMap, sourceId, origin) => {
+    if (!sourceId || !printMap.getSource(sourceId)) return;
+    const seen = new Set();
+    printMap.querySourceFeatures(sourceId, { filter: ['has', 'point_count'] }).forEach(feature => {
+        const { cluster_id: clusterId, point_count: total } = feature.properties;
+        if (seen.has(clusterId)) return;
+        seen.add(clusterId);
+        const point = printMap.project(feature.geometry.coordinates);
+        const x = origin.x + point.x;
+        const y = origin.y + point.y;
+        const radius = total >= 50 ? 24 : total >= 10 ? 20 : 17;
+        let start = -Math.PI / 2;
+
+        context.fillStyle = 'rgba(12, 10, 9, 0.85)';
+        context.beginPath();
+        context.arc(x, y, radius, 0, Math.PI * 2);
+        context.fill();
+        context.lineWidth = 6;
+        clusterCategoryBreakdown(feature.properties).forEach(({ count, style }) => {
+            const end = start + (count / total) * Math.PI * 2;
+            context.strokeStyle = style.color;
+            context.beginPath();
+            context.arc(x, y, radius - 3, start, end);
+            context.stroke();
+            start = end;
+        });
+        context.fillStyle = '#ffffff';
+        context.font = `bold 13px ${FONT}`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(String(total), x, y);
+        context.textBaseline = 'alphabetic';
+    });
+};
+
+const loadImage = (url) => new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous'; // Images without CORS headers would taint the canvas, so they are skipped
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+});
+
+// Name, category, height, footprint and (when it loads) the panorama's center as a thumbnail
+const drawBuildingDetails = async (context, building, { x, y }) => {
+    const lines = [
+        building.category && `Category: ${building.category}`,
+        building.height != null && `Height: ${building.height} m`,
+        building.footprint && `Footprint: ${formatArea(building.footprint.area)} · ${formatDistance(building.footprint.perimeter)}`,
+        `ID: ${building.id}`,
+    ].filter(Boolean);
+    const thumbnail = building.imageUrl ? await loadImage(building.imageUrl) : null;
+    const width = 220;
+    const thumbnailHeight = thumbnail ? 100 : 0;
+    const height = 30 + lines.length * 15 + (thumbnail ? thumbnailHeight + 8 : 0);
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.fillRect(x, y, width, height);
+    context.fillStyle = '#111827';
+    context.textAlign = 'left';
+    context.font = `bold 13px ${FONT}`;
+    context.fillText(building.name || 'Selected building', x + 8, y + 18, width - 16);
+    context.font = `11px ${FONT}`;
+    lines.forEach((line, index) => context.fillText(line, x + 8, y + 36 + index * 15, width - 16));
+    if (thumbnail) {
+        // Middle of the equirectangular image, cropped to the box
+        const sourceHeight = thumbnail.naturalHeight / 2;
+        const sourceWidth = Math.min(thumbnail.naturalWidth, sourceHeight * ((width - 16) / thumbnailHeight));
+        context.drawImage(
+            thumbnail,
+            (thumbnail.naturalWidth - sourceWidth) / 2, (thumbnail.naturalHeight - sourceHeight) / 2, sourceWidth, sourceHeight,
+            x + 8, y + height - thumbnailHeight - 8, width - 16, thumbnailHeight,
+        );
+    }
+};
+
+const stripHtml = (html) => html.replace(/<[^>]*>/g, '').replace(/&copy;/g, '©').trim();
+
+// --- PNG resolution metadata (pHYs chunk), so the PNG prints at the chosen DPI ---
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    bytes.forEach(byte => { crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8); });
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const withPngDpi = async (blob, dpi) => {
+    const png = new Uint8Array(await blob.arrayBuffer());
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+    view.setUint32(8, pixelsPerMeter);
+    view.setUint32(12, pixelsPerMeter);
+    chunk[16] = 1; // Unit: meter
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+    const headerEnd = 8 + 25; // Signature + IHDR chunk, which must come first
+    return new Blob([png.subarray(0, headerEnd), chunk, png.subarray(headerEnd)], { type: 'image/png' });
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the image.'))), type, quality);
+});
+
+/**
+ * Exports the current view of `map` as a PNG or PDF page and downloads it.
+ * Options: { title, format: 'PNG' | 'PDF', paper: key of PAPER_SIZES, orientation: 'portrait' | 'landscape',
+ * dpi, categories: [{ category, count }] for the legend, building: details of the selected building
+ * ({ name, category, height, id, footprint, imageUrl }) or null, clusterSourceId, layerFilters }.
+ */
+export const exportMapPrint = async (map, { title, format, paper, orientation, dpi, categories = [], building = null, clusterSourceId, layerFilters }) => {
+    const size = PAPER_SIZES[paper];
+    const [pageWidthMm, pageHeightMm] = orientation === 'landscape' ? [size.height, size.width] : [size.width, size.height];
+    const pageWidth = pageWidthMm * MM_TO_CSS_PX;
+    const pageHeight = pageHeightMm * MM_TO_CSS_PX;
+    const pixelRatio = dpi / CSS_DPI;
+    const mapRect = {
+        x: MARGIN,
+        y: MARGIN + HEADER_HEIGHT,
+        width: Math.round(pageWidth - MARGIN * 2),
+        height: Math.round(pageHeight - MARGIN * 2 - HEADER_HEIGHT - FOOTER_HEIGHT),
+    };
+
+    // Same area as on screen (at least): the paper usually holds more CSS pixels than the window
+    const screen = map.getContainer();
+    const zoomOffset = Math.log2(Math.min(mapRect.width / screen.clientWidth, mapRect.height / screen.clientHeight));
+    const { printMap, container } = await renderPrintMap(map, {
+        width: mapRect.width, height: mapRect.height, pixelRatio, zoomOffset, layerFilters,
+    });
+
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(pageWidth * pixelRatio);
+        canvas.height = Math.round(pageHeight * pixelRatio);
+        const context = canvas.getContext('2d');
+        context.scale(pixelRatio, pixelRatio);
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, pageWidth, pageHeight);
+
+        // Header: title and date
+        const timestamp = new Date();
+        context.fillStyle = '#111827';
+        context.textBaseline = 'alphabetic';
+        context.textAlign = 'left';
+        context.font = `bold 22px ${FONT}`;
+        context.fillText(title || 'Map', MARGIN, MARGIN + HEADER_HEIGHT - 14, mapRect.width * 0.7);
+        context.textAlign = 'right';
+        context.font = `12px ${FONT}`;
+        context.fillText(timestamp.toLocaleDateString(), MARGIN + mapRect.width, MARGIN + HEADER_HEIGHT - 14);
+
+        // Map, then what sits on it
+        context.drawImage(printMap.getCanvas(), mapRect.x, mapRect.y, mapRect.width, mapRect.height);
+        context.save();
+        context.beginPath();
+        context.rect(mapRect.x, mapRect.y, mapRect.width, mapRect.height);
+        context.clip();
+        drawClusters(context, printMap, clusterSourceId, mapRect);
+        context.restore();
+        context.strokeStyle = '#111827';
+        context.lineWidth = 1;
+        context.strokeRect(mapRect.x, mapRect.y, mapRect.width, mapRect.height);
+
+        drawNorthArrow(context, printMap.getBearing(), { x: mapRect.x + mapRect.width - 34, y: mapRect.y + 34 });
+        drawScaleBar(context, printMap, { x: mapRect.x + 16, y: mapRect.y + mapRect.height - 20, maxWidth: mapRect.width / 4 });
+        drawLegend(context, categories, { right: mapRect.x + mapRect.width - 10, bottom: mapRect.y + mapRect.height - 10 });
+        if (building) await drawBuildingDetails(context, building, { x: mapRect.x + 10, y: mapRect.y + 10 });
+
+        // Footer: timestamp and basemap attribution
+        const attribution = [...new Set(Object.values(printMap.getStyle().sources)
+            .map(source => source.attribution && stripHtml(source.attribution))
+            .filter(Boolean))].join(' · ');
+        context.fillStyle = '#4b5563';
+        context.font = `10px ${FONT}`;
+        context.textAlign = 'left';
+        context.fillText(`Exported ${timestamp.toLocaleString()}`, MARGIN, pageHeight - MARGIN - 4);
+        context.textAlign = 'right';
+        context.fillText(attribution, MARGIN + mapRect.width, pageHeight - MARGIN - 4, mapRect.width * 0.6);
+
+        const baseName = (title || 'map').trim().replace(/[^\w-]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'map';
+        if (format === 'PNG') {
+            downloadBlob(await withPngDpi(await canvasToBlob(canvas, 'image/png'), dpi), `${baseName}.png`);
+            return;
+        }
+        const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer());
+        const pdf = buildJpegPdf({
+            jpeg, imageWidth: canvas.width, imageHeight: canvas.height, paper: { width: pageWidthMm, height: pageHeightMm }, title: title || 'Map',
+        });
+        downloadBlob(pdf, `${baseName}.pdf`);
+    } finally {
+        printMap.remove();
+        container.remove();
+    }
+};
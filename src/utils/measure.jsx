@@ -0,0 +1,99 @@
+import { haversineDistance, initialBearing, polygonLabelPoint, ringSignedArea, toPolygons } from './geo';
+
+// --- MEASURE TOOL (distance / area / bearing between clicked [lng, lat] points) ---
+
+export const MEASURE_MODES = {
+    distance: 'Distance',
+    area: 'Area',
+    bearing: 'Bearing',
+};
+
+// --- FORMATTING ---
+export const formatDistance = (meters) => (meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(2)} km`);
+
+export const formatArea = (squareMeters) => (squareMeters < 10000
+    ? `${Math.round(squareMeters).toLocaleString()} m²`
+    : `${(squareMeters / 10000).toFixed(2)} ha`);
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+export const formatBearing = (degrees) => {
+    const rounded = Math.round(degrees) % 360;
+    return `${String(rounded).padStart(3, '0')}° ${COMPASS_POINTS[Math.round(rounded / 45) % 8]}`;
+};
+
+// --- GEOMETRY ---
+const pathLength = (points) => points.slice(1).reduce((sum, point, i) => sum + haversineDistance(points[i], point), 0);
+
+const closeRing = (ring) => {
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+// Area (outer ring minus holes) and perimeter (all rings) of one polygon's rings
+const polygonMetrics = (polygon) => {
+    const rings = polygon.filter(ring => ring?.length).map(closeRing);
+    const [outer = 0, ...holes] = rings.map(ring => Math.abs(ringSignedArea(ring)));
+    return {
+        area: Math.max(0, outer - holes.reduce((sum, hole) => sum + hole, 0)),
+        perimeter: rings.reduce((sum, ring) => sum + pathLength(ring), 0),
+    };
+};
+
+// Area and perimeter of a building footprint Polygon, or summed over the parts of a MultiPolygon
+export const footprintMetrics = (geometry) => {
+    const parts = toPolygons(geometry).filter(polygon => polygon?.[0]?.length).map(polygonMetrics);
+    if (parts.length === 0) return null;
+    return parts.reduce((total, part) => ({
+        area: total.area + part.area,
+        perimeter: total.perimeter + part.perimeter,
+    }), { area: 0, perimeter: 0 });
+};
+
+// Adds a clicked point: bearing keeps a single from/to pair, so a third click starts over
+export const addMeasurePoint = (mode, points, point) => (
+    mode === 'bearing' && points.length >= 2 ? [point] : [...points, point]
+);
+
+/**
+ * Measures the points for a mode. Returns the drawn `segments` ([from, to, length]), the
+ * numbers for the console (`distance`, `area`, `perimeter`, `bearing`; null when not enough
+ * points yet) and the map `labels` ([{ position, text }]).
+ */
+export const computeMeasurement = (mode, points) => {
+    const usable = mode === 'bearing' ? points.slice(0, 2) : points;
+    const path = mode === 'area' && usable.length >= 3 ? closeRing(usable) : usable;
+    const segments = path.slice(1).map((to, i) => ({ from: path[i], to, length: haversineDistance(path[i], to) }));
+    const midpoint = ({ from, to }) => [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+    const result = { points: usable, segments, distance: null, area: null, perimeter: null, bearing: null, labels: [] };
+
+    if (mode === 'distance' && segments.length > 0) {
+        result.distance = segments.reduce((sum, segment) => sum + segment.length, 0);
+        result.labels = segments.length > 1
+            ? [...segments.map(s => ({ position: midpoint(s), text: formatDistance(s.length) })),
+                { position: usable[usable.length - 1], text: `Total ${formatDistance(result.distance)}` }]
+            : [{ position: midpoint(segments[0]), text: formatDistance(segments[0].length) }];
+    }
+
+    if (mode === 'area' && usable.length >= 3) {
+        const metrics = footprintMetrics({ type: 'Polygon', coordinates: [usable] });
+        result.area = metrics.area;
+        result.perimeter = metrics.perimeter;
+        result.labels = [
+            ...segments.map(s => ({ position: midpoint(s), text: formatDistance(s.length) })),
+            { position: polygonLabelPoint({ type: 'Polygon', coordinates: [usable] }), text: formatArea(result.area) },
+        ];
+    } else if (mode === 'area' && segments.length > 0) {
+        result.labels = segments.map(s => ({ position: midpoint(s), text: formatDistance(s.length) }));
+    }
+
+    if (mode === 'bearing' && segments.length > 0) {
+        const [segment] = segments;
+        result.distance = segment.length;
+        result.bearing = initialBearing(segment.from, segment.to);
+        result.labels = [{ position: midpoint(segment), text: `${formatBearing(result.bearing)} · ${formatDistance(segment.length)}` }];
+    }
+
+    return result;
+};
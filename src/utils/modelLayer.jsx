@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+// --- BUILDING glTF MODELS (MapLibre custom layer rendered with three.js) ---
+// A building record may carry `properties.model`:
+//   { url, position?: [lng, lat], altitude?: m, rotation?: [x, y, z] degrees, scale?: number }
+// The model is placed in meters with glTF's Y axis up, so rotation[1] is the heading.
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+const isPosition = (value) => Array.isArray(value) && value.length >= 2 && value.every(Number.isFinite);
+
+// Validated model settings for a building, or null when it has no usable model
+export const getBuildingModel = (properties, fallbackPosition) => {
+    const model = properties?.model;
+    if (!model || typeof model.url !== 'string' || !model.url.trim()) return null;
+
+    const rotation = Array.isArray(model.rotation) ? model.rotation : [];
+    return {
+        url: model.url.trim(),
+        position: isPosition(model.position) ? model.position.slice(0, 2) : fallbackPosition,
+        altitude: Number.isFinite(model.altitude) ? model.altitude : 0,
+        rotation: [0, 1, 2].map(axis => (Number.isFinite(rotation[axis]) ? rotation[axis] : 0)),
+        scale: Number.isFinite(model.scale) && model.scale > 0 ? model.scale : 1,
+    };
+};
+
+// Lights live in every model's scene because each model is drawn with its own camera matrix
+const buildScene = () => {
+    const scene = new THREE.Scene();
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 2));
+    const sun = new THREE.DirectionalLight(0xffffff, 2);
+    sun.position.set(0.5, 1, 0.8);
+    scene.add(sun);
+    return scene;
+};
+
+// Model-local transform (Euler rotation in degrees, uniform scale) applied after MapLibre's placement matrix
+const localMatrix = ({ rotation, scale }) => new THREE.Matrix4()
+    .makeRotationFromEuler(new THREE.Euler(...rotation.map(toRadians)))
+    .scale(new THREE.Vector3(scale, scale, scale));
+
+// Releases the GPU buffers of a loaded glTF scene (they are re-uploaded if the layer is added again)
+const disposeObject = (object) => {
+    object.traverse(child => {
+        child.geometry?.dispose();
+        [].concat(child.material || []).forEach(material => {
+            Object.values(material).forEach(value => value?.isTexture && value.dispose());
+            material.dispose();
+        });
+    });
+};
+
+/**
+ * Creates the custom layer that draws building models. `setModels` takes
+ * `[{ id, feature, model }]` (model from getBuildingModel); `onRenderedChange` receives the ids
+ * whose model loaded, so the caller can hide those extrusions. Models that fail to load are
+ * reported in the console and keep their extrusion. `pick(point)` returns the building
+ * feature of the model under a map pixel, nearest first, or null.
+ * The same layer object can be re-added after a style reload.
+ */
+export const createModelLayer = (id, onRenderedChange) => {
+    const loader = new GLTFLoader();
+    const camera = new THREE.Camera();
+    const raycaster = new THREE.Raycaster();
+    const gltfCache = new Map(); // url -> Promise<gltf>, shared by buildings using the same file
+    const entries = new Map(); // building id -> { feature, model, scene, object, projection }
+    let map = null;
+    let renderer = null;
+
+    const loadGltf = (url) => {
+        if (!gltfCache.has(url)) {
+            const promise = loader.loadAsync(url);
+            promise.catch(() => gltfCache.delete(url)); // Allow a retry after fixing the file
+            gltfCache.set(url, promise);
+        }
+        return gltfCache.get(url);
+    };
+
+    const reportRendered = () => {
+        onRenderedChange([...entries].filter(([, entry]) => entry.object).map(([buildingId]) => buildingId));
+    };
+
+    const loadEntry = async (buildingId, entry) => {
+        try {
+            const gltf = await loadGltf(entry.model.url);
+            if (entries.get(buildingId) !== entry) return; // Removed or replaced while loading
+            entry.object = gltf.scene.clone(true);
+            entry.object.userData.buildingId = buildingId;
+            entry.scene.add(entry.object);
+            reportRendered();
+            map?.triggerRepaint();
+        } catch (error) {
+            console.warn(`Model for building "${entry.feature.properties.name}" failed to load (${entry.model.url}); showing its extrusion instead.`, error.message);
+        }
+    };
+
+    return {
+        id,
+        type: 'custom',
+        renderingMode: '3d',
+
+        onAdd(mapInstance, gl) {
+            map = mapInstance;
+            renderer = new THREE.WebGLRenderer({ canvas: mapInstance.getCanvas(), context: gl, antialias: true });
+            renderer.autoClear = false;
+        },
+
+        onRemove() {
+            entries.forEach(entry => entry.object && disposeObject(entry.object));
+            renderer?.dispose();
+            renderer = null;
+            map = null;
+        },
+
+        render(gl, args) {
+            if (!renderer) return;
+            const mainMatrix = new THREE.Matrix4().fromArray(args.defaultProjectionData.mainMatrix);
+
+            entries.forEach(entry => {
+                if (!entry.object) return;
+                const { position, altitude } = entry.model;
+                const placement = new THREE.Matrix4().fromArray(map.transform.getMatrixForModel(position, altitude));
+                entry.projection = mainMatrix.clone().multiply(placement).multiply(localMatrix(entry.model));
+
+                camera.projectionMatrix = entry.projection;
+                renderer.resetState();
+                renderer.render(entry.scene, camera);
+            });
+        },
+
+        setModels(models) {
+            const nextIds = new Set(models.map(({ id: buildingId }) => buildingId));
+            let changed = false;
+
+            entries.forEach((entry, buildingId) => {
+                if (!nextIds.has(buildingId)) {
+                    entries.delete(buildingId);
+                    changed = changed || Boolean(entry.object);
+                }
+            });
+
+            models.forEach(({ id: buildingId, feature, model }) => {
+                const entry = entries.get(buildingId);
+                if (entry && entry.model.url === model.url) {
+                    // Same file: only the placement or the InfoPanel data changed
+                    Object.assign(entry, { feature, model });
+                    return;
+                }
+                changed = changed || Boolean(entry?.object);
+                const next = { feature, model, scene: buildScene(), object: null, projection: null };
+                entries.set(buildingId, next);
+                loadEntry(buildingId, next);
+            });
+
+            if (changed) reportRendered();
+            map?.triggerRepaint();
+        },
+
+        pick({ x, y }) {
+            if (!map) return null;
+            const canvas = map.getCanvas();
+            const ndcX = (x / canvas.clientWidth) * 2 - 1;
+            const ndcY = 1 - (y / canvas.clientHeight) * 2;
+            let nearest = null;
+
+            entries.forEach(entry => {
+                if (!entry.object || !entry.projection) return;
+                // Unproject the pixel into this model's own coordinate space
+                const inverse = entry.projection.clone().invert();
+                const near = new THREE.Vector3(ndcX, ndcY, -1).applyMatrix4(inverse);
+                const far = new THREE.Vector3(ndcX, ndcY, 1).applyMatrix4(inverse);
+                raycaster.set(near, far.sub(near).normalize());
+
+                const [hit] = raycaster.intersectObject(entry.object, true);
+                if (!hit) return;
+                const depth = hit.point.clone().applyMatrix4(entry.projection).z; // Comparable across models
+                if (!nearest || depth < nearest.depth) nearest = { depth, feature: entry.feature };
+            });
+            return nearest?.feature ?? null;
+        },
+    };
+};
@@ -0,0 +1,109 @@
+import { ApiError } from '../api/errors';
+
+// --- 360° PANORAMA CHECKS AND COMPRESSION (before upload) ---
+export const PANORAMA_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const PANORAMA_ACCEPT = PANORAMA_TYPES.join(',');
+
+const MAX_INPUT_BYTES = 60 * 1024 * 1024; // Rejected outright above this
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // Compressed above this
+const MAX_WIDTH = 8192; // Downscaled above this (largest texture most phones' WebGL can show in Pannellum)
+const ASPECT_RATIO = 2; // Equirectangular: width = 2 × height
+const ASPECT_TOLERANCE = 0.02; // ±2 %, for stitchers that crop a few pixels
+const JPEG_QUALITIES = [0.88, 0.8, 0.7, 0.6];
+
+const canceledError = () => new ApiError('Upload canceled.', null, { canceled: true });
+
+// Rejects with a `canceled` ApiError once `signal` has aborted (for the steps between awaits)
+export const throwIfAborted = (signal) => {
+    if (signal?.aborted) throw canceledError();
+};
+
+// Settles with `promise`, or rejects as canceled as soon as `signal` aborts (for steps that can't be stopped)
+const untilAborted = (promise, signal) => (signal ? new Promise((resolve, reject) => {
+    const handleAbort = () => reject(canceledError());
+    if (signal.aborted) {
+        handleAbort();
+        return;
+    }
+    signal.addEventListener('abort', handleAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', handleAbort));
+}) : promise);
+
+export const formatBytes = (bytes) => (bytes < 1024 * 1024
+    ? `${Math.round(bytes / 1024)} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+/**
+ * Checks a file before it is uploaded as a 360° panorama: MIME type, size and 2:1 aspect ratio.
+ * Resolves { errors, width, height, needsCompression }; `errors` is empty when the file is usable.
+ * Rejects with a `canceled` ApiError when `signal` aborts, without waiting for the image to decode.
+ */
+export const checkPanorama = async (file, signal) => {
+    throwIfAborted(signal);
+    if (!PANORAMA_TYPES.includes(file.type)) {
+        return { errors: [`Unsupported file type (${file.type || 'unknown'}). Use a JPEG, PNG or WebP panorama.`] };
+    }
+    if (file.size > MAX_INPUT_BYTES) {
+        return { errors: [`The file is ${formatBytes(file.size)}; the limit is ${formatBytes(MAX_INPUT_BYTES)}.`] };
+    }
+
+    let bitmap;
+    try {
+        bitmap = await untilAborted(createImageBitmap(file), signal);
+    } catch (error) {
+        if (error.canceled) throw error;
+        return { errors: ['The image could not be read. It may be corrupted.'] };
+    }
+    const { width, height } = bitmap;
+    bitmap.close();
+
+    const ratio = width / height;
+    const errors = Math.abs(ratio / ASPECT_RATIO - 1) > ASPECT_TOLERANCE
+        ? [`The image is ${width}×${height} (${ratio.toFixed(2)}:1). 360° panoramas must be equirectangular, 2:1 (e.g. 6000×3000).`]
+        : [];
+    return { errors, width, height, needsCompression: width > MAX_WIDTH || file.size > MAX_UPLOAD_BYTES };
+};
+
+/**
+ * Downscales (to MAX_WIDTH) and re-encodes a checked panorama as JPEG in a worker, so large
+ * files don't freeze the form. Rejects with a `canceled` ApiError when `signal` aborts.
+ */
+export const compressPanorama = (file, { width, height }, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(canceledError()); // Never start a worker for an upload that is already canceled
+        return;
+    }
+    const scale = Math.min(1, MAX_WIDTH / width);
+    const worker = new Worker(new URL('../workers/panoramaCompressor.jsx', import.meta.url), { type: 'module' });
+    const finish = () => {
+        worker.terminate();
+        signal?.removeEventListener('abort', handleAbort);
+    };
+    const handleAbort = () => {
+        finish();
+        reject(canceledError());
+    };
+
+    worker.onmessage = ({ data }) => {
+        finish();
+        if (data.error) {
+            reject(new Error(`Compression failed: ${data.error}`));
+            return;
+        }
+        const name = file.name.replace(/\.\w+$/, '') + '.jpg';
+        resolve(new File([data.blob], name, { type: 'image/jpeg' }));
+    };
+    worker.onerror = (event) => {
+        finish();
+        reject(new Error(`Compression failed: ${event.message}`));
+    };
+    signal?.addEventListener('abort', handleAbort);
+
+    worker.postMessage({
+        file,
+        width: Math.round(width * scale),
+        height: Math.round(height * scale),
+        qualities: JPEG_QUALITIES,
+        maxBytes: MAX_UPLOAD_BYTES,
+    });
+});
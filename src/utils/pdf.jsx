@@ -0,0 +1,57 @@
+// --- MINIMAL PDF WRITER (one page holding one JPEG, for the map print export) ---
+// No PDF library needed: the JPEG goes in unchanged as a DCTDecode image XObject scaled to the page.
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// PDF text string as UTF-16BE hex, so titles with any characters survive
+const toPdfString = (text) => {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+    return `<${hex.toUpperCase()}>`;
+};
+
+// PDF date, e.g. D:20261019093000Z
+const toPdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+/**
+ * Builds a single-page PDF Blob of `paper` ({ width, height } in mm) filled with the JPEG in `jpeg`
+ * (Uint8Array) of `imageWidth` x `imageHeight` pixels. `title` goes into the document properties.
+ */
+export const buildJpegPdf = ({ jpeg, imageWidth, imageHeight, paper, title = '' }) => {
+    const encoder = new TextEncoder();
+    const pageWidth = (paper.width * POINTS_PER_MM).toFixed(2);
+    const pageHeight = (paper.height * POINTS_PER_MM).toFixed(2);
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+        [`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, '\nendstream'],
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        `<< /Title ${toPdfString(title)} /CreationDate (${toPdfDate(new Date())}) >>`,
+    ];
+
+    // Byte offsets of every object for the cross-reference table
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+    const push = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+
+    push('%PDF-1.4\n%âãÏÓ\n');
+    objects.forEach((object, index) => {
+        offsets.push(length);
+        push(`${index + 1} 0 obj\n`);
+        (Array.isArray(object) ? object : [object]).forEach(push);
+        push('\nendobj\n');
+    });
+    const xrefOffset = length;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`);
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+};
@@ -0,0 +1,154 @@
+import axios from 'axios';
+import { haversineDistance } from './geo';
+
+// --- CLIENT-SIDE WALKING ROUTES ---
+// Routes are computed over the campus footpath network in public/assets/campus-paths.geojson
+// (LineString / MultiLineString features). Paths must share vertices where they connect.
+
+export const CAMPUS_PATHS_URL = '/assets/campus-paths.geojson';
+export const WALKING_SPEED_MPS = 1.4; // ~5 km/h
+
+const nodeKey = ([lng, lat]) => `${lng.toFixed(7)},${lat.toFixed(7)}`;
+
+// Builds an undirected graph: node key -> { coord, edges: [{ to, weight (m) }] }
+export const buildPathGraph = (geojson) => {
+    const nodes = new Map();
+
+    const addNode = (coord) => {
+        const key = nodeKey(coord);
+        if (!nodes.has(key)) nodes.set(key, { coord: [coord[0], coord[1]], edges: [] });
+        return key;
+    };
+
+    const addLine = (line) => {
+        for (let i = 1; i < line.length; i++) {
+            const from = addNode(line[i - 1]);
+            const to = addNode(line[i]);
+            if (from === to) continue;
+            const weight = haversineDistance(line[i - 1], line[i]);
+            nodes.get(from).edges.push({ to, weight });
+            nodes.get(to).edges.push({ to: from, weight });
+        }
+    };
+
+    for (const feature of geojson.features || []) {
+        const geometry = feature.geometry;
+        if (geometry?.type === 'LineString') addLine(geometry.coordinates);
+        else if (geometry?.type === 'MultiLineString') geometry.coordinates.forEach(addLine);
+    }
+    return nodes;
+};
+
+// Fetches and builds the footpath graph once; a failed load is retried on the next call
+let graphPromise = null;
+export const loadPathGraph = () => {
+    if (!graphPromise) {
+        graphPromise = axios.get(CAMPUS_PATHS_URL)
+            .then(response => buildPathGraph(response.data))
+            .catch(error => {
+                graphPromise = null;
+                throw error;
+            });
+    }
+    return graphPromise;
+};
+
+const findNearestNode = (graph, position) => {
+    let nearestKey = null;
+    let nearestDistance = Infinity;
+    for (const [key, node] of graph) {
+        const distance = haversineDistance(position, node.coord);
+        if (distance < nearestDistance) {
+            nearestKey = key;
+            nearestDistance = distance;
+        }
+    }
+    return nearestKey;
+};
+
+// Minimal binary heap of [priority, value] pairs for Dijkstra
+const heapPush = (heap, item) => {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+};
+
+const heapPop = (heap) => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+            if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top;
+};
+
+// Dijkstra shortest path; returns the list of node keys or null when unreachable
+const shortestPath = (graph, startKey, endKey) => {
+    const distances = new Map([[startKey, 0]]);
+    const previous = new Map();
+    const heap = [[0, startKey]];
+
+    while (heap.length > 0) {
+        const [distance, key] = heapPop(heap);
+        if (key === endKey) break;
+        if (distance > distances.get(key)) continue; // Stale heap entry
+
+        for (const { to, weight } of graph.get(key).edges) {
+            const candidate = distance + weight;
+            if (candidate < (distances.get(to) ?? Infinity)) {
+                distances.set(to, candidate);
+                previous.set(to, key);
+                heapPush(heap, [candidate, to]);
+            }
+        }
+    }
+
+    if (!distances.has(endKey)) return null;
+    const path = [endKey];
+    while (path[0] !== startKey) path.unshift(previous.get(path[0]));
+    return path;
+};
+
+/**
+ * Shortest walking route between two [lng, lat] positions.
+ * Origin and destination are joined to their nearest network vertex with a straight leg.
+ * Returns a LineString Feature with `distance` (m) and `duration` (s), or null if unreachable.
+ */
+export const computeWalkingRoute = (graph, origin, destination) => {
+    if (graph.size === 0) {
+        throw new Error("The campus footpath network is empty.");
+    }
+
+    const startKey = findNearestNode(graph, origin);
+    const endKey = findNearestNode(graph, destination);
+    const path = shortestPath(graph, startKey, endKey);
+    if (!path) return null;
+
+    const coordinates = [origin, ...path.map(key => graph.get(key).coord), destination];
+    let distance = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        distance += haversineDistance(coordinates[i - 1], coordinates[i]);
+    }
+
+    return {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates },
+        properties: { distance, duration: distance / WALKING_SPEED_MPS },
+    };
+};
@@ -0,0 +1,19 @@
+// --- SERVICE WORKER REGISTRATION (public/sw.js) ---
+// Production builds only: in development the worker's caches would serve stale Vite modules.
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', async () => {
+        try {
+            await navigator.serviceWorker.register('/sw.js');
+            const { active } = await navigator.serviceWorker.ready;
+            // Assets of this first page load were fetched before the worker existed; hand them over for caching
+            const urls = performance.getEntriesByType('resource')
+                .map(entry => entry.name)
+                .filter(url => new URL(url).origin === window.location.origin);
+            active?.postMessage({ type: 'CACHE_URLS', urls: [window.location.pathname, ...urls] });
+        } catch (error) {
+            console.warn("Service worker registration failed; offline caching is disabled.", error);
+        }
+    });
+};
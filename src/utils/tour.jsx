@@ -0,0 +1,92 @@
+// --- 360° TOUR HELPERS ---
+// A building's `tour` is stored as { firstScene, scenes: [{ id, title, imageURL, hotSpots: [{ sceneId, yaw, pitch, text }] }] }.
+// The first scene ('main') always shows the building's own `imageURL`.
+
+import { initialBearing } from './geo';
+
+export const MAIN_SCENE_ID = 'main';
+
+// Viewer defaults shared by every scene (previously hardcoded in View360)
+const VIEWER_DEFAULTS = {
+    autoLoad: true,
+    autoRotate: -2,
+    showFullscreenCtrl: false,
+    pitch: -10,
+    hfov: 100,
+    keyboardZoom: 'off',
+    mouseZoom: false,
+    sceneFadeDuration: 800,
+};
+
+// Scenes for the DataEntryForm tour editor: the stored tour, or just the main scene
+export const getEditableScenes = (building) => {
+    const scenes = building?.properties.tour?.scenes;
+    if (scenes?.length) return scenes.map(scene => ({ hotSpots: [], ...scene }));
+    return [{ id: MAIN_SCENE_ID, title: 'Entrance', imageURL: '', hotSpots: [] }];
+};
+
+// Normalizes authored scenes: main scene gets the main image, scenes without images and
+// hotspots pointing at them are dropped. Returns an empty list when no image is available.
+export const getTourScenes = (tour, mainImageURL) => {
+    const scenes = tour?.scenes?.length
+        ? tour.scenes
+        : [{ id: MAIN_SCENE_ID, title: '', imageURL: mainImageURL, hotSpots: [] }];
+
+    const usable = scenes
+        .map(scene => (scene.id === MAIN_SCENE_ID ? { ...scene, imageURL: mainImageURL || scene.imageURL } : scene))
+        .filter(scene => scene.imageURL);
+    const usableIds = new Set(usable.map(scene => scene.id));
+
+    return usable.map(scene => ({
+        ...scene,
+        hotSpots: (scene.hotSpots || []).filter(hotSpot => usableIds.has(hotSpot.sceneId)),
+    }));
+};
+
+// Tour payload saved on the building; null when there is nothing beyond the main panorama
+export const buildTourPayload = (scenes, mainImageURL) => {
+    const tourScenes = getTourScenes({ scenes }, mainImageURL);
+    if (tourScenes.length < 2) return null;
+    return { firstScene: tourScenes[0].id, scenes: tourScenes };
+};
+
+// Pannellum yaw range (-180..180]
+const normalizeYaw = (degrees) => 180 - ((((180 - degrees) % 360) + 360) % 360);
+
+/**
+ * Initial view of the main panorama from a building's `viewpoint` ({ coordinates, northOffset, yaw }).
+ * `northOffset` is the compass bearing of the panorama's center; without an explicit `yaw` the
+ * viewer opens facing `target` ([lng, lat], the building) from the viewpoint. Null when unknown.
+ */
+export const getViewpointOrientation = (viewpoint, target) => {
+    const northOffset = Number.isFinite(viewpoint?.northOffset) ? viewpoint.northOffset : undefined;
+    let yaw = Number.isFinite(viewpoint?.yaw) ? viewpoint.yaw : undefined;
+    if (yaw === undefined && northOffset !== undefined && viewpoint.coordinates && target) {
+        yaw = normalizeYaw(initialBearing(viewpoint.coordinates, target) - northOffset);
+    }
+    if (northOffset === undefined && yaw === undefined) return null;
+    return { northOffset, yaw };
+};
+
+// Pannellum tour configuration ({ default, scenes }) for the given normalized scenes.
+// `orientation` (getViewpointOrientation) sets the main scene's compass and starting yaw.
+export const buildPannellumConfig = (scenes, resolveImageUrl, orientation = null) => ({
+    default: { ...VIEWER_DEFAULTS, firstScene: scenes[0]?.id },
+    scenes: Object.fromEntries(scenes.map(scene => [scene.id, {
+        title: scene.title,
+        type: 'equirectangular',
+        panorama: resolveImageUrl(scene.imageURL),
+        ...(scene.id === MAIN_SCENE_ID && orientation?.northOffset !== undefined && { northOffset: orientation.northOffset, compass: true }),
+        ...(scene.id === MAIN_SCENE_ID && orientation?.yaw !== undefined && { yaw: orientation.yaw }),
+        ...(scene.pitch !== undefined && { pitch: scene.pitch }),
+        ...(scene.yaw !== undefined && { yaw: scene.yaw }),
+        ...(scene.hfov !== undefined && { hfov: scene.hfov }),
+        hotSpots: scene.hotSpots.map(hotSpot => ({
+            type: 'scene',
+            sceneId: hotSpot.sceneId,
+            pitch: hotSpot.pitch,
+            yaw: hotSpot.yaw,
+            text: hotSpot.text,
+        })),
+    }])),
+});
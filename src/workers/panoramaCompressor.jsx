@@ -0,0 +1,22 @@
+// --- PANORAMA COMPRESSION WORKER ---
+// Receives { file, width, height, qualities, maxBytes }, resizes the image to width×height and
+// re-encodes it as JPEG, trying each quality until the result fits in maxBytes (the last one is
+// used regardless). Replies { blob } or { error }. Started by compressPanorama (utils/panoramaImage).
+
+self.onmessage = async ({ data: { file, width, height, qualities, maxBytes } }) => {
+    try {
+        const bitmap = await createImageBitmap(file, { resizeWidth: width, resizeHeight: height, resizeQuality: 'high' });
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        let blob = null;
+        for (const quality of qualities) {
+            blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+            if (blob.size <= maxBytes) break;
+        }
+        self.postMessage({ blob });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};